@@ -1,25 +1,77 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
-import { initializeApp } from "firebase/app";
+import { RATING_ALGORITHMS, decayedScore, resolveRatingConfig } from "./rating";
+import { balancedLineups, predictWinProbability } from "./balance";
 import {
-  getAuth,
-  signInAnonymously
-} from "firebase/auth";
+  createMatchId,
+  enqueueMatch,
+  isPermanentSyncError,
+  listQueuedMatches,
+  removeQueuedMatch,
+  setQueuedMatchFailed
+} from "./matchQueue";
+import { clearGameSnapshot, loadGameSnapshot, saveGameSnapshot, serializeGame } from "./liveGame";
+import { DEFAULT_GAME_MODE, GAME_MODES, isSoloTeam } from "./modes";
+import { DEFAULT_ROLE, ROLES, can, resolveRole } from "./roles";
+import { ACHIEVEMENTS, hallOfFame, playerAchievements } from "./achievements";
+import { auditActor } from "./audit";
+import { emptyPlayerStats } from "./stats";
 import {
-  getFirestore,
-  collection,
-  onSnapshot,
-  addDoc,
-  doc,
-  updateDoc,
-  deleteDoc,
-  writeBatch,
-  getDocs,
-  query,
-  orderBy,
-  runTransaction,
-  serverTimestamp,
-  increment
-} from "firebase/firestore";
+  DEFAULT_GOAL_TYPE,
+  GOAL_TYPES,
+  createMatch,
+  matchEntryFromGame,
+  matchSnapshot,
+  matchStatus,
+  scoreGoal,
+  swapPositions,
+  swapSides,
+  undoGoal
+} from "./match";
+import { rebuildDiff, replayMatches, unindexedMatchCount } from "./rebuild";
+import { BACKUP_COLLECTIONS, CSV_EXPORTS, buildBackup, collectionToCsv, parsePlayersCsv, validateBackup } from "./backup";
+import { createDataProvider } from "./dataProvider";
+import { cropRect, cropToBlob, drawCrop, loadImageFile, playerImageSrc } from "./playerImage";
+import { QUEUE_MODES, isInQueue, joinQueue, leaveQueue, nextLineup, queueAfterGame, queuedPlayerIds, resolveQueue, setQueueMode } from "./queue";
+import {
+  DEFAULT_TOURNAMENT_FORMAT,
+  TOURNAMENT_FORMATS,
+  bracketColumns,
+  createTournament,
+  resolveFixtures,
+  tournamentProblem,
+  tournamentStandings,
+  tournamentTeam
+} from "./tournament";
+import {
+  SEASON_CADENCES,
+  SEASON_RESETS,
+  formatCountdown,
+  isInSeason,
+  nextSeasonEnd,
+  resolveSeasonSchedule
+} from "./seasons";
+import {
+  DEFAULT_RULE_ID,
+  availableRules,
+  describeRules,
+  evaluateGame,
+  findRules,
+  normalizeRules,
+  pointsToWin
+} from "./rules";
+import {
+  fastestGoals,
+  headToHeadMatrix,
+  matchPerspective,
+  matchTime,
+  momentumPoints,
+  pairLeaderboard,
+  playerNamesFromMatches,
+  recentForm,
+  relationStats,
+  scoreTimeline,
+  teamChemistry
+} from "./analytics";
 
 // =============================
 // FIREBASE CONFIG (move to .env)
@@ -34,32 +86,67 @@ const firebaseConfig = {
   appId: import.meta?.env?.VITE_FIREBASE_APP_ID || ""
 };
 
+// "localhost:9199" while running against the Storage emulator
+const storageEmulatorHost = import.meta?.env?.VITE_FIREBASE_STORAGE_EMULATOR_HOST || "";
+
 // =============================
 // CONFIG & UTILS
 // =============================
 const easing = "cubic-bezier(0.86, 0, 0.07, 1)"; // easeInOutQuint
 
-const placeholderFor = (firstName = "?", lastName = "") =>
-  `https://placehold.co/150x200/EFEFEF/333?text=${encodeURIComponent(
-    `${firstName}`
-  )}`;
-
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-
-function computeScoreChange(avgWinnerScore, avgLoserScore, isShutout) {
-  // Keep your original flavor but make it deterministic & bounded
-  const base = 10;
-  const diff = avgLoserScore - avgWinnerScore; // underdog bonus if negative
-  let dynamic = Math.round(base + diff / 40);
-  dynamic = clamp(dynamic, 1, 20);
-  const shutoutBonus = isShutout ? 5 : 0;
-  return { winDelta: dynamic + shutoutBonus, loseDelta: dynamic };
-}
+const SCOREBOARD_HASH = "#/scoreboard";
+
+const ON_FIRE_STREAK = 3;
+const COLD_STREAK = 3;
+
+// Momentum of a player: "fire" on a win streak, "cold" on a loss streak, else null
+const streakBadge = (player) => {
+  const wins = player?.currentWinStreak || 0;
+  const losses = player?.currentLossStreak || 0;
+  if (wins >= ON_FIRE_STREAK) return { type: "fire", count: wins };
+  if (losses >= COLD_STREAK) return { type: "cold", count: losses };
+  return null;
+};
+
+const formatDuration = (ms = 0) => {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+const formatDateTime = (date) =>
+  date ? date.toLocaleString("de-DE", { dateStyle: "short", timeStyle: "short" }) : "–";
+
+// One read of the whole match log, for the screens that need all of it
+const useAllMatches = (dataProvider) => {
+  const [allMatches, setAllMatches] = useState(null);
+
+  useEffect(() => {
+    if (!dataProvider) return;
+    let isCurrent = true;
+    dataProvider
+      .readCollections(["matches"])
+      .then(({ matches }) => {
+        if (isCurrent) setAllMatches(matches);
+      })
+      .catch((e) => console.error("Error loading matches:", e));
+    return () => {
+      isCurrent = false;
+    };
+  }, [dataProvider]);
+
+  return allMatches;
+};
 
-const winningScoreFor = (team1, team2) => {
-  // Deuce at 5:5 -> play to 7, else to 6
-  const isDeuce = team1 === 5 && team2 === 5;
-  return isDeuce ? 7 : 6;
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // revoking right away can abort the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
 };
 
 // =============================
@@ -82,9 +169,60 @@ const Modal = ({ isOpen, onClose, children }) => {
   );
 };
 
+// Saved when the field loses focus (or on Enter), so half-typed values never reach the config
+const SettingNumberInput = ({ value, min, max, onCommit, className = "" }) => {
+  const [draft, setDraft] = useState(String(value ?? ""));
+
+  useEffect(() => {
+    setDraft(String(value ?? ""));
+  }, [value]);
+
+  const commit = useCallback(() => {
+    const n = Number(draft);
+    if (draft.trim() === "" || !Number.isFinite(n)) {
+      setDraft(String(value ?? ""));
+      return;
+    }
+    const next = Math.min(max ?? Infinity, Math.max(min ?? -Infinity, n));
+    setDraft(String(next));
+    if (next !== value) onCommit?.(next);
+  }, [draft, value, min, max, onCommit]);
+
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+      }}
+      className={className}
+    />
+  );
+};
+
+const StreakBadge = ({ player, className = "" }) => {
+  const badge = streakBadge(player);
+  if (!badge) return null;
+  const isFire = badge.type === "fire";
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-sm font-bold ${isFire ? "bg-orange-500 text-white" : "bg-sky-700 text-white"} ${className}`}
+      title={isFire ? `${badge.count} Siege in Folge` : `${badge.count} Niederlagen in Folge`}
+    >
+      <span aria-hidden="true">{isFire ? "🔥" : "❄"}</span>
+      {badge.count}
+    </span>
+  );
+};
+
 const PlayerCard = React.memo(function PlayerCard({ player, onSelect, isSelected }) {
-  const { img, firstName, lastName, seasonsWon = 0 } = player || {};
-  const src = img || placeholderFor(firstName, lastName);
+  const { firstName, lastName, seasonsWon = 0 } = player || {};
+  const src = playerImageSrc(player);
+  const achievements = playerAchievements(player);
 
   return (
     <div
@@ -104,6 +242,8 @@ const PlayerCard = React.memo(function PlayerCard({ player, onSelect, isSelected
         <img src={src} alt={`${firstName} ${lastName}`} className="w-full h-full object-cover" />
         <div className="absolute inset-0 bg-gradient-to-t from-black/80 via-black/40 to-transparent" />
 
+        <StreakBadge player={player} className="absolute top-2 left-2" />
+
         {seasonsWon > 0 && (
           <div className="absolute top-2 right-2 flex gap-1">
             {Array.from({ length: seasonsWon }).map((_, i) => (
@@ -124,6 +264,14 @@ const PlayerCard = React.memo(function PlayerCard({ player, onSelect, isSelected
           <h3 className="font-normal text-lg leading-tight">{`${firstName} ${lastName}`}</h3>
           <p className="font-light text-base leading-tight">{player?.country}</p>
         </div>
+
+        {achievements.length > 0 && (
+          <div className="absolute bottom-2 right-2 flex flex-col gap-0.5 text-base leading-none">
+            {achievements.map((a) => (
+              <span key={a.id} title={`${a.label}: ${a.description}`} role="img" aria-label={a.label}>{a.icon}</span>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -157,25 +305,40 @@ const TeamSelectionSlot = React.memo(function TeamSelectionSlot({
 // =============================
 // SCREENS
 // =============================
-function LoginScreen({ onLogin, isExiting }) {
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-credential": "E-Mail oder Passwort falsch",
+  "auth/invalid-email": "Ungültige E-Mail-Adresse",
+  "auth/user-not-found": "E-Mail oder Passwort falsch",
+  "auth/wrong-password": "E-Mail oder Passwort falsch",
+  "auth/user-disabled": "Dieses Konto ist gesperrt",
+  "auth/too-many-requests": "Zu viele Versuche, bitte später erneut probieren"
+};
+
+function LoginScreen({ onSignIn, onLogin, isExiting, isLocal }) {
+  const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const [isLoggingIn, setIsLoggingIn] = useState(false);
 
   const handleLogin = useCallback(
-    (e) => {
+    async (e) => {
       e.preventDefault();
+      if (!email || !password || isSubmitting) return;
       setError("");
-      const expected = import.meta?.env?.VITE_ADMIN_PASSWORD || ""; // ⚠️ store in .env
-      if (password && expected && password === expected) {
+      setIsSubmitting(true);
+      try {
+        await onSignIn?.(email.trim(), password);
         setIsLoggingIn(true);
         setTimeout(() => onLogin?.(), 600);
-      } else {
-        setError("Falsches Passwort");
+      } catch (err) {
+        setError(AUTH_ERROR_MESSAGES[err?.code] || "Anmeldung fehlgeschlagen");
         setPassword("");
+      } finally {
+        setIsSubmitting(false);
       }
     },
-    [password, onLogin]
+    [email, password, isSubmitting, onSignIn, onLogin]
   );
 
   return (
@@ -195,20 +358,34 @@ function LoginScreen({ onLogin, isExiting }) {
           {isLoggingIn ? "LET'S GO!" : "LOGIN"}
         </h1>
         {!isLoggingIn && (
-          <form onSubmit={handleLogin} className="w-full max-w-sm flex items-center gap-4">
+          <form onSubmit={handleLogin} className="w-full max-w-sm flex flex-col gap-4">
             <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Password"
-              className="flex-grow px-4 py-3 bg-[#414141] text-white placeholder-gray-400 border-2 border-[#6E6E6E] focus:ring-0 focus:border-white text-lg font-normal"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="E-Mail"
+              autoComplete="username"
+              className="px-4 py-3 bg-[#414141] text-white placeholder-gray-400 border-2 border-[#6E6E6E] focus:ring-0 focus:border-white text-lg font-normal"
             />
-            <button type="submit" className="px-8 py-3 bg-[#A0153E] text-white text-lg font-normal">
-              Send
-            </button>
+            <div className="flex items-center gap-4">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                className="flex-grow px-4 py-3 bg-[#414141] text-white placeholder-gray-400 border-2 border-[#6E6E6E] focus:ring-0 focus:border-white text-lg font-normal"
+              />
+              <button type="submit" disabled={isSubmitting} className="px-8 py-3 bg-[#A0153E] text-white text-lg font-normal disabled:opacity-50">
+                Send
+              </button>
+            </div>
           </form>
         )}
         {error && <p className="text-red-400 mt-4 font-normal">{error}</p>}
+        {isLocal && !isLoggingIn && (
+          <p className="text-white/50 mt-4 font-normal">Lokaler Demo-Modus ohne Firebase: beliebige E-Mail und Passwort melden als Admin an.</p>
+        )}
       </div>
       <div className="w-full flex justify-between p-4 text-white/50 text-sm font-normal">
         <span>Admin</span>
@@ -218,8 +395,175 @@ function LoginScreen({ onLogin, isExiting }) {
   );
 }
 
-function PlayerSelectionScreen({ players, onGameStart }) {
+const NEW_RULES_OPTION = "__new__";
+
+function RulesForm({ onSave }) {
+  const [formData, setFormData] = useState({ name: "", targetScore: "6", winBy: "1", cap: "", timeLimitMinutes: "", sets: "1" });
+
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      if (!formData.name || (!formData.targetScore && !formData.timeLimitMinutes)) {
+        alert("Bitte Namen und Zielpunktzahl oder Zeitlimit angeben.");
+        return;
+      }
+      onSave?.(normalizeRules({ ...formData, id: `custom-${Date.now().toString(36)}` }));
+    },
+    [formData, onSave]
+  );
+
+  const inputClass = "w-full p-3 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400 font-normal";
+  const fields = [
+    { name: "targetScore", label: "Punkte zum Sieg" },
+    { name: "winBy", label: "Vorsprung" },
+    { name: "cap", label: "Maximal (optional)" },
+    { name: "timeLimitMinutes", label: "Zeitlimit Min. (optional)" },
+    { name: "sets", label: "Sätze (Best of)" }
+  ];
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h2 className="text-2xl text-white font-thin mb-6 text-center">Eigene Regeln</h2>
+      <div className="mb-4">
+        <input type="text" name="name" placeholder="Name" value={formData.name} onChange={handleChange} className={inputClass} />
+      </div>
+      <div className="grid grid-cols-2 gap-4 mb-6">
+        {fields.map((f) => (
+          <label key={f.name} className="text-sm text-white/70 font-normal">
+            {f.label}
+            <input type="number" min={0} name={f.name} value={formData[f.name]} onChange={handleChange} className={`${inputClass} mt-1`} />
+          </label>
+        ))}
+      </div>
+      <button type="submit" className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded-lg text-xl">
+        Regeln speichern
+      </button>
+    </form>
+  );
+}
+
+// =============================
+// QUEUE
+// =============================
+const playerName = (p) => `${p.firstName} ${p.lastName}`;
+
+const lineupLabel = (lineup) =>
+  `${lineup.team1.forward.firstName} & ${lineup.team1.defender.firstName} vs. ${lineup.team2.forward.firstName} & ${lineup.team2.defender.firstName}`;
+
+// Shared waiting line; without onChange (viewers) it is read-only
+function QueuePanel({ queue, lineup, players, onChange, onApplyLineup }) {
+  const q = useMemo(() => resolveQueue(queue), [queue]);
+  const byId = useMemo(() => new Map(players.map((p) => [p.id, p])), [players]);
+  const holders = q.holders ? [q.holders.striker, q.holders.defender].map((id) => byId.get(id)).filter(Boolean) : [];
+  const waiting = q.waiting.map((id) => byId.get(id)).filter(Boolean);
+  const others = useMemo(
+    () => players.filter((p) => !isInQueue(q, p.id)).sort((a, b) => (a.lastName || "").localeCompare(b.lastName || "")),
+    [players, q]
+  );
+
+  return (
+    <div className="font-normal text-white">
+      <h2 className="text-2xl font-thin mb-4 text-center">Warteschlange</h2>
+      <div className="flex justify-center gap-2 mb-6">
+        {Object.entries(QUEUE_MODES).map(([id, m]) => (
+          <button
+            key={id}
+            onClick={() => onChange?.((current) => setQueueMode(current, id))}
+            disabled={!onChange}
+            className={`px-3 py-1 rounded-full text-sm ${q.mode === id ? "bg-white text-black" : "bg-white/20 text-white"}`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      {lineup && (
+        <div className="mb-6 p-3 bg-yellow-500/20 rounded-lg flex justify-between items-center gap-4">
+          <div>
+            <p className="text-sm text-white/60">Als Nächstes</p>
+            <p>{lineupLabel(lineup)}</p>
+          </div>
+          <button onClick={() => onApplyLineup(lineup)} className="px-4 py-1 bg-white text-black rounded-full text-sm">Übernehmen</button>
+        </div>
+      )}
+
+      {holders.length === 2 && (
+        <p className="mb-4">
+          Am Tisch: {holders.map((p) => p.firstName).join(" & ")}
+          <span className="text-white/60"> · {q.streak} {q.streak === 1 ? "Sieg" : "Siege"} in Folge</span>
+        </p>
+      )}
+
+      <ol className="space-y-1 mb-6">
+        {waiting.length === 0 && <li className="text-white/50">Niemand wartet.</li>}
+        {waiting.map((p, i) => (
+          <li key={p.id} className="flex items-center justify-between bg-black/20 rounded-md px-3 py-2">
+            <span>
+              <span className="text-white/50 mr-3">{i + 1}.</span>
+              {playerName(p)}
+              <span className="text-white/50 text-sm"> · {q.gamesPlayed[p.id] || 0} Spiele</span>
+            </span>
+            {onChange && (
+              <button onClick={() => onChange((current) => leaveQueue(current, p.id))} className="text-white/50 hover:text-white" aria-label="Aus der Warteschlange nehmen">
+                &times;
+              </button>
+            )}
+          </li>
+        ))}
+        {holders.length === 2 &&
+          onChange &&
+          holders.map((p) => (
+            <li key={p.id} className="flex items-center justify-between text-white/60 px-3 text-sm">
+              {playerName(p)} (am Tisch)
+              <button onClick={() => onChange((current) => leaveQueue(current, p.id))} className="hover:text-white" aria-label="Aus der Warteschlange nehmen">
+                &times;
+              </button>
+            </li>
+          ))}
+      </ol>
+
+      {onChange && others.length > 0 && (
+        <>
+          <p className="text-sm text-white/60 mb-2">Anstellen</p>
+          <div className="flex flex-wrap gap-2">
+            {others.map((p) => (
+              <button key={p.id} onClick={() => onChange((current) => joinQueue(current, p.id))} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-full text-sm">
+                {playerName(p)}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const slotIdsOf = (slots) => slots.map((p) => p?.id ?? "").join(",");
+
+// Slot index per role; a solo team uses one slot for both rods
+const SLOT_LAYOUTS = {
+  "2v2": { team1: { defender: 0, forward: 1 }, team2: { forward: 2, defender: 3 } },
+  "2v1": { team1: { defender: 0, forward: 1 }, team2: { forward: 2, defender: 2 } },
+  "1v1": { team1: { defender: 0, forward: 0 }, team2: { forward: 1, defender: 1 } }
+};
+
+function PlayerSelectionScreen({ dataProvider, players, rulesConfig, queue, queueLineup, onSaveRules, onGameStart, onQueueChange }) {
+  const [mode, setMode] = useState(DEFAULT_GAME_MODE);
   const [slots, setSlots] = useState([null, null, null, null]);
+  const [isBalancing, setIsBalancing] = useState(false);
+  const [isQueueOpen, setIsQueueOpen] = useState(false);
+  const [isEditingRules, setIsEditingRules] = useState(false);
+  const [ruleId, setRuleId] = useState(() => findRules(rulesConfig).id);
+  const rulesOptions = useMemo(() => availableRules(rulesConfig), [rulesConfig]);
+  const selectedRules = useMemo(() => findRules(rulesConfig, ruleId), [rulesConfig, ruleId]);
+  // chemistry counts every game a pair played together
+  const allMatches = useAllMatches(dataProvider);
+  const matches = useMemo(() => (allMatches || []).filter((m) => !m.voided), [allMatches]);
 
   const handleSelectPlayer = useCallback(
     (player) => {
@@ -241,20 +585,130 @@ function PlayerSelectionScreen({ players, onGameStart }) {
     [players]
   );
 
+  const layout = SLOT_LAYOUTS[mode];
   const team1 = useMemo(
-    () => ({ defender: slots[0], forward: slots[1] }),
-    [slots]
+    () => ({ defender: slots[layout.team1.defender], forward: slots[layout.team1.forward] }),
+    [slots, layout]
   );
   const team2 = useMemo(
-    () => ({ forward: slots[2], defender: slots[3] }),
-    [slots]
+    () => ({ forward: slots[layout.team2.forward], defender: slots[layout.team2.defender] }),
+    [slots, layout]
   );
 
   const ready = slots.every((s) => s !== null);
-  const start = useCallback(() => ready && onGameStart?.(team1, team2), [ready, onGameStart, team1, team2]);
+  const isSoloSlot = (teamKey) => layout[teamKey].defender === layout[teamKey].forward;
+
+  const chemistry = useMemo(() => {
+    if (!ready) return null;
+    const forTeam = (team) => (team.defender.id !== team.forward.id ? teamChemistry(matches, team.defender.id, team.forward.id) : null);
+    return { team1: forTeam(team1), team2: forTeam(team2) };
+  }, [ready, matches, team1, team2]);
+
+  const odds = useMemo(() => (ready ? predictWinProbability(team1, team2) : null), [ready, team1, team2]);
+  const suggestions = useMemo(() => (isBalancing && ready ? balancedLineups(slots) : []), [isBalancing, ready, slots]);
+
+  // keep already picked players when switching modes, as far as they fit
+  const handleModeChange = useCallback((nextMode) => {
+    setMode(nextMode);
+    setSlots((prev) => {
+      const picked = prev.filter(Boolean).slice(0, GAME_MODES[nextMode].slots);
+      return Array.from({ length: GAME_MODES[nextMode].slots }, (_, i) => picked[i] || null);
+    });
+  }, []);
+
+  const renderTeamSlots = (team, teamName, teamKey) => {
+    if (isSoloSlot(teamKey)) {
+      return (
+        <TeamSelectionSlot
+          player={team.defender}
+          role="Allein"
+          teamName={teamName}
+          onRemove={handleSelectPlayer}
+          className="w-11/12 self-center"
+        />
+      );
+    }
+    const slotsInOrder = teamKey === "team1" ? ["defender", "forward"] : ["forward", "defender"];
+    return slotsInOrder.map((role, i) => (
+      <TeamSelectionSlot
+        key={role}
+        player={team[role]}
+        role={role === "defender" ? "Defender" : "Forward"}
+        teamName={i === 0 ? teamName : ""}
+        onRemove={handleSelectPlayer}
+        className={`w-11/12 ${role === "forward" ? "self-end" : ""}`}
+      />
+    ));
+  };
+
+  const applyLineup = useCallback((lineup) => {
+    setMode("2v2");
+    setSlots([lineup.team1.defender, lineup.team1.forward, lineup.team2.forward, lineup.team2.defender]);
+    setIsBalancing(false);
+    setIsQueueOpen(false);
+  }, []);
+
+  // The queue's proposal fills an empty table by itself and follows the queue as long as
+  // nobody changed the players by hand
+  const appliedLineupRef = useRef(null);
+  useEffect(() => {
+    if (!queueLineup || mode !== "2v2") return;
+    const next = [queueLineup.team1.defender, queueLineup.team1.forward, queueLineup.team2.forward, queueLineup.team2.defender];
+    setSlots((prev) => {
+      const isUntouched = prev.every((s) => s === null) || slotIdsOf(prev) === appliedLineupRef.current;
+      if (!isUntouched) return prev;
+      appliedLineupRef.current = slotIdsOf(next);
+      return next;
+    });
+  }, [queueLineup, mode]);
+
+  const start = useCallback(
+    () => ready && onGameStart?.(team1, team2, selectedRules),
+    [ready, onGameStart, team1, team2, selectedRules]
+  );
+
+  const handleRuleChange = useCallback((e) => {
+    if (e.target.value === NEW_RULES_OPTION) setIsEditingRules(true);
+    else setRuleId(e.target.value);
+  }, []);
+
+  const handleSaveRules = useCallback(
+    (rules) => {
+      onSaveRules?.(rules);
+      setRuleId(rules.id);
+      setIsEditingRules(false);
+    },
+    [onSaveRules]
+  );
 
   return (
     <div className="flex flex-col h-full text-white">
+      <Modal isOpen={isEditingRules} onClose={() => setIsEditingRules(false)}>
+        <RulesForm onSave={handleSaveRules} />
+      </Modal>
+      <Modal isOpen={isQueueOpen} onClose={() => setIsQueueOpen(false)}>
+        <QueuePanel queue={queue} lineup={queueLineup} players={players} onChange={onQueueChange} onApplyLineup={applyLineup} />
+      </Modal>
+      <Modal isOpen={isBalancing} onClose={() => setIsBalancing(false)}>
+        <h2 className="text-2xl text-white font-thin mb-6 text-center">Ausgeglichene Teams</h2>
+        <div className="space-y-3">
+          {suggestions.map((lineup, i) => (
+            <button
+              key={i}
+              onClick={() => applyLineup(lineup)}
+              className="w-full text-left p-3 bg-gray-700 hover:bg-gray-600 rounded-lg font-normal"
+            >
+              <div className="flex justify-between items-center">
+                <div className="text-sm">
+                  <p>{lineup.team1.defender.firstName} (D) · {lineup.team1.forward.firstName} (F)</p>
+                  <p className="text-white/60">vs. {lineup.team2.forward.firstName} (F) · {lineup.team2.defender.firstName} (D)</p>
+                </div>
+                <OddsLabel probability={lineup.winProbability} />
+              </div>
+            </button>
+          ))}
+        </div>
+      </Modal>
       <div className="flex-grow p-4 md:p-8 overflow-y-auto bg-[#282828]">
         <div className="grid grid-cols-4 gap-4 md:gap-6">
           {sortedPlayers.map((p) => (
@@ -267,47 +721,57 @@ function PlayerSelectionScreen({ players, onGameStart }) {
           ))}
         </div>
       </div>
-      <div className="flex-shrink-0 h-60 bg-[#FF204E] flex items-center justify-center px-4">
+      <div className="flex-shrink-0 h-64 bg-[#FF204E] flex items-center justify-center px-4">
         <div className="w-full max-w-4xl flex items-center justify-between">
           <div className="w-2/5 flex flex-col gap-4 relative">
-            <TeamSelectionSlot
-              player={team1.defender}
-              role="Defender"
-              teamName="Team 1"
-              onRemove={handleSelectPlayer}
-              className="w-11/12"
-            />
-            <TeamSelectionSlot
-              player={team1.forward}
-              role="Forward"
-              teamName=""
-              onRemove={handleSelectPlayer}
-              className="w-11/12 self-end"
-            />
+            {renderTeamSlots(team1, "Team 1", "team1")}
+            <ChemistryLabel chemistry={chemistry?.team1} />
           </div>
           <div className="flex flex-col items-center mx-4">
+            <div className="flex gap-1 mb-2">
+              {Object.entries(GAME_MODES).map(([id, m]) => (
+                <button
+                  key={id}
+                  onClick={() => handleModeChange(id)}
+                  title={m.label}
+                  className={`px-2 py-0.5 rounded-full text-xs font-normal ${mode === id ? "bg-white text-black" : "bg-white/20 text-white"}`}
+                >
+                  {id.replace("v", ":")}
+                </button>
+              ))}
+            </div>
             <span className="text-4xl font-thin text-white">VS</span>
+            <button onClick={() => setIsQueueOpen(true)} className="mt-1 px-3 py-0.5 bg-white/20 text-white text-xs rounded-full font-normal">
+              Warteschlange ({queuedPlayerIds(queue).length})
+            </button>
+            <select
+              value={selectedRules.id}
+              onChange={handleRuleChange}
+              title={describeRules(selectedRules)}
+              className="mt-2 max-w-[12rem] px-2 py-1 bg-white/20 text-white text-sm rounded-full font-normal focus:outline-none"
+            >
+              {rulesOptions.map((r) => (
+                <option key={r.id} value={r.id} className="text-black">{r.name}</option>
+              ))}
+              <option value={NEW_RULES_OPTION} className="text-black">Eigene Regeln…</option>
+            </select>
             {ready && (
-              <button onClick={start} className="mt-2 px-4 py-1 bg-white text-black rounded-full">
-                Start
-              </button>
+              <>
+                <OddsLabel probability={odds} />
+                <button onClick={start} className="mt-2 px-4 py-1 bg-white text-black rounded-full">
+                  Start
+                </button>
+                {mode === "2v2" && (
+                  <button onClick={() => setIsBalancing(true)} className="mt-2 px-4 py-1 border border-white text-white rounded-full text-sm">
+                    Teams ausgleichen
+                  </button>
+                )}
+              </>
             )}
           </div>
           <div className="w-2/5 flex flex-col gap-4 relative">
-            <TeamSelectionSlot
-              player={team2.forward}
-              role="Forward"
-              teamName="Team 2"
-              onRemove={handleSelectPlayer}
-              className="w-11/12 self-end"
-            />
-            <TeamSelectionSlot
-              player={team2.defender}
-              role="Defender"
-              teamName=""
-              onRemove={handleSelectPlayer}
-              className="w-11/12"
-            />
+            {renderTeamSlots(team2, "Team 2", "team2")}
+            <ChemistryLabel chemistry={chemistry?.team2} />
           </div>
         </div>
       </div>
@@ -315,53 +779,85 @@ function PlayerSelectionScreen({ players, onGameStart }) {
   );
 }
 
-function GameScreen({ initialTeam1, initialTeam2, onGameEnd, onNewGame }) {
-  const [team1, setTeam1] = useState({ striker: initialTeam1.forward, defender: initialTeam1.defender });
-  const [team2, setTeam2] = useState({ striker: initialTeam2.forward, defender: initialTeam2.defender });
-  const [score, setScore] = useState({ team1: 0, team2: 0 });
-  const [goalHistory, setGoalHistory] = useState([]);
-  const [isSwapped, setIsSwapped] = useState(false);
-  const [winner, setWinner] = useState(null);
-  const startTimeRef = useRef(Date.now());
+// One side of the table; a solo player gets a single card and a goal button per rod
+const GameTeamPanel = ({ team, onGoal, onSwapPositions }) => {
+  if (isSoloTeam(team)) {
+    return (
+      <div className="flex flex-col items-center space-y-8">
+        <PlayerCard player={team.striker} onSelect={() => onGoal(team.striker, "striker")} isSelected={false} />
+        <div className="flex gap-4">
+          <button onClick={() => onGoal(team.striker, "striker")} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg">Tor Sturm</button>
+          <button onClick={() => onGoal(team.defender, "defender")} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg">Tor Abwehr</button>
+        </div>
+      </div>
+    );
+  }
+  return (
+    <div className="flex flex-col items-center space-y-8">
+      <div className="flex space-x-8">
+        <PlayerCard player={team.striker} onSelect={() => onGoal(team.striker, "striker")} isSelected={false} />
+        <PlayerCard player={team.defender} onSelect={() => onGoal(team.defender, "defender")} isSelected={false} />
+      </div>
+      <button onClick={onSwapPositions} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg">Positionen tauschen</button>
+    </div>
+  );
+};
+
+function GameScreen({ initialTeam1, initialTeam2, rules: initialRules, resumeState, onStateChange, onGameEnd, onNewGame }) {
+  const [match, setMatch] = useState(() =>
+    createMatch(
+      resumeState || {
+        team1: { striker: initialTeam1.forward, defender: initialTeam1.defender },
+        team2: { striker: initialTeam2.forward, defender: initialTeam2.defender },
+        rules: initialRules,
+        startTime: Date.now()
+      }
+    )
+  );
+  const [now, setNow] = useState(Date.now());
+  // applies to the next goal only
+  const [goalType, setGoalType] = useState(DEFAULT_GOAL_TYPE);
+  const { team1, team2, goalHistory, undoneGoals, isSwapped, rules, startTime } = match;
+
+  const elapsed = now - startTime;
+  const status = useMemo(() => matchStatus(match, elapsed), [match, elapsed]);
+  const { score, setsWon, winner, completedSets, finalScore, winningScore, remaining } = status;
 
-  const winningScore = winningScoreFor(score.team1, score.team2);
+  useEffect(() => {
+    if (!rules.timeLimitMinutes || winner) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [rules.timeLimitMinutes, winner]);
 
+  // snapshot after every goal, undo and swap (not on every clock tick)
   useEffect(() => {
-    if (!winner && (score.team1 >= winningScore || score.team2 >= winningScore)) {
-      setWinner(score.team1 > score.team2 ? "Team 1" : "Team 2");
-    }
-    if (winner && score.team1 < winningScore && score.team2 < winningScore) {
-      setWinner(null); // allow undo after provisional win
-    }
-  }, [score, winner, winningScore]);
+    onStateChange?.(matchSnapshot(match));
+  }, [match, onStateChange]);
 
   const handleGoal = useCallback(
     (player, position) => {
-      const teamKey = player && (player.id === team1.striker?.id || player.id === team1.defender?.id) ? "team1" : "team2";
-      setScore((prev) => ({ ...prev, [teamKey]: prev[teamKey] + 1 }));
-      setGoalHistory((prev) => [...prev, { player, position, teamKey }]);
+      setMatch((prev) => scoreGoal(prev, player, position, Date.now() - prev.startTime, goalType));
+      setGoalType(DEFAULT_GOAL_TYPE);
     },
-    [team1]
+    [goalType]
   );
 
   const handleUndoGoal = useCallback(() => {
-    setGoalHistory((prev) => {
-      if (prev.length === 0) return prev;
-      const last = prev[prev.length - 1];
-      setScore((s) => ({ ...s, [last.teamKey]: Math.max(0, s[last.teamKey] - 1) }));
-      return prev.slice(0, -1);
-    });
+    setMatch((prev) => undoGoal(prev, Date.now() - prev.startTime));
+  }, []);
+
+  const handleSwapPositions = useCallback((teamKey) => {
+    setMatch((prev) => swapPositions(prev, teamKey));
   }, []);
 
-  const swapPositions = useCallback((teamNum) => {
-    if (teamNum === 1) setTeam1((prev) => ({ striker: prev.defender, defender: prev.striker }));
-    else setTeam2((prev) => ({ striker: prev.defender, defender: prev.striker }));
+  const handleSwapSides = useCallback(() => {
+    setMatch(swapSides);
   }, []);
 
   const confirmWin = useCallback(() => {
-    const duration = Date.now() - startTimeRef.current;
-    onGameEnd?.(winner, { team1, team2 }, score, goalHistory, duration);
-  }, [winner, team1, team2, score, goalHistory, onGameEnd]);
+    const duration = Date.now() - startTime;
+    onGameEnd?.(winner, { team1, team2 }, finalScore, goalHistory, duration, { rules, sets: completedSets, undoneGoals });
+  }, [winner, team1, team2, finalScore, goalHistory, undoneGoals, startTime, rules, completedSets, onGameEnd]);
 
   const displayTeam1 = isSwapped ? team2 : team1;
   const displayTeam2 = isSwapped ? team1 : team2;
@@ -373,7 +869,13 @@ function GameScreen({ initialTeam1, initialTeam2, onGameEnd, onNewGame }) {
       {winner && (
         <div className="absolute inset-0 bg-black/90 flex flex-col items-center justify-center z-20">
           <h1 className="text-5xl font-thin text-yellow-400 mb-4">{winner} hat gewonnen!</h1>
-          <p className="text-3xl mb-8 font-normal">{score.team1} : {score.team2}</p>
+          <p className="text-3xl mb-2 font-normal">{finalScore.team1} : {finalScore.team2}</p>
+          {rules.sets > 1 && (
+            <p className="text-lg mb-2 font-normal text-white/60">
+              {completedSets.map((set) => `${set.team1}:${set.team2}`).join(", ")}
+            </p>
+          )}
+          <div className="mb-6" />
           <div className="flex space-x-4">
             <button onClick={confirmWin} className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-8 text-xl rounded-lg">Ergebnis bestätigen</button>
             <button onClick={onNewGame} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-8 text-xl rounded-lg">Neues Spiel</button>
@@ -386,52 +888,142 @@ function GameScreen({ initialTeam1, initialTeam2, onGameEnd, onNewGame }) {
         <div className="text-6xl font-bold text-yellow-400">{displayScore1} : {displayScore2}</div>
         <h2 className="text-2xl font-thin ml-8">Team 2</h2>
       </div>
-      <p className="text-center text-gray-400 mb-4 font-normal">Das erste Team mit {winningScore} Punkten gewinnt.</p>
+      <p className="text-center text-gray-400 mb-4 font-normal">
+        {winningScore !== null && <>Das erste Team mit {winningScore} Punkten gewinnt.</>}
+        {rules.sets > 1 && <> Satz {completedSets.length + 1} · Sätze {isSwapped ? setsWon.team2 : setsWon.team1} : {isSwapped ? setsWon.team1 : setsWon.team2}</>}
+        {remaining !== null && (
+          <> {remaining > 0 ? `Restzeit ${formatDuration(remaining)}` : "Zeit abgelaufen – das nächste Tor entscheidet."}</>
+        )}
+      </p>
       <div className="flex justify-center gap-4 mb-4">
         <button onClick={handleUndoGoal} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg">Tor zurück</button>
         <button onClick={onNewGame} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg">Spiel abbrechen</button>
       </div>
+      <div className="flex justify-center gap-2 mb-4" role="radiogroup" aria-label="Art des nächsten Tors">
+        {Object.entries(GOAL_TYPES).map(([id, t]) => (
+          <button
+            key={id}
+            role="radio"
+            aria-checked={goalType === id}
+            onClick={() => setGoalType(id)}
+            className={`px-3 py-1 rounded-full text-sm font-normal ${goalType === id ? "bg-yellow-400 text-black" : "bg-white/20 text-white"}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
 
       <div className="flex-grow flex justify-around items-center">
-        <div className="flex flex-col items-center space-y-8">
-          <div className="flex space-x-8">
-            <PlayerCard player={displayTeam1.striker} onSelect={() => handleGoal(displayTeam1.striker, "striker")} isSelected={false} />
-            <PlayerCard player={displayTeam1.defender} onSelect={() => handleGoal(displayTeam1.defender, "defender")} isSelected={false} />
-          </div>
-          <button onClick={() => swapPositions(isSwapped ? 2 : 1)} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg">Positionen tauschen</button>
-        </div>
+        <GameTeamPanel team={displayTeam1} onGoal={handleGoal} onSwapPositions={() => handleSwapPositions(isSwapped ? "team2" : "team1")} />
 
-        <button onClick={() => setIsSwapped((s) => !s)} className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-4 rounded-full" aria-label="Seiten tauschen">
+        <button onClick={handleSwapSides} className="bg-purple-600 hover:bg-purple-700 text-white font-bold p-4 rounded-full" aria-label="Seiten tauschen">
           <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" /></svg>
         </button>
 
-        <div className="flex flex-col items-center space-y-8">
-          <div className="flex space-x-8">
-            <PlayerCard player={displayTeam2.striker} onSelect={() => handleGoal(displayTeam2.striker, "striker")} isSelected={false} />
-            <PlayerCard player={displayTeam2.defender} onSelect={() => handleGoal(displayTeam2.defender, "defender")} isSelected={false} />
-          </div>
-          <button onClick={() => swapPositions(isSwapped ? 1 : 2)} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg">Positionen tauschen</button>
-        </div>
+        <GameTeamPanel team={displayTeam2} onGoal={handleGoal} onSwapPositions={() => handleSwapPositions(isSwapped ? "team1" : "team2")} />
+      </div>
+    </div>
+  );
+}
+
+// Picks the 3:4 part of a photo that goes on the card
+function ImageCropper({ image, isUploading, onConfirm, onCancel }) {
+  const [view, setView] = useState({ zoom: 1, offsetX: 0, offsetY: 0 });
+  const canvasRef = useRef(null);
+  const crop = useMemo(() => cropRect(image.naturalWidth, image.naturalHeight, view), [image, view]);
+
+  useEffect(() => {
+    if (canvasRef.current) drawCrop(canvasRef.current, image, crop);
+  }, [image, crop]);
+
+  const slider = (name, label, min, max, step) => (
+    <label className="flex items-center gap-3 text-white font-normal">
+      <span className="w-24">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={view[name]}
+        onChange={(e) => setView((prev) => ({ ...prev, [name]: Number(e.target.value) }))}
+        className="flex-grow"
+      />
+    </label>
+  );
+
+  return (
+    <div className="mb-6">
+      <canvas ref={canvasRef} width={150} height={200} className="w-36 h-48 mx-auto mb-4 rounded-md bg-gray-700" />
+      <div className="flex flex-col gap-2 mb-4">
+        {slider("zoom", "Zoom", 1, 4, 0.05)}
+        {slider("offsetX", "Horizontal", -1, 1, 0.01)}
+        {slider("offsetY", "Vertikal", -1, 1, 0.01)}
+      </div>
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={() => onConfirm?.(crop)}
+          disabled={isUploading}
+          className="flex-grow bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-bold py-2 rounded-lg"
+        >
+          {isUploading ? "Wird hochgeladen..." : "Zuschneiden & hochladen"}
+        </button>
+        <button type="button" onClick={onCancel} disabled={isUploading} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg">
+          Abbrechen
+        </button>
       </div>
     </div>
   );
 }
 
-function PlayerForm({ onSave, player }) {
+function PlayerForm({ onSave, onUploadImage, player }) {
   const [formData, setFormData] = useState({
     firstName: player?.firstName || "",
     lastName: player?.lastName || "",
     country: player?.country || "",
-    img: player?.img || ""
+    img: player?.img || "",
+    isActive: player?.isActive !== false
   });
+  const [cropImage, setCropImage] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
 
   const isEditing = !!player;
 
   const handleChange = useCallback((e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
   }, []);
 
+  const handleImageFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    // the same file can be picked again after cancelling
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setCropImage(await loadImageFile(file));
+    } catch (err) {
+      console.error("Error loading player image:", err);
+      alert("Das Bild konnte nicht geladen werden.");
+    }
+  }, []);
+
+  const handleCropConfirm = useCallback(
+    async (crop) => {
+      setIsUploading(true);
+      try {
+        const url = await onUploadImage(await cropToBlob(cropImage, crop));
+        setFormData((prev) => ({ ...prev, img: url }));
+        setCropImage(null);
+      } catch (e) {
+        console.error("Error uploading player image:", e);
+        alert("Das Bild konnte nicht hochgeladen werden.");
+      } finally {
+        setIsUploading(false);
+      }
+    },
+    [cropImage, onUploadImage]
+  );
+
   const handleSubmit = useCallback(
     (e) => {
       e.preventDefault();
@@ -456,10 +1048,33 @@ function PlayerForm({ onSave, player }) {
       <div className="mb-4">
         <input type="text" name="country" placeholder="Landeskürzel (z.B. DE)" value={formData.country} onChange={handleChange} maxLength={3} className="w-full p-3 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400 font-normal" />
       </div>
-      <div className="mb-6">
-        <input type="text" name="img" placeholder="Bild-URL (optional)" value={formData.img} onChange={handleChange} className="w-full p-3 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400 font-normal" />
-      </div>
-      <button type="submit" className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded-lg text-xl">
+      {cropImage ? (
+        <ImageCropper image={cropImage} isUploading={isUploading} onConfirm={handleCropConfirm} onCancel={() => setCropImage(null)} />
+      ) : (
+        <div className="mb-4 flex items-center gap-4">
+          <img src={playerImageSrc(formData)} alt="" className="w-[4.5rem] h-24 object-cover rounded-md" />
+          <div className="flex flex-col gap-2 font-normal">
+            <label className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg cursor-pointer text-center">
+              Foto aufnehmen
+              <input type="file" accept="image/*" capture="environment" onChange={handleImageFile} className="hidden" />
+            </label>
+            <label className="bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg cursor-pointer text-center">
+              Bild auswählen
+              <input type="file" accept="image/*" onChange={handleImageFile} className="hidden" />
+            </label>
+            {formData.img && (
+              <button type="button" onClick={() => setFormData((prev) => ({ ...prev, img: "" }))} className="text-white/60 hover:text-white underline">
+                Bild entfernen
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      <label className="mb-6 flex items-center gap-3 text-white font-normal">
+        <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} className="w-5 h-5" />
+        Aktiv (inaktive Spieler erscheinen nicht in Auswahl und Ranking)
+      </label>
+      <button type="submit" disabled={!!cropImage} className="w-full bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-bold py-3 rounded-lg text-xl">
         {isEditing ? "Änderungen speichern" : "Spieler hinzufügen"}
       </button>
     </form>
@@ -476,7 +1091,82 @@ const ConfirmationDialog = ({ message, onConfirm, onCancel }) => (
   </div>
 );
 
-function ManagePlayersScreen({ players, onAddPlayer, onUpdatePlayer, onDeletePlayer }) {
+// Queued matches that can't be recorded, e.g. because a player was deleted meanwhile
+const FailedSyncDialog = ({ entries, onRetry, onDiscard, onClose }) => {
+  const teamName = (team) => [...new Set([team.striker.name, team.defender.name])].join(" & ");
+  return (
+    <div className="text-white font-normal">
+      <h2 className="text-2xl font-thin mb-4 text-center">Nicht übertragbare Spiele</h2>
+      {entries.length === 0 && <p className="text-white/50 text-center mb-6">Keine.</p>}
+      <ul className="flex flex-col gap-4 mb-6">
+        {entries.map((entry) => (
+          <li key={entry.id} className="bg-black/20 rounded-lg p-3">
+            <p>{teamName(entry.teams.team1)} {entry.score.team1}:{entry.score.team2} {teamName(entry.teams.team2)}</p>
+            <p className="text-sm text-white/50">{formatDateTime(new Date(entry.endedAt))} · {entry.failed.reason}</p>
+            <div className="flex gap-4 mt-2 text-sm">
+              <button onClick={() => onRetry?.(entry)} className="text-yellow-400 hover:text-yellow-300">Erneut versuchen</button>
+              <button onClick={() => onDiscard?.(entry)} className="text-red-400 hover:text-red-300">Verwerfen</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <button onClick={onClose} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 rounded-lg">Schließen</button>
+    </div>
+  );
+};
+
+// Admin only: assign roles to the accounts that have signed in at least once
+function UserRolesTable({ users, currentUserId, onUpdateUserRole }) {
+  const sortedUsers = useMemo(() => [...users].sort((a, b) => (a.email || "").localeCompare(b.email || "")), [users]);
+
+  return (
+    <div className="bg-black/20 rounded-lg shadow-lg overflow-hidden mt-8">
+      <table className="w-full text-left font-normal">
+        <thead className="bg-black/30">
+          <tr>
+            <th className="p-4">Benutzer</th>
+            <th className="p-4">Rolle</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sortedUsers.map((u) => (
+            <tr key={u.id} className="border-b border-white/10">
+              <td className="p-4">{u.email || u.id}</td>
+              <td className="p-4">
+                <select
+                  value={resolveRole(u.role)}
+                  // an admin can't demote themselves and lock everyone out
+                  disabled={u.id === currentUserId}
+                  onChange={(e) => onUpdateUserRole?.(u.id, e.target.value)}
+                  className="p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400 disabled:opacity-50"
+                >
+                  {Object.entries(ROLES).map(([id, role]) => (
+                    <option key={id} value={id}>{role.label}</option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ManagePlayersScreen({
+  players,
+  ratingConfig,
+  users,
+  currentUserId,
+  onRatingConfigChange,
+  onAddPlayer,
+  onUpdatePlayer,
+  onDeletePlayer,
+  onUploadPlayerImage,
+  onUpdateUserRole,
+  onRebuildRanking,
+  onOpenDataTransfer
+}) {
   const [modalState, setModalState] = useState({ type: null, player: null });
 
   const sortedPlayers = useMemo(() => {
@@ -511,7 +1201,7 @@ function ManagePlayersScreen({ players, onAddPlayer, onUpdatePlayer, onDeletePla
     <div className="p-4 md:p-8 text-white">
       <Modal isOpen={modalState.type !== null} onClose={() => setModalState({ type: null, player: null })}>
         {(modalState.type === "add" || modalState.type === "edit") && (
-          <PlayerForm onSave={handleSavePlayer} player={modalState.player} />
+          <PlayerForm onSave={handleSavePlayer} onUploadImage={onUploadPlayerImage} player={modalState.player} />
         )}
         {modalState.type === "delete" && (
           <ConfirmationDialog
@@ -522,8 +1212,62 @@ function ManagePlayersScreen({ players, onAddPlayer, onUpdatePlayer, onDeletePla
         )}
       </Modal>
 
-      <div className="flex justify-end items-center mb-6">
-        <button onClick={() => setModalState({ type: "add", player: null })} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg">+ Neuer Spieler erstellen</button>
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex items-center gap-4 font-normal">
+          {onRatingConfigChange && (
+            <>
+              <label className="flex items-center gap-2">
+                <span className="text-white/70">Wertung</span>
+                <select
+                  value={ratingConfig.algorithm}
+                  onChange={(e) => onRatingConfigChange?.({ algorithm: e.target.value })}
+                  className="p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                >
+                  {Object.entries(RATING_ALGORITHMS).map(([id, algo]) => (
+                    <option key={id} value={id}>{algo.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="text-white/70">K-Faktor</span>
+                <SettingNumberInput
+                  min={1}
+                  max={100}
+                  value={ratingConfig.kFactor}
+                  onCommit={(kFactor) => onRatingConfigChange?.({ kFactor })}
+                  className="w-20 p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                />
+              </label>
+              <label className="flex items-center gap-2" title="Nach so vielen Tagen ohne Spiel sinkt der Abstand zu 1500 um diesen Anteil pro Woche">
+                <span className="text-white/70">Verfall</span>
+                <SettingNumberInput
+                  min={0}
+                  max={100}
+                  value={ratingConfig.decayWeeklyPercent}
+                  onCommit={(decayWeeklyPercent) => onRatingConfigChange?.({ decayWeeklyPercent })}
+                  className="w-16 p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                />
+                <span className="text-white/70">% pro Woche nach</span>
+                <SettingNumberInput
+                  min={0}
+                  value={ratingConfig.decayGraceDays}
+                  onCommit={(decayGraceDays) => onRatingConfigChange?.({ decayGraceDays })}
+                  className="w-16 p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                />
+                <span className="text-white/70">Tagen</span>
+              </label>
+            </>
+          )}
+        </div>
+        <div className="flex items-center gap-4">
+          {onOpenDataTransfer && (
+            <button onClick={onOpenDataTransfer} className="bg-white/10 hover:bg-white/20 text-white font-bold py-2 px-4 rounded-lg">Import / Export</button>
+          )}
+          {onRebuildRanking && (
+            <button onClick={onRebuildRanking} className="bg-white/10 hover:bg-white/20 text-white font-bold py-2 px-4 rounded-lg">Ranking neu berechnen</button>
+          )}
+          <button onClick={() => setModalState({ type: "add", player: null })} className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg">+ Neuer Spieler erstellen</button>
+        </div>
       </div>
 
       <div className="bg-black/20 rounded-lg shadow-lg overflow-hidden">
@@ -534,100 +1278,1644 @@ function ManagePlayersScreen({ players, onAddPlayer, onUpdatePlayer, onDeletePla
               <th className="p-4">Vorname</th>
               <th className="p-4">Land</th>
               <th className="p-4">Bild</th>
-              <th className="p-4">Aktion</th>
+              {onDeletePlayer && <th className="p-4">Aktion</th>}
             </tr>
           </thead>
           <tbody>
             {sortedPlayers.map((p) => (
-              <tr key={p.id} className="border-b border-white/10 hover:bg-white/5">
-                <td className="p-4 cursor-pointer" onClick={() => setModalState({ type: "edit", player: p })}>{p.lastName}</td>
+              <tr key={p.id} className={`border-b border-white/10 hover:bg-white/5 ${p.isActive === false ? "opacity-50" : ""}`}>
+                <td className="p-4 cursor-pointer" onClick={() => setModalState({ type: "edit", player: p })}>
+                  {p.lastName}
+                  {p.isActive === false && <span className="ml-2 text-sm text-white/60">(inaktiv)</span>}
+                </td>
                 <td className="p-4 cursor-pointer" onClick={() => setModalState({ type: "edit", player: p })}>{p.firstName}</td>
                 <td className="p-4 cursor-pointer" onClick={() => setModalState({ type: "edit", player: p })}>{p.country}</td>
                 <td className="p-4">
                   {/* eslint-disable-next-line @next/next/no-img-element */}
-                  <img src={p.img || placeholderFor(p.firstName, p.lastName)} alt={p.firstName} className="w-10 h-12 object-cover rounded-sm" />
-                </td>
-                <td className="p-4">
-                  <button onClick={() => setModalState({ type: "delete", player: p })} className="text-red-500 hover:text-red-400 text-2xl font-bold">&times;</button>
+                  <img src={playerImageSrc(p)} alt={p.firstName} className="w-10 h-12 object-cover rounded-sm" />
                 </td>
+                {onDeletePlayer && (
+                  <td className="p-4">
+                    <button onClick={() => setModalState({ type: "delete", player: p })} className="text-red-500 hover:text-red-400 text-2xl font-bold">&times;</button>
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+
+      {users && <UserRolesTable users={users} currentUserId={currentUserId} onUpdateUserRole={onUpdateUserRole} />}
     </div>
   );
 }
 
-function StatisticsScreen({ players, currentSeason, onSeasonClose }) {
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  const sorted = useMemo(() => [...players].sort((a, b) => b.score - a.score), [players]);
+const REBUILD_FIELD_LABELS = {
+  score: "Punkte",
+  gamesWon: "Siege",
+  gamesLost: "Niederlagen",
+  totalGames: "Spiele",
+  gamesAsStriker: "Spiele Sturm",
+  gamesAsDefender: "Spiele Abwehr",
+  goalsAsStriker: "Tore Sturm",
+  goalsAsDefender: "Tore Abwehr",
+  gamesSolo: "Spiele allein",
+  goalsSolo: "Tore allein",
+  gamesSingles: "Einzel",
+  goalsSingles: "Tore Einzel",
+  shutoutWins: "Zu-Null-Siege",
+  totalPlaytime: "Spielzeit",
+  currentWinStreak: "Siegesserie",
+  maxWinStreak: "Beste Serie",
+  currentLossStreak: "Niederlagenserie",
+  maxLossStreak: "Längste Niederlagenserie",
+  lastPlayedAt: "Zuletzt gespielt"
+};
+
+const formatStat = (field, value) => {
+  if (field === "totalPlaytime") return formatDuration(value);
+  if (field === "lastPlayedAt") return value ? formatDateTime(new Date(value)) : "–";
+  return Math.round(value * 10) / 10;
+};
+
+// Admin tool: replays the match log with a (possibly new) rating config and shows what would change
+function RebuildRankingScreen({ dataProvider, players, seasonHistory, ratingConfig, onApply, onClose }) {
+  const allMatches = useAllMatches(dataProvider);
+  const matches = useMemo(() => allMatches || [], [allMatches]);
+  const isLoading = allMatches === null;
+  const [config, setConfig] = useState(ratingConfig);
+  const [isApplying, setIsApplying] = useState(false);
+
+  // seasons closed before reset strategies existed were hard resets
+  const seasonResets = useMemo(
+    () =>
+      seasonHistory
+        .filter((h) => Number.isFinite(h.endDate?.toMillis?.()))
+        .map((h) => ({ endMs: h.endDate.toMillis(), reset: h.reset || "hard", regressPercent: h.regressPercent || 0 })),
+    [seasonHistory]
+  );
+  const result = useMemo(() => replayMatches(players, matches, config, seasonResets), [players, matches, config, seasonResets]);
+  const diff = useMemo(() => rebuildDiff(players, result.players), [players, result]);
+  const unindexed = useMemo(() => unindexedMatchCount(matches), [matches]);
+  const isConfigChange = config.algorithm !== ratingConfig.algorithm || config.kFactor !== ratingConfig.kFactor;
+
+  const handleApply = useCallback(async () => {
+    setIsApplying(true);
+    try {
+      await onApply?.(config, result);
+      onClose?.();
+    } finally {
+      setIsApplying(false);
+    }
+  }, [config, result, onApply, onClose]);
+
+  const inputClass = "p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400";
 
   return (
-    <div className="p-4 md:p-8 text-white">
-      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
-        <ConfirmationDialog
-          message={`Saison ${currentSeason} wirklich schließen? Der Sieger wird ermittelt und die Punktestände werden zurückgesetzt.`}
-          onConfirm={() => {
-            onSeasonClose?.();
-            setIsModalOpen(false);
-          }}
-          onCancel={() => setIsModalOpen(false)}
-        />
-      </Modal>
+    <div className="fixed inset-0 bg-[#111111] z-40 overflow-y-auto text-white">
+      <div className="max-w-4xl mx-auto p-4 md:p-8">
+        <div className="flex justify-between items-start mb-8">
+          <h1 className="text-5xl font-thin">Ranking neu berechnen</h1>
+          <button onClick={onClose} className="text-white/70 hover:text-white text-4xl font-bold" aria-label="Schließen">&times;</button>
+        </div>
 
-      <div className="flex justify-end items-center mb-8">
-        <button onClick={() => setIsModalOpen(true)} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg">Saison schließen</button>
-      </div>
+        <div className="flex flex-wrap items-center gap-4 mb-6 font-normal">
+          <label className="flex items-center gap-2">
+            <span className="text-white/70">Wertung</span>
+            <select value={config.algorithm} onChange={(e) => setConfig((prev) => ({ ...prev, algorithm: e.target.value }))} className={inputClass}>
+              {Object.entries(RATING_ALGORITHMS).map(([id, algo]) => (
+                <option key={id} value={id}>{algo.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-white/70">K-Faktor</span>
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={config.kFactor}
+              onChange={(e) => {
+                const kFactor = Number(e.target.value);
+                if (kFactor > 0) setConfig((prev) => ({ ...prev, kFactor }));
+              }}
+              className={`w-20 ${inputClass}`}
+            />
+          </label>
+        </div>
 
-      <div className="max-w-4xl mx-auto">
-        <div className="bg-black/20 rounded-lg shadow-lg">
-          {sorted.map((player, i) => (
-            <div key={player.id} className={`flex items-center p-4 border-b border-white/10 ${i === 0 ? "bg-yellow-500/20" : ""} cursor-pointer hover:bg-white/5`}>
-              <div className="text-2xl font-bold w-12 text-center">{i + 1}</div>
-              {/* eslint-disable-next-line @next/next/no-img-element */}
-              <img src={player.img || placeholderFor(player.firstName, player.lastName)} alt={`${player.firstName} ${player.lastName}`} className="w-12 h-16 object-cover rounded-md mx-4" />
-              <div className="flex-grow">
-                <h3 className="text-xl font-bold">{`${player.firstName} ${player.lastName}`}</h3>
-                <p className="text-sm font-normal">{player.country}</p>
-              </div>
-              <div className="text-right">
-                <div className="text-xl font-bold text-yellow-400">{player.score}</div>
-                <div className="text-sm text-green-400">G: {player.gamesWon || 0}</div>
-                <div className="text-sm text-red-400">V: {player.gamesLost || 0}</div>
+        <p className="text-white/70 font-normal mb-6">
+          {isLoading ? (
+            "Spiele werden geladen…"
+          ) : (
+            <>
+              {Object.keys(result.matches).length} Spiele nachgerechnet · {diff.length} {diff.length === 1 ? "Spieler weicht" : "Spieler weichen"} ab
+              {isConfigChange && " · die Wertung wird beim Übernehmen umgestellt"}
+              {unindexed > 0 && ` · ${unindexed} ältere Spiele werden für den Spielerfilter nachgetragen`}
+            </>
+          )}
+        </p>
+
+        <div className="bg-black/20 rounded-lg shadow-lg mb-8">
+          {!isLoading && diff.length === 0 && <p className="p-4 text-white/50 font-normal">Alle gespeicherten Werte stimmen mit dem Spielverlauf überein.</p>}
+          {diff.map(({ player, changes }) => (
+            <div key={player.id} className="p-4 border-b border-white/10">
+              <h3 className="text-lg font-bold mb-2">{`${player.firstName} ${player.lastName}`}</h3>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-1 text-sm font-normal">
+                {changes.map(({ field, before, after }) => (
+                  <span key={field}>
+                    <span className="text-white/50">{REBUILD_FIELD_LABELS[field] || field}: </span>
+                    {formatStat(field, before)} → <span className={after > before ? "text-green-400" : "text-red-400"}>{formatStat(field, after)}</span>
+                  </span>
+                ))}
               </div>
             </div>
           ))}
         </div>
-      </div>
+
+        <div className="flex justify-end gap-4">
+          <button onClick={onClose} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-8 text-lg rounded-lg">Abbrechen</button>
+          <button
+            onClick={handleApply}
+            disabled={isApplying || isLoading || (diff.length === 0 && !isConfigChange && unindexed === 0)}
+            className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-bold py-3 px-8 text-lg rounded-lg"
+          >
+            {isApplying ? "Wird geschrieben…" : "Übernehmen"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const BACKUP_COLLECTION_LABELS = {
+  players: "Spieler",
+  matches: "Spiele",
+  seasonHistory: "Saisons",
+  tournaments: "Turniere",
+  appState: "Einstellungen"
+};
+
+// Admin tool: downloads backups and CSVs; imports are checked and previewed before anything is written
+function DataTransferScreen({ players, onExportBackup, onExportCsv, onImportPlayers, onRestoreBackup, onClose }) {
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const handleFile = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (!file) return;
+      setMessage("");
+      try {
+        const text = await file.text();
+        if (file.name.toLowerCase().endsWith(".json")) {
+          setPreview({ type: "backup", fileName: file.name, ...validateBackup(JSON.parse(text)) });
+        } else {
+          setPreview({ type: "players", fileName: file.name, ...parsePlayersCsv(text, players) });
+        }
+      } catch (err) {
+        console.error("Error reading import file:", err);
+        setPreview({ type: "invalid", fileName: file.name, errors: ["Die Datei konnte nicht gelesen werden."], warnings: [] });
+      }
+    },
+    [players]
+  );
+
+  const run = useCallback(async (action) => {
+    setIsWorking(true);
+    try {
+      return await action();
+    } finally {
+      setIsWorking(false);
+    }
+  }, []);
+
+  const handleImport = useCallback(async () => {
+    const isDone = await run(() => (preview.type === "backup" ? onRestoreBackup?.(preview.collections) : onImportPlayers?.(preview.players)));
+    if (isDone) {
+      setMessage(`${preview.fileName} wurde importiert.`);
+      setPreview(null);
+    }
+  }, [preview, run, onRestoreBackup, onImportPlayers]);
+
+  const importCount =
+    preview?.type === "backup"
+      ? BACKUP_COLLECTIONS.reduce((sum, name) => sum + (preview.collections[name]?.length || 0), 0)
+      : preview?.players?.length || 0;
+  const buttonClass = "bg-white/10 hover:bg-white/20 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg";
+
+  return (
+    <div className="fixed inset-0 bg-[#111111] z-40 overflow-y-auto text-white">
+      <div className="max-w-4xl mx-auto p-4 md:p-8">
+        <div className="flex justify-between items-start mb-8">
+          <h1 className="text-5xl font-thin">Import / Export</h1>
+          <button onClick={onClose} className="text-white/70 hover:text-white text-4xl font-bold" aria-label="Schließen">&times;</button>
+        </div>
+
+        <h2 className="text-2xl font-light mb-4">Export</h2>
+        <div className="flex flex-wrap gap-4 mb-10">
+          <button onClick={() => run(onExportBackup)} disabled={isWorking} className={buttonClass}>Backup (JSON)</button>
+          {Object.entries(CSV_EXPORTS).map(([name, { label }]) => (
+            <button key={name} onClick={() => run(() => onExportCsv?.(name))} disabled={isWorking} className={buttonClass}>{label} (CSV)</button>
+          ))}
+        </div>
+
+        <h2 className="text-2xl font-light mb-2">Import</h2>
+        <p className="text-white/70 font-normal mb-4">
+          Spieler-CSV mit den Spalten Vorname, Nachname, Land (optional Bild, Aktiv) legt neue Spieler an. Ein JSON-Backup lässt sich nur in ein leeres Projekt zurückspielen.
+        </p>
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="mb-6 font-normal" />
+        {message && <p className="text-green-400 font-normal mb-6">{message}</p>}
+
+        {preview && (
+          <div className="bg-black/20 rounded-lg shadow-lg p-4 mb-8 font-normal">
+            <h3 className="text-lg font-bold mb-2">Vorschau: {preview.fileName}</h3>
+            {preview.type === "backup" && (
+              <p className="mb-2">
+                {BACKUP_COLLECTIONS.map((name) => `${preview.collections[name]?.length || 0} ${BACKUP_COLLECTION_LABELS[name]}`).join(" · ")}
+              </p>
+            )}
+            {preview.type === "players" && preview.players.length > 0 && (
+              <ul className="mb-2 grid grid-cols-2 md:grid-cols-3 gap-x-6">
+                {preview.players.map((p) => (
+                  <li key={`${p.firstName}-${p.lastName}`}>
+                    {p.firstName} {p.lastName} <span className="text-white/50">({p.country}{p.isActive ? "" : ", inaktiv"})</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {preview.errors.map((error) => <p key={error} className="text-red-400">{error}</p>)}
+            {preview.warnings.map((warning) => <p key={warning} className="text-yellow-400">{warning}</p>)}
+            <div className="flex justify-end gap-4 mt-4">
+              <button onClick={() => setPreview(null)} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-8 text-lg rounded-lg">Verwerfen</button>
+              <button
+                onClick={handleImport}
+                disabled={isWorking || preview.errors.length > 0 || importCount === 0}
+                className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-bold py-3 px-8 text-lg rounded-lg"
+              >
+                {isWorking ? "Wird geschrieben…" : `${importCount} ${importCount === 1 ? "Eintrag" : "Einträge"} importieren`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SeasonCountdown({ seasonNumber, endMs }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(t);
+  }, []);
+
+  return (
+    <p className="text-lg font-light">
+      Saison {seasonNumber} endet in <span className="font-bold text-yellow-400">{formatCountdown(endMs - now)}</span>
+      <span className="text-white/50 text-sm font-normal"> · {formatDateTime(new Date(endMs))}</span>
+    </p>
+  );
+}
+
+function StatisticsScreen({
+  players,
+  currentSeason,
+  seasonEndMs,
+  seasonSchedule,
+  seasonGames = {},
+  onSeasonClose,
+  onScheduleChange,
+  onSelectPlayer
+}) {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const sorted = useMemo(() => [...players].sort((a, b) => b.score - a.score), [players]);
+  const minGames = seasonSchedule?.minGames || 0;
+  // the highlighted leader is who would win the title right now
+  const leaderId = useMemo(() => sorted.find((p) => (seasonGames[p.id] || 0) >= minGames)?.id, [sorted, seasonGames, minGames]);
+
+  return (
+    <div className="p-4 md:p-8 text-white">
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
+        <ConfirmationDialog
+          message={`Saison ${currentSeason} wirklich schließen? Der Sieger wird ermittelt und die Punktestände werden ${
+            seasonSchedule?.reset === "carry" ? "übernommen" : seasonSchedule?.reset === "regress" ? "Richtung Mittelwert gezogen" : "zurückgesetzt"
+          }.`}
+          onConfirm={() => {
+            onSeasonClose?.();
+            setIsModalOpen(false);
+          }}
+          onCancel={() => setIsModalOpen(false)}
+        />
+      </Modal>
+
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-8">
+        <div>{seasonEndMs !== null && seasonEndMs !== undefined && <SeasonCountdown seasonNumber={currentSeason} endMs={seasonEndMs} />}</div>
+        <div className="flex items-center gap-4 font-normal">
+          {onScheduleChange && (
+            <>
+              <label className="flex items-center gap-2">
+                <span className="text-white/70">Saisons</span>
+                <select
+                  value={seasonSchedule.cadence}
+                  onChange={(e) => onScheduleChange({ cadence: e.target.value })}
+                  className="p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                >
+                  {Object.entries(SEASON_CADENCES).map(([id, cadence]) => (
+                    <option key={id} value={id}>{cadence.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="text-white/70">Min. Spiele</span>
+                <SettingNumberInput
+                  min={0}
+                  value={minGames}
+                  onCommit={(value) => onScheduleChange({ minGames: value })}
+                  className="w-20 p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="text-white/70">Punkte danach</span>
+                <select
+                  value={seasonSchedule.reset}
+                  onChange={(e) => onScheduleChange({ reset: e.target.value })}
+                  className="p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                >
+                  {Object.entries(SEASON_RESETS).map(([id, reset]) => (
+                    <option key={id} value={id}>{reset.label}</option>
+                  ))}
+                </select>
+              </label>
+              {seasonSchedule.reset === "regress" && (
+                <label className="flex items-center gap-2">
+                  <SettingNumberInput
+                    min={0}
+                    max={100}
+                    value={seasonSchedule.regressPercent}
+                    onCommit={(regressPercent) => onScheduleChange({ regressPercent })}
+                    className="w-20 p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+                  />
+                  <span className="text-white/70">%</span>
+                </label>
+              )}
+            </>
+          )}
+          {onSeasonClose && (
+            <button onClick={() => setIsModalOpen(true)} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg">Saison schließen</button>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-black/20 rounded-lg shadow-lg">
+          {sorted.map((player, i) => (
+            <div
+              key={player.id}
+              className={`flex items-center p-4 border-b border-white/10 ${player.id === leaderId ? "bg-yellow-500/20" : ""} cursor-pointer hover:bg-white/5`}
+              onClick={() => onSelectPlayer?.(player.id)}
+            >
+              <div className="text-2xl font-bold w-12 text-center">{i + 1}</div>
+              {/* eslint-disable-next-line @next/next/no-img-element */}
+              <img src={playerImageSrc(player)} alt={`${player.firstName} ${player.lastName}`} className="w-12 h-16 object-cover rounded-md mx-4" />
+              <div className="flex-grow">
+                <h3 className="text-xl font-bold flex items-center gap-3">
+                  {`${player.firstName} ${player.lastName}`}
+                  <StreakBadge player={player} />
+                </h3>
+                <p className="text-sm font-normal">
+                  {player.country}
+                  {(player.maxWinStreak || 0) > 0 && <span className="text-white/50"> · Beste Serie: {player.maxWinStreak}</span>}
+                  {(seasonGames[player.id] || 0) < minGames && (
+                    <span className="text-white/50"> · noch {minGames - (seasonGames[player.id] || 0)} Spiele bis zur Titelwertung</span>
+                  )}
+                </p>
+              </div>
+              <div className="text-right">
+                <div className="text-xl font-bold text-yellow-400">{player.score}</div>
+                <div className="text-sm text-green-400">G: {player.gamesWon || 0}</div>
+                <div className="text-sm text-red-400">V: {player.gamesLost || 0}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const percent = (part, whole) => (whole > 0 ? `${Math.round((part / whole) * 100)}%` : "–");
+const ratio = (part, whole) => (whole > 0 ? (part / whole).toFixed(2) : "–");
+
+const StatTile = ({ label, value, hint }) => (
+  <div className="bg-black/30 rounded-lg p-4">
+    <p className="text-sm text-white/50 font-normal">{label}</p>
+    <p className="text-3xl font-light">{value}</p>
+    {hint && <p className="text-xs text-white/40 font-normal">{hint}</p>}
+  </div>
+);
+
+function ScoreChart({ points, width = 600, height = 160 }) {
+  if (points.length < 2) {
+    return <p className="text-white/50 font-normal">Noch nicht genug Spiele für einen Verlauf.</p>;
+  }
+  const scores = points.map((p) => p.score);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  const span = max - min || 1;
+  const pad = 8;
+  const x = (i) => pad + (i / (points.length - 1)) * (width - 2 * pad);
+  const y = (score) => height - pad - ((score - min) / span) * (height - 2 * pad);
+  const path = points.map((p, i) => `${x(i)},${y(p.score)}`).join(" ");
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40" role="img" aria-label="Punkteverlauf">
+        <polyline points={path} fill="none" stroke="#FACC15" strokeWidth={2} />
+      </svg>
+      <div className="flex justify-between text-xs text-white/50 font-normal">
+        <span>{formatDateTime(new Date(points[0].time))}</span>
+        <span>min {min} · max {max}</span>
+        <span>{formatDateTime(new Date(points[points.length - 1].time))}</span>
+      </div>
+    </div>
+  );
+}
+
+const RelationList = ({ title, entries, names }) => (
+  <div>
+    <h3 className="text-xl font-light mb-2">{title}</h3>
+    {entries.length === 0 && <p className="text-white/50 font-normal">Zu wenige gemeinsame Spiele.</p>}
+    <ul className="font-normal">
+      {entries.map((e) => (
+        <li key={e.id} className="flex justify-between py-1 border-b border-white/10">
+          <span>{names[e.id] || "Unbekannt"}</span>
+          <span className="text-white/70">
+            {e.wins}:{e.losses} · {percent(e.wins, e.games)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const MIN_RELATION_GAMES = 2;
+
+function PlayerProfileScreen({ dataProvider, player, players, onClose }) {
+  // partners, form and the score curve cover the player's whole career
+  const allMatches = useAllMatches(dataProvider);
+  const matches = useMemo(
+    () => (allMatches || []).filter((m) => !m.voided && matchPerspective(m, player.id)),
+    [allMatches, player.id]
+  );
+
+  const names = useMemo(() => {
+    const fromMatches = playerNamesFromMatches(matches);
+    players.forEach((p) => {
+      fromMatches[p.id] = `${p.firstName} ${p.lastName}`;
+    });
+    return fromMatches;
+  }, [matches, players]);
+
+  const partners = useMemo(
+    () =>
+      relationStats(matches, player.id, "partnerIds")
+        .filter((e) => e.games >= MIN_RELATION_GAMES)
+        .sort((a, b) => b.winRate - a.winRate || b.games - a.games)
+        .slice(0, 3),
+    [matches, player.id]
+  );
+  const nemeses = useMemo(
+    () =>
+      relationStats(matches, player.id, "opponentIds")
+        .filter((e) => e.games >= MIN_RELATION_GAMES)
+        .sort((a, b) => a.winRate - b.winRate || b.losses - a.losses)
+        .slice(0, 3),
+    [matches, player.id]
+  );
+  const form = useMemo(() => recentForm(matches, player.id), [matches, player.id]);
+  const timeline = useMemo(() => scoreTimeline(matches, player.id), [matches, player.id]);
+  const unlocked = player.achievements || {};
+
+  const {
+    totalGames = 0,
+    gamesWon = 0,
+    gamesLost = 0,
+    gamesAsStriker = 0,
+    gamesAsDefender = 0,
+    goalsAsStriker = 0,
+    goalsAsDefender = 0,
+    shutoutWins = 0,
+    totalPlaytime = 0,
+    seasonsWon = 0,
+    tournamentsWon = 0
+  } = player;
+
+  return (
+    <div className="fixed inset-0 bg-[#111111] z-40 overflow-y-auto text-white">
+      <div className="max-w-4xl mx-auto p-4 md:p-8">
+        <div className="flex justify-between items-start mb-8">
+          <div className="flex items-center gap-6">
+            {/* eslint-disable-next-line @next/next/no-img-element */}
+            <img src={playerImageSrc(player)} alt={`${player.firstName} ${player.lastName}`} className="w-24 h-32 object-cover rounded-md" />
+            <div>
+              <h1 className="text-5xl font-thin flex items-center gap-4">
+                {`${player.firstName} ${player.lastName}`}
+                <StreakBadge player={player} />
+              </h1>
+              <p className="text-lg font-light text-white/70">
+                {player.country} · {player.score} Punkte{seasonsWon > 0 ? ` · ${seasonsWon}× Saisonsieger` : ""}
+                {tournamentsWon > 0 ? ` · ${tournamentsWon}× Turniersieger` : ""}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-white/70 hover:text-white text-4xl font-bold" aria-label="Schließen">&times;</button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          <StatTile label="Siegquote" value={percent(gamesWon, totalGames)} hint={`${gamesWon} S · ${gamesLost} N`} />
+          <StatTile label="Tore/Spiel Sturm" value={ratio(goalsAsStriker, gamesAsStriker)} hint={`${gamesAsStriker} Spiele`} />
+          <StatTile label="Tore/Spiel Abwehr" value={ratio(goalsAsDefender, gamesAsDefender)} hint={`${gamesAsDefender} Spiele`} />
+          <StatTile label="Ø Spieldauer" value={totalGames > 0 ? formatDuration(totalPlaytime / totalGames) : "–"} />
+          <StatTile label="Zu-Null-Siege" value={percent(shutoutWins, gamesWon)} hint={`${shutoutWins} der Siege`} />
+          <StatTile label="Beste Serie" value={player.maxWinStreak || 0} />
+          <StatTile label="Spiele" value={totalGames} />
+          <StatTile label="Tore" value={goalsAsStriker + goalsAsDefender + (player.goalsSolo || 0) + (player.goalsSingles || 0)} />
+          {player.ratings?.singles && (
+            <StatTile label="Einzel-Rating (1:1)" value={Math.round(player.ratings.singles.rating)} hint={`${player.gamesSingles || 0} Spiele`} />
+          )}
+        </div>
+
+        <div className="bg-black/20 rounded-lg p-4 mb-8">
+          <h3 className="text-xl font-light mb-2">Punkteverlauf</h3>
+          <ScoreChart points={timeline} />
+        </div>
+
+        <div className="mb-8">
+          <h3 className="text-xl font-light mb-2">Erfolge</h3>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3 font-normal">
+            {Object.entries(ACHIEVEMENTS).map(([id, a]) => (
+              <div key={id} className={`flex items-center gap-3 rounded-lg p-3 ${unlocked[id] ? "bg-yellow-500/20" : "bg-black/20 opacity-40"}`}>
+                <span className="text-2xl" aria-hidden="true">{a.icon}</span>
+                <div>
+                  <p>{a.label}</p>
+                  <p className="text-xs text-white/60">
+                    {unlocked[id] ? `${a.description} · ${formatDateTime(new Date(unlocked[id].unlockedAt))}` : a.description}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="mb-8">
+          <h3 className="text-xl font-light mb-2">Form</h3>
+          <div className="flex gap-2">
+            {form.length === 0 && <p className="text-white/50 font-normal">Noch keine Spiele.</p>}
+            {form.map((r, i) => (
+              <span key={i} className={`w-8 h-8 flex items-center justify-center rounded font-bold ${r === "W" ? "bg-green-600" : "bg-red-600"}`}>
+                {r === "W" ? "S" : "N"}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-8">
+          <RelationList title="Beste Partner" entries={partners} names={names} />
+          <RelationList title="Angstgegner" entries={nemeses} names={names} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const OddsLabel = ({ probability }) =>
+  probability === null || probability === undefined ? null : (
+    <p className="text-sm font-normal whitespace-nowrap">
+      {Math.round(probability * 100)}% : {100 - Math.round(probability * 100)}%
+    </p>
+  );
+
+const ChemistryLabel = ({ chemistry }) => {
+  if (!chemistry) return null;
+  const { score, games } = chemistry;
+  const tone = score > 0 ? "text-green-200" : score < 0 ? "text-black/70" : "text-white/70";
+  return (
+    <p className={`text-sm font-normal ${tone}`}>
+      Chemie {score > 0 ? "+" : ""}{score} · {games} {games === 1 ? "Spiel" : "Spiele"} zusammen
+    </p>
+  );
+};
+
+function AnalyticsScreen({ dataProvider, players }) {
+  const [minGames, setMinGames] = useState(3);
+  const allMatches = useAllMatches(dataProvider);
+  const matches = useMemo(() => (allMatches || []).filter((m) => !m.voided), [allMatches]);
+
+  const names = useMemo(() => {
+    const fromMatches = playerNamesFromMatches(matches);
+    players.forEach((p) => {
+      fromMatches[p.id] = `${p.firstName} ${p.lastName}`;
+    });
+    return fromMatches;
+  }, [matches, players]);
+
+  const pairs = useMemo(() => pairLeaderboard(matches, minGames), [matches, minGames]);
+  const matrix = useMemo(() => headToHeadMatrix(matches), [matches]);
+  const quickest = useMemo(() => fastestGoals(matches), [matches]);
+  const matrixPlayers = useMemo(
+    () => [...players].filter((p) => matrix[p.id]).sort((a, b) => b.score - a.score),
+    [players, matrix]
+  );
+
+  return (
+    <div className="p-4 md:p-8 text-white">
+      <div className="max-w-5xl mx-auto space-y-10">
+        <section>
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-3xl font-thin">Duos</h3>
+            <label className="flex items-center gap-2 font-normal">
+              <span className="text-white/70">Min. Spiele</span>
+              <input
+                type="number"
+                min={1}
+                value={minGames}
+                onChange={(e) => setMinGames(Math.max(1, Number(e.target.value) || 1))}
+                className="w-20 p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400"
+              />
+            </label>
+          </div>
+          <div className="bg-black/20 rounded-lg shadow-lg">
+            {pairs.length === 0 && <p className="p-4 text-white/50 font-normal">Keine Duos mit genug Spielen.</p>}
+            {pairs.map((pair, i) => (
+              <div key={pair.ids.join("|")} className="flex items-center p-4 border-b border-white/10 font-normal">
+                <div className="text-2xl font-bold w-12 text-center">{i + 1}</div>
+                <div className="flex-grow text-lg">{pair.ids.map((id) => names[id] || "Unbekannt").join(" & ")}</div>
+                <div className="text-right">
+                  <div className="text-xl font-bold text-yellow-400">{percent(pair.wins, pair.games)}</div>
+                  <div className="text-sm text-white/70">{pair.wins} S · {pair.losses} N</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h3 className="text-3xl font-thin mb-4">Schnellste Tore</h3>
+          <p className="text-sm text-white/50 font-normal mb-2">Zeit seit Anstoß oder dem vorigen Tor.</p>
+          <div className="bg-black/20 rounded-lg shadow-lg">
+            {quickest.length === 0 && <p className="p-4 text-white/50 font-normal">Noch keine Spiele mit Torzeiten.</p>}
+            {quickest.map((goal, i) => (
+              <div key={`${goal.matchId}-${i}`} className="flex items-center p-4 border-b border-white/10 font-normal">
+                <div className="text-2xl font-bold w-12 text-center">{i + 1}</div>
+                <div className="flex-grow text-lg">
+                  {names[goal.playerId] || goal.name || "Unbekannt"}
+                  {goal.type !== DEFAULT_GOAL_TYPE && GOAL_TYPES[goal.type] && <span className="text-white/50"> · {GOAL_TYPES[goal.type].label}</span>}
+                </div>
+                <div className="text-right">
+                  <div className="text-xl font-bold text-yellow-400 tabular-nums">{(goal.ms / 1000).toFixed(1)} s</div>
+                  <div className="text-sm text-white/70">{formatDateTime(new Date(goal.time))}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h3 className="text-3xl font-thin mb-4">Direktvergleich</h3>
+          <p className="text-sm text-white/50 font-normal mb-2">Siege der Zeile gegen die Spalte.</p>
+          <div className="overflow-x-auto bg-black/20 rounded-lg shadow-lg">
+            <table className="text-sm font-normal">
+              <thead className="bg-black/30">
+                <tr>
+                  <th className="p-2" />
+                  {matrixPlayers.map((p) => (
+                    <th key={p.id} className="p-2 font-normal text-white/70" title={`${p.firstName} ${p.lastName}`}>
+                      {p.firstName[0]}{p.lastName[0]}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matrixPlayers.map((row) => (
+                  <tr key={row.id} className="border-b border-white/10">
+                    <th className="p-2 text-left font-normal whitespace-nowrap">{`${row.firstName} ${row.lastName}`}</th>
+                    {matrixPlayers.map((col) => {
+                      const cell = matrix[row.id]?.[col.id];
+                      if (row.id === col.id || !cell) return <td key={col.id} className="p-2 text-center text-white/20">·</td>;
+                      const rate = cell.wins / cell.games;
+                      const tone = rate > 0.5 ? "bg-green-600/40" : rate < 0.5 ? "bg-red-600/40" : "bg-white/10";
+                      return (
+                        <td key={col.id} className={`p-2 text-center ${tone}`} title={`${cell.games} Spiele`}>
+                          {cell.wins}:{cell.games - cell.wins}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const formatRecordValue = (record) => {
+  if (record.format === "duration") return formatDuration(record.value);
+  if (record.format === "seconds") return `${(record.value / 1000).toFixed(1)} s`;
+  return `${record.value} ${record.unit}`;
+};
+
+// All-time records and who unlocked which badge
+function HallOfFameScreen({ dataProvider, players }) {
+  const allMatches = useAllMatches(dataProvider);
+  const matches = useMemo(() => (allMatches || []).filter((m) => !m.voided), [allMatches]);
+  const records = useMemo(() => hallOfFame(players, matches), [players, matches]);
+  const badgeHolders = useMemo(
+    () =>
+      Object.keys(ACHIEVEMENTS).map((id) => ({
+        id,
+        holders: players
+          .filter((p) => p.achievements?.[id])
+          .sort((a, b) => a.achievements[id].unlockedAt - b.achievements[id].unlockedAt)
+      })),
+    [players]
+  );
+
+  return (
+    <div className="p-4 md:p-8 text-white">
+      <div className="max-w-5xl mx-auto space-y-10">
+        <section>
+          <h3 className="text-3xl font-thin mb-4">Rekorde</h3>
+          <div className="bg-black/20 rounded-lg shadow-lg">
+            {records.length === 0 && <p className="p-4 text-white/50 font-normal">Noch keine Rekorde.</p>}
+            {records.map((record) => (
+              <div key={record.id} className="flex items-center p-4 border-b border-white/10 font-normal">
+                <div className="flex-grow">
+                  <p className="text-sm text-white/50">{record.label}</p>
+                  <p className="text-lg">{record.holderIds.map((id) => record.names[id] || "Unbekannt").join(", ")}</p>
+                </div>
+                <div className="text-xl font-bold text-yellow-400 text-right">{formatRecordValue(record)}</div>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <h3 className="text-3xl font-thin mb-4">Erfolge</h3>
+          <div className="grid md:grid-cols-2 gap-4">
+            {badgeHolders.map(({ id, holders }) => (
+              <div key={id} className="bg-black/20 rounded-lg p-4 font-normal">
+                <p className="text-lg">
+                  <span className="mr-2" aria-hidden="true">{ACHIEVEMENTS[id].icon}</span>
+                  {ACHIEVEMENTS[id].label}
+                </p>
+                <p className="text-sm text-white/50 mb-2">{ACHIEVEMENTS[id].description}</p>
+                <p className="text-sm">
+                  {holders.length === 0 ? <span className="text-white/50">Noch niemand</span> : holders.map((p) => `${p.firstName} ${p.lastName}`).join(", ")}
+                </p>
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const SEASON_HIGHLIGHTS = [
+  { key: "topScorer", label: "Torschützenkönig", unit: "Tore" },
+  { key: "longestStreak", label: "Längste Siegesserie", unit: "Siege in Folge" },
+  { key: "mostShutouts", label: "Meiste Zu-Null-Siege", unit: "Zu-Null-Siege" }
+];
+
+// Frozen final table of a closed season; seasons closed before the archive existed have none
+function SeasonDetail({ season }) {
+  if (!season.standings) {
+    return <p className="p-4 text-white/50">Für diese Saison wurde keine Tabelle archiviert.</p>;
+  }
+  return (
+    <div className="p-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {SEASON_HIGHLIGHTS.map(({ key, label, unit }) => {
+          const highlight = season.highlights?.[key];
+          return <StatTile key={key} label={label} value={highlight?.name || "–"} hint={highlight ? `${highlight.value} ${unit}` : undefined} />;
+        })}
+      </div>
+      <table className="w-full text-left text-sm">
+        <thead className="text-white/50">
+          <tr>
+            <th className="p-2">#</th>
+            <th className="p-2">Spieler</th>
+            <th className="p-2 text-right">Punkte</th>
+            <th className="p-2 text-right">S</th>
+            <th className="p-2 text-right">N</th>
+            <th className="p-2 text-right">Spiele</th>
+            <th className="p-2 text-right">Tore</th>
+          </tr>
+        </thead>
+        <tbody>
+          {season.standings.map((row) => (
+            <tr
+              key={row.playerId}
+              className={`border-t border-white/10 ${row.playerId === season.winnerId ? "bg-yellow-500/20" : ""} ${row.eligible === false ? "text-white/40" : ""}`}
+            >
+              <td className="p-2 font-bold">{row.rank}</td>
+              <td className="p-2">{row.name}</td>
+              <td className="p-2 text-right text-yellow-400 font-bold">{row.score}</td>
+              <td className="p-2 text-right text-green-400">{row.gamesWon}</td>
+              <td className="p-2 text-right text-red-400">{row.gamesLost}</td>
+              <td className="p-2 text-right">{row.games}</td>
+              <td className="p-2 text-right">{row.goals}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {season.matchCount !== undefined && (
+        <p className="text-white/50 mt-2">
+          {season.matchCount} Spiele in dieser Saison
+          {season.minGames > 0 && ` · Titelwertung ab ${season.minGames} Spielen`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function SaisonsScreen({ history }) {
+  const [expandedId, setExpandedId] = useState(null);
+  const sortedHistory = useMemo(() => [...history].sort((a, b) => b.seasonNumber - a.seasonNumber), [history]);
+  return (
+    <div className="p-4 md:p-8 text-white">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-black/20 rounded-lg shadow-lg">
+          <table className="w-full text-left font-normal">
+            <thead className="bg-black/30">
+              <tr>
+                <th className="p-4 text-xl font-normal">Saison</th>
+                <th className="p-4 text-xl font-normal">Sieger</th>
+                <th className="p-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {sortedHistory.map((s) => (
+                <React.Fragment key={s.id}>
+                  <tr
+                    className="border-b border-white/10 cursor-pointer hover:bg-white/5"
+                    onClick={() => setExpandedId((id) => (id === s.id ? null : s.id))}
+                  >
+                    <td className="p-4 text-lg">Saison {s.seasonNumber}</td>
+                    <td className="p-4 text-lg">{s.winnerName || <span className="text-white/50">Kein Sieger</span>}</td>
+                    <td className="p-4 text-right text-white/50">{expandedId === s.id ? "▲" : "▼"}</td>
+                  </tr>
+                  {expandedId === s.id && (
+                    <tr className="border-b border-white/10 bg-black/20">
+                      <td colSpan={3}>
+                        <SeasonDetail season={s} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// =============================
+// TOURNAMENTS
+// =============================
+const TOURNAMENT_STATUS_LABELS = { running: "Läuft", finished: "Beendet" };
+
+function TournamentForm({ players, rulesConfig, onCreate, onCancel }) {
+  const [name, setName] = useState("");
+  const [format, setFormat] = useState(DEFAULT_TOURNAMENT_FORMAT);
+  const [ruleId, setRuleId] = useState(() => findRules(rulesConfig).id);
+  const [pairs, setPairs] = useState([]);
+  const [pick, setPick] = useState({ striker: "", defender: "" });
+  const [error, setError] = useState(null);
+  const rulesOptions = useMemo(() => availableRules(rulesConfig), [rulesConfig]);
+
+  const sortedPlayers = useMemo(
+    () => [...players].sort((a, b) => (a.lastName || "").localeCompare(b.lastName || "")),
+    [players]
+  );
+  // every player plays in one team only
+  const freePlayers = useMemo(() => {
+    const taken = new Set(pairs.flatMap((p) => [p.striker.id, p.defender.id]));
+    return sortedPlayers.filter((p) => !taken.has(p.id));
+  }, [sortedPlayers, pairs]);
+
+  const handlePickChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setPick((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const addTeam = useCallback(() => {
+    const striker = players.find((p) => p.id === pick.striker);
+    const defender = players.find((p) => p.id === pick.defender);
+    if (!striker || !defender || striker.id === defender.id) return;
+    setPairs((prev) => [...prev, { striker, defender }]);
+    setPick({ striker: "", defender: "" });
+    setError(null);
+  }, [players, pick]);
+
+  const removeTeam = useCallback((index) => {
+    setPairs((prev) => prev.filter((_, i) => i !== index));
+  }, []);
+
+  // Seeds follow the list order; drawing shuffles it
+  const drawSeeds = useCallback(() => {
+    setPairs((prev) => {
+      const next = [...prev];
+      for (let i = next.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [next[i], next[j]] = [next[j], next[i]];
+      }
+      return next;
+    });
+  }, []);
+
+  const handleSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      const teams = pairs.map((p, i) => tournamentTeam(p.striker, p.defender, i));
+      const problem = tournamentProblem(name, teams);
+      if (problem) {
+        setError(problem);
+        return;
+      }
+      onCreate({ name, format, teams, rules: findRules(rulesConfig, ruleId) });
+    },
+    [pairs, name, format, rulesConfig, ruleId, onCreate]
+  );
+
+  const inputClass = "p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400 font-normal";
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-black/20 rounded-lg shadow-lg p-4 md:p-6 mb-6 space-y-4 font-normal">
+      <h2 className="text-2xl font-thin">Neues Turnier</h2>
+      <div className="flex flex-wrap gap-4">
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name, z. B. Office Cup Q3" className={`${inputClass} flex-grow`} />
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+          {Object.entries(TOURNAMENT_FORMATS).map(([id, f]) => (
+            <option key={id} value={id}>{f.label}</option>
+          ))}
+        </select>
+        <select value={ruleId} onChange={(e) => setRuleId(e.target.value)} className={inputClass}>
+          {rulesOptions.map((r) => (
+            <option key={r.id} value={r.id}>{r.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-4 items-center">
+        <select name="striker" value={pick.striker} onChange={handlePickChange} className={inputClass} aria-label="Sturm">
+          <option value="">Sturm…</option>
+          {freePlayers.map((p) => (
+            <option key={p.id} value={p.id}>{`${p.firstName} ${p.lastName}`}</option>
+          ))}
+        </select>
+        <select name="defender" value={pick.defender} onChange={handlePickChange} className={inputClass} aria-label="Abwehr">
+          <option value="">Abwehr…</option>
+          {freePlayers.filter((p) => p.id !== pick.striker).map((p) => (
+            <option key={p.id} value={p.id}>{`${p.firstName} ${p.lastName}`}</option>
+          ))}
+        </select>
+        <button type="button" onClick={addTeam} disabled={!pick.striker || !pick.defender} className="bg-white/10 hover:bg-white/20 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg">
+          Team hinzufügen
+        </button>
+      </div>
+
+      {pairs.length > 0 && (
+        <ol className="space-y-1">
+          {pairs.map((p, i) => (
+            <li key={`${p.striker.id}-${p.defender.id}`} className="flex items-center justify-between bg-black/20 rounded-md px-3 py-2">
+              <span>
+                <span className="text-white/50 mr-3">{i + 1}.</span>
+                {`${p.striker.firstName} ${p.striker.lastName}`} (F) · {`${p.defender.firstName} ${p.defender.lastName}`} (D)
+              </span>
+              <button type="button" onClick={() => removeTeam(i)} className="text-white/50 hover:text-white" aria-label="Team entfernen">&times;</button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {error && <p className="text-red-400">{error}</p>}
+      <div className="flex flex-wrap gap-4">
+        <button type="submit" className="bg-yellow-500 hover:bg-yellow-600 text-black font-bold py-2 px-6 rounded-lg">Turnier starten</button>
+        <button type="button" onClick={drawSeeds} disabled={pairs.length < 2} className="bg-white/10 hover:bg-white/20 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg">
+          Setzliste auslosen
+        </button>
+        <button type="button" onClick={onCancel} className="text-white/70 hover:text-white">Abbrechen</button>
+      </div>
+    </form>
+  );
+}
+
+// One pairing in the bracket; a side is a team name, "Freilos" for a bye or "offen" until known
+const FixtureCard = ({ fixture, teamNames, onPlay }) => {
+  const isOver = ["done", "walkover"].includes(fixture.status);
+  return (
+    <div className={`w-48 rounded-md bg-black/30 text-sm font-normal ${fixture.status === "skipped" ? "opacity-40" : ""} ${fixture.status === "ready" ? "ring-1 ring-yellow-400" : ""}`}>
+      {["team1", "team2"].map((side) => {
+        const teamId = fixture[side];
+        const isWinner = isOver && teamId && teamId === fixture.winner;
+        return (
+          <div key={side} className={`flex justify-between gap-2 px-3 py-1 ${isWinner ? "text-yellow-400" : isOver ? "text-white/50" : ""}`}>
+            <span className="truncate">
+              {teamId ? teamNames[teamId] : teamId === null ? "Freilos" : "offen"}
+            </span>
+            <span>{fixture.result?.score?.[side] ?? ""}</span>
+          </div>
+        );
+      })}
+      {fixture.status === "skipped" && <p className="px-3 pb-1 text-xs text-white/50">entfällt</p>}
+      {fixture.status === "ready" && onPlay && (
+        <button onClick={() => onPlay(fixture)} className="w-full py-1 bg-yellow-400 hover:bg-yellow-300 text-black text-xs font-bold rounded-b-md">
+          Spielen
+        </button>
+      )}
+    </div>
+  );
+};
+
+function TournamentDetail({ tournament, onPlayFixture, onDelete }) {
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const fixtures = useMemo(() => resolveFixtures(tournament), [tournament]);
+  const standings = useMemo(() => tournamentStandings(tournament, fixtures), [tournament, fixtures]);
+  // byes that pair two missing teams are left out of the tree
+  const columns = useMemo(() => bracketColumns(fixtures.filter((f) => f.status !== "empty")), [fixtures]);
+  const teamNames = useMemo(() => Object.fromEntries(tournament.teams.map((t) => [t.id, t.name])), [tournament.teams]);
+  const champion = tournament.teams.find((t) => t.id === tournament.championTeamId);
+  const handlePlay = useCallback((fixture) => onPlayFixture?.(tournament, fixture), [onPlayFixture, tournament]);
+
+  if (isConfirmingDelete) {
+    return (
+      <div className="p-4">
+        <ConfirmationDialog
+          message={`Turnier „${tournament.name}" wirklich löschen? Gespielte Spiele bleiben im Ranking.`}
+          onConfirm={() => {
+            onDelete?.(tournament);
+            setIsConfirmingDelete(false);
+          }}
+          onCancel={() => setIsConfirmingDelete(false)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-6 font-normal">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <p className="text-white/60">
+          {TOURNAMENT_FORMATS[tournament.format]?.label} · {tournament.teams.length} Teams
+          {tournament.rules && ` · ${describeRules(normalizeRules(tournament.rules))}`}
+        </p>
+        {onDelete && (
+          <button onClick={() => setIsConfirmingDelete(true)} className="text-red-400 hover:text-red-300 text-sm">Turnier löschen</button>
+        )}
+      </div>
+      {champion && <p className="text-2xl font-thin text-yellow-400">Turniersieger: {champion.name}</p>}
+
+      <table className="w-full text-left text-sm">
+        <thead className="text-white/50">
+          <tr>
+            <th className="p-2">#</th>
+            <th className="p-2">Team</th>
+            <th className="p-2 text-right">Sp</th>
+            <th className="p-2 text-right">S</th>
+            <th className="p-2 text-right">N</th>
+            <th className="p-2 text-right">Tore</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((row) => (
+            <tr key={row.teamId} className={`border-t border-white/10 ${row.teamId === tournament.championTeamId ? "bg-yellow-500/20" : ""}`}>
+              <td className="p-2 font-bold">{row.rank}</td>
+              <td className="p-2">{row.name}</td>
+              <td className="p-2 text-right">{row.played}</td>
+              <td className="p-2 text-right text-green-400">{row.won}</td>
+              <td className="p-2 text-right text-red-400">{row.lost}</td>
+              <td className="p-2 text-right">{row.goalsFor}:{row.goalsAgainst}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex gap-6 overflow-x-auto pb-2">
+        {columns.map((column) => (
+          <div key={`${column.bracket}-${column.round}`} className="flex flex-col flex-shrink-0">
+            <h3 className="text-white/50 text-sm mb-2">{column.label}</h3>
+            <div className="flex flex-col justify-around flex-grow gap-3">
+              {column.fixtures.map((f) => (
+                <FixtureCard key={f.id} fixture={f} teamNames={teamNames} onPlay={tournament.status === "running" ? handlePlay : undefined} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TournamentsScreen({ tournaments, players, rulesConfig, onCreate, onDelete, onPlayFixture }) {
+  const [isCreating, setIsCreating] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const handleCreate = useCallback(
+    async (options) => {
+      const id = await onCreate?.(options);
+      if (!id) return;
+      setIsCreating(false);
+      setExpandedId(id);
+    },
+    [onCreate]
+  );
+
+  return (
+    <div className="p-4 md:p-8 text-white">
+      <div className="max-w-5xl mx-auto">
+        {onCreate && !isCreating && (
+          <button onClick={() => setIsCreating(true)} className="mb-6 bg-yellow-500 hover:bg-yellow-600 text-black font-bold py-2 px-6 rounded-lg">
+            Neues Turnier
+          </button>
+        )}
+        {isCreating && <TournamentForm players={players} rulesConfig={rulesConfig} onCreate={handleCreate} onCancel={() => setIsCreating(false)} />}
+
+        <div className="bg-black/20 rounded-lg shadow-lg">
+          {tournaments.length === 0 && <p className="p-4 text-white/50 font-normal">Noch keine Turniere.</p>}
+          {tournaments.map((t) => (
+            <div key={t.id} className="border-b border-white/10">
+              <div
+                className="flex items-center p-4 cursor-pointer hover:bg-white/5"
+                onClick={() => setExpandedId((id) => (id === t.id ? null : t.id))}
+              >
+                <span className="flex-grow text-lg">{t.name}</span>
+                <span className="w-32 text-white/60 font-normal">{TOURNAMENT_STATUS_LABELS[t.status] || t.status}</span>
+                <span className="w-12 text-right text-white/50">{expandedId === t.id ? "▲" : "▼"}</span>
+              </div>
+              {expandedId === t.id && (
+                <div className="bg-black/20">
+                  <TournamentDetail tournament={t} onPlayFixture={onPlayFixture} onDelete={onDelete} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const MATCHES_PAGE_SIZE = 20;
+
+const POSITION_LABELS = { striker: "Forward", defender: "Defender" };
+
+const parseDateInput = (value, endOfDay = false) =>
+  value ? new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}`) : null;
+
+// A season spans from the previous season's close to its own close (open-ended for the running one)
+const seasonRange = (seasonNumber, history) => {
+  const endOf = (n) => history.find((s) => s.seasonNumber === n)?.endDate?.toDate?.() || null;
+  return { from: endOf(seasonNumber - 1), to: endOf(seasonNumber) };
+};
+
+const laterOf = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+const earlierOf = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+
+const teamNames = (team) =>
+  isSoloTeam(team) ? team.striker.firstName : `${team?.striker?.firstName || "?"} & ${team?.defender?.firstName || "?"}`;
+
+const teamLabel = (team) => {
+  if (!team) return "–";
+  if (isSoloTeam(team)) return team.striker.name || "?";
+  return `${team.striker?.name || "?"} / ${team.defender?.name || "?"}`;
+};
+
+// Goal difference over the game, team 1 leading above the line; a step per goal
+function MomentumChart({ goals, width = 600, height = 120 }) {
+  const points = useMemo(() => momentumPoints(goals), [goals]);
+  if (points.length < 2) return null;
+  // older matches have no goal times, their goals are spaced evenly
+  const isTimed = points.every((p) => p.at !== null);
+  const end = isTimed ? Math.max(points[points.length - 1].at, 1) : points.length - 1;
+  const maxLead = Math.max(1, ...points.map((p) => Math.abs(p.lead)));
+  const pad = 8;
+  const x = (p, i) => pad + ((isTimed ? p.at : i) / end) * (width - 2 * pad);
+  const y = (lead) => height / 2 - (lead / maxLead) * (height / 2 - pad);
+  const path = points
+    .map((p, i) => (i === 0 ? `${x(p, i)},${y(p.lead)}` : `${x(p, i)},${y(points[i - 1].lead)} ${x(p, i)},${y(p.lead)}`))
+    .join(" ");
+
+  return (
+    <div className="mb-4">
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-28" role="img" aria-label="Spielverlauf">
+        <line x1={pad} x2={width - pad} y1={height / 2} y2={height / 2} stroke="rgba(255,255,255,0.2)" />
+        <polyline points={path} fill="none" stroke="#FACC15" strokeWidth={2} />
+      </svg>
+      <div className="flex justify-between text-xs text-white/50 font-normal">
+        <span>oben: Team 1 führt · unten: Team 2 führt</span>
+        {isTimed && <span>{formatDuration(end)}</span>}
+      </div>
+    </div>
+  );
+}
+
+function MatchDetail({ match, isCurrentSeason, onVoid }) {
+  const goals = useMemo(() => match.goals || [], [match]);
+  const [step, setStep] = useState(goals.length);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [isConfirmingVoid, setIsConfirmingVoid] = useState(false);
+
+  const namesById = useMemo(() => {
+    const names = {};
+    ["team1", "team2"].forEach((teamKey) => {
+      ["striker", "defender"].forEach((pos) => {
+        const p = match.teams?.[teamKey]?.[pos];
+        if (p?.id) names[p.id] = p.name;
+      });
+    });
+    return names;
+  }, [match]);
+
+  // Multi-set matches restart the count with every set
+  const timeline = useMemo(() => {
+    if (match.rules?.sets > 1) {
+      const rules = normalizeRules(match.rules);
+      let setsBefore = 0;
+      return goals.map((g, i) => {
+        const { score, completedSets } = evaluateGame(rules, goals.slice(0, i + 1));
+        const endsSet = completedSets.length > setsBefore;
+        setsBefore = completedSets.length;
+        return { ...g, score: endsSet ? completedSets[completedSets.length - 1] : score };
+      });
+    }
+    const running = { team1: 0, team2: 0 };
+    return goals.map((g) => {
+      running[g.teamKey] += 1;
+      return { ...g, score: { ...running } };
+    });
+  }, [goals, match.rules]);
+
+  useEffect(() => {
+    if (!isReplaying) return;
+    if (step >= timeline.length) {
+      setIsReplaying(false);
+      return;
+    }
+    const t = setTimeout(() => setStep((s) => s + 1), 800);
+    return () => clearTimeout(t);
+  }, [isReplaying, step, timeline.length]);
+
+  const startReplay = useCallback(() => {
+    setStep(0);
+    setIsReplaying(true);
+  }, []);
+
+  const current = step === 0 ? { team1: 0, team2: 0 } : timeline[step - 1].score;
+
+  if (isConfirmingVoid) {
+    return (
+      <ConfirmationDialog
+        message={
+          isCurrentSeason
+            ? "Spiel wirklich annullieren? Punkte und Statistiken aller Beteiligten werden zurückgerechnet."
+            : "Spiel wirklich annullieren? Es stammt aus einer abgeschlossenen Saison: Nur die Gesamtstatistiken werden zurückgerechnet, Punkte und Ratings bleiben."
+        }
+        onConfirm={() => {
+          onVoid?.(match.id);
+          setIsConfirmingVoid(false);
+        }}
+        onCancel={() => setIsConfirmingVoid(false)}
+      />
+    );
+  }
+
+  return (
+    <div className="text-white">
+      <p className="text-sm text-white/50 text-center font-normal">
+        {formatDateTime(match.createdAt?.toDate?.())} · {formatDuration(match.duration)}
+      </p>
+      {match.voided && <p className="text-center text-red-400 font-bold mt-2">Annulliert</p>}
+      <div className="flex justify-between items-center my-4">
+        <p className="w-2/5 text-sm font-normal">{teamLabel(match.teams?.team1)}</p>
+        <p className="text-4xl font-bold text-yellow-400">{current.team1} : {current.team2}</p>
+        <p className="w-2/5 text-sm font-normal text-right">{teamLabel(match.teams?.team2)}</p>
+      </div>
+      <MomentumChart goals={goals} />
+      <ol className="max-h-72 overflow-y-auto mb-6">
+        {timeline.slice(0, step).map((g) => (
+          <li
+            key={g.i}
+            className={`flex justify-between py-1 border-b border-white/10 font-normal ${g.teamKey === "team2" ? "flex-row-reverse text-right" : ""}`}
+          >
+            <span>
+              {g.at !== null && g.at !== undefined && <span className="text-white/50 tabular-nums">{formatDuration(g.at)} </span>}
+              {namesById[g.playerId] || "Unbekannt"}
+              <span className="text-white/50"> · {POSITION_LABELS[g.position] || g.position}</span>
+              {g.type && g.type !== DEFAULT_GOAL_TYPE && <span className="text-yellow-400"> · {GOAL_TYPES[g.type]?.label || g.type}</span>}
+            </span>
+            <span className="text-white/70">{g.score.team1} : {g.score.team2}</span>
+          </li>
+        ))}
+      </ol>
+      {match.undoneGoals?.length > 0 && (
+        <p className="text-sm text-white/50 font-normal mb-4">
+          Zurückgenommen:{" "}
+          {match.undoneGoals
+            .map((g) => `${namesById[g.playerId] || "Unbekannt"}${g.undoneAt !== null && g.undoneAt !== undefined ? ` (${formatDuration(g.undoneAt)})` : ""}`)
+            .join(", ")}
+        </p>
+      )}
+      <button
+        onClick={startReplay}
+        disabled={isReplaying || timeline.length === 0}
+        className="w-full bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white font-bold py-2 rounded-lg"
+      >
+        {isReplaying ? "Läuft…" : "Torfolge abspielen"}
+      </button>
+      {/* only matches recorded with their deltas can be reversed exactly */}
+      {onVoid && !match.voided && match.playerDeltas && (
+        <button onClick={() => setIsConfirmingVoid(true)} className="w-full mt-3 bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded-lg">
+          Spiel annullieren
+        </button>
+      )}
+    </div>
+  );
+}
+
+function MatchHistoryScreen({ dataProvider, players, seasonHistory, currentSeason, onVoidMatch }) {
+  const [filters, setFilters] = useState({ playerId: "", season: "", from: "", to: "" });
+  const [pageCount, setPageCount] = useState(1);
+  const [matches, setMatches] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [selectedMatchId, setSelectedMatchId] = useState(null);
+  // looked up live so the detail shows a void right away
+  const selectedMatch = useMemo(() => matches.find((m) => m.id === selectedMatchId) || null, [matches, selectedMatchId]);
+
+  const sortedPlayers = useMemo(
+    () => [...players].sort((a, b) => (a.lastName || "").localeCompare(b.lastName || "")),
+    [players]
+  );
+
+  const range = useMemo(() => {
+    const season = filters.season ? seasonRange(Number(filters.season), seasonHistory) : { from: null, to: null };
+    return {
+      from: laterOf(season.from, parseDateInput(filters.from)),
+      to: earlierOf(season.to, parseDateInput(filters.to, true))
+    };
+  }, [filters, seasonHistory]);
+
+  const fromMs = range.from?.getTime() ?? null;
+  const toMs = range.to?.getTime() ?? null;
+  const seasonNumber = filters.season ? Number(filters.season) : null;
+  // a season's tagged matches are found by the tag, within the picked dates only
+  const pickedFromMs = parseDateInput(filters.from)?.getTime() ?? null;
+  const pickedToMs = parseDateInput(filters.to, true)?.getTime() ?? null;
+
+  useEffect(() => {
+    if (!dataProvider) return;
+    const pageLimit = pageCount * MATCHES_PAGE_SIZE;
+    const onError = (err) => console.error("Error loading matches:", err);
+    if (seasonNumber === null) {
+      return dataProvider.subscribeMatchPage(
+        { playerId: filters.playerId, fromMs, toMs, pageLimit },
+        (data) => {
+          setMatches(data);
+          setHasMore(data.length === pageLimit);
+        },
+        onError
+      );
+    }
+
+    // Matches carry the season they were played in, so one synced after the season closed
+    // still belongs to it; matches from before the tag existed fall back to the season's dates
+    const pages = { tagged: null, dated: null };
+    const merge = () => {
+      if (!pages.tagged || !pages.dated) return;
+      const byId = new Map([...pages.tagged, ...pages.dated.filter((m) => isInSeason(m, seasonNumber))].map((m) => [m.id, m]));
+      setMatches([...byId.values()].sort((a, b) => matchTime(b) - matchTime(a)).slice(0, pageLimit));
+      setHasMore(pages.tagged.length === pageLimit || pages.dated.length === pageLimit);
+    };
+    const unsubscribers = [
+      dataProvider.subscribeMatchPage(
+        { playerId: filters.playerId, season: seasonNumber, fromMs: pickedFromMs, toMs: pickedToMs, pageLimit },
+        (data) => {
+          pages.tagged = data;
+          merge();
+        },
+        onError
+      ),
+      dataProvider.subscribeMatchPage(
+        { playerId: filters.playerId, fromMs, toMs, pageLimit },
+        (data) => {
+          pages.dated = data;
+          merge();
+        },
+        onError
+      )
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [dataProvider, filters.playerId, seasonNumber, fromMs, toMs, pickedFromMs, pickedToMs, pageCount]);
+
+  const handleFilterChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPageCount(1);
+  }, []);
+
+  const resetFilters = useCallback(() => {
+    setFilters({ playerId: "", season: "", from: "", to: "" });
+    setPageCount(1);
+  }, []);
+
+  const inputClass = "p-2 bg-gray-700 rounded-md text-white border-2 border-gray-600 focus:outline-none focus:border-yellow-400 font-normal";
+
+  return (
+    <div className="p-4 md:p-8 text-white">
+      <Modal isOpen={!!selectedMatch} onClose={() => setSelectedMatchId(null)}>
+        {selectedMatch && (
+          <MatchDetail
+            key={selectedMatch.id}
+            match={selectedMatch}
+            isCurrentSeason={isInSeason(selectedMatch, currentSeason, { from: seasonRange(currentSeason, seasonHistory).from?.getTime() })}
+            onVoid={onVoidMatch}
+          />
+        )}
+      </Modal>
+
+      <div className="max-w-4xl mx-auto">
+        <div className="flex flex-wrap gap-4 items-end mb-6">
+          <select name="playerId" value={filters.playerId} onChange={handleFilterChange} className={inputClass}>
+            <option value="">Alle Spieler</option>
+            {sortedPlayers.map((p) => (
+              <option key={p.id} value={p.id}>{`${p.firstName} ${p.lastName}`}</option>
+            ))}
+          </select>
+          <select name="season" value={filters.season} onChange={handleFilterChange} className={inputClass}>
+            <option value="">Alle Saisons</option>
+            {Array.from({ length: currentSeason || 1 }, (_, i) => (currentSeason || 1) - i).map((n) => (
+              <option key={n} value={n}>Saison {n}</option>
+            ))}
+          </select>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={inputClass} aria-label="Von" />
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={inputClass} aria-label="Bis" />
+          <button onClick={resetFilters} className="text-white/70 hover:text-white font-normal">Zurücksetzen</button>
+        </div>
+
+        <div className="bg-black/20 rounded-lg shadow-lg">
+          {matches.length === 0 && <p className="p-4 text-white/50 font-normal">Keine Spiele gefunden.</p>}
+          {matches.map((m) => (
+            <div
+              key={m.id}
+              className={`flex items-center p-4 border-b border-white/10 cursor-pointer hover:bg-white/5 font-normal ${m.voided ? "line-through opacity-50" : ""}`}
+              onClick={() => setSelectedMatchId(m.id)}
+              title={m.voided ? "Annulliert" : undefined}
+            >
+              <div className="w-32 text-sm text-white/50">{formatDateTime(m.createdAt?.toDate?.())}</div>
+              <div className={`flex-1 text-right ${m.winner === "Team 1" ? "text-white" : "text-white/60"}`}>{teamLabel(m.teams?.team1)}</div>
+              <div className="w-24 text-center text-xl font-bold text-yellow-400">{m.score?.team1} : {m.score?.team2}</div>
+              <div className={`flex-1 ${m.winner === "Team 2" ? "text-white" : "text-white/60"}`}>{teamLabel(m.teams?.team2)}</div>
+              <div className="w-16 text-right text-sm text-white/50">{formatDuration(m.duration)}</div>
+            </div>
+          ))}
+        </div>
+
+        {hasMore && (
+          <div className="flex justify-center mt-6">
+            <button onClick={() => setPageCount((n) => n + 1)} className="bg-white/10 hover:bg-white/20 text-white font-bold py-2 px-6 rounded-lg">
+              Mehr laden
+            </button>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
 
-function SaisonsScreen({ history }) {
-  const sortedHistory = useMemo(() => [...history].sort((a, b) => b.seasonNumber - a.seasonNumber), [history]);
-  return (
-    <div className="p-4 md:p-8 text-white">
-      <div className="max-w-2xl mx-auto">
-        <div className="bg-black/20 rounded-lg shadow-lg">
-          <table className="w-full text-left font-normal">
-            <thead className="bg-black/30">
-              <tr>
-                <th className="p-4 text-xl font-normal">Saison</th>
-                <th className="p-4 text-xl font-normal">Sieger</th>
-              </tr>
-            </thead>
-            <tbody>
-              {sortedHistory.map((s) => (
-                <tr key={s.id} className="border-b border-white/10">
-                  <td className="p-4 text-lg">Saison {s.seasonNumber}</td>
-                  <td className="p-4 text-lg">{s.winnerName}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+const RankingList = ({ players, highlightIds = [], count = 10 }) => (
+  <div className="bg-black/30 rounded-lg">
+    {[...players]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map((p, i) => (
+        <div
+          key={p.id}
+          className={`flex items-center px-4 py-2 border-b border-white/10 font-normal ${highlightIds.includes(p.id) ? "bg-yellow-500/20" : ""}`}
+        >
+          <span className="w-10 text-xl font-bold">{i + 1}</span>
+          <span className="flex-grow text-xl">{`${p.firstName} ${p.lastName}`}</span>
+          <StreakBadge player={p} className="mr-4" />
+          <span className="text-xl font-bold text-yellow-400">{p.score}</span>
         </div>
+      ))}
+  </div>
+);
+
+const ScoreboardTeam = ({ label, striker, defender }) => (
+  <div className="flex flex-col items-center gap-6">
+    <h2 className="text-4xl font-thin">{label}</h2>
+    <div className="flex justify-center gap-6 w-[28rem]">
+      <div className="w-1/2"><PlayerCard player={striker} isSelected={false} /></div>
+      {defender?.id !== striker?.id && <div className="w-1/2"><PlayerCard player={defender} isSelected={false} /></div>}
+    </div>
+  </div>
+);
+
+// Read-only wall display for the game currently mirrored to liveGames/current
+function ScoreboardScreen({ dataProvider, players }) {
+  const [liveGame, setLiveGame] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!dataProvider) return;
+    return dataProvider.subscribeLiveGame(setLiveGame, (err) => console.error("Error loading live game:", err));
+  }, [dataProvider]);
+
+  const isRunning = liveGame?.status === "running";
+  const isFinished = liveGame?.status === "finished";
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [isRunning]);
+
+  // live docs carry current streaks and images, the snapshot copies are the fallback
+  const withLiveDoc = useCallback((p) => (p && players.find((x) => x.id === p.id)) || p, [players]);
+
+  if (!isRunning && !isFinished) {
+    return (
+      <div className="fixed inset-0 bg-[#111111] text-white p-8 flex flex-col">
+        <h1 className="text-8xl font-thin tracking-wider uppercase mb-8">Ranking</h1>
+        <p className="text-2xl font-light text-white/50 mb-8">Gerade läuft kein Spiel.</p>
+        <RankingList players={players} />
       </div>
+    );
+  }
+
+  const { team1, team2, score, goalHistory = [], isSwapped } = liveGame;
+  const left = isSwapped ? { key: "team2", label: "Team 2", team: team2 } : { key: "team1", label: "Team 1", team: team1 };
+  const right = isSwapped ? { key: "team1", label: "Team 1", team: team1 } : { key: "team2", label: "Team 2", team: team2 };
+  const rules = normalizeRules(liveGame.rules || findRules(null, DEFAULT_RULE_ID));
+  const winningScore = pointsToWin(rules, score);
+  const elapsed = (isFinished ? liveGame.endedAt || now : now) - (liveGame.startTime || now);
+  const participantIds = [team1, team2].flatMap((t) => [t.striker?.id, t.defender?.id]).filter(Boolean);
+
+  const namesById = {};
+  [team1, team2].forEach((t) => {
+    [t.striker, t.defender].forEach((p) => {
+      if (p) namesById[p.id] = `${p.firstName} ${p.lastName}`;
+    });
+  });
+
+  return (
+    <div className="fixed inset-0 bg-[#111111] text-white p-8 flex flex-col">
+      {isFinished ? (
+        <div className="flex-grow flex gap-12">
+          <div className="flex-1 flex flex-col items-center justify-center">
+            <h1 className="text-7xl font-thin text-yellow-400 mb-6">{liveGame.winner} hat gewonnen!</h1>
+            <p className="text-9xl font-bold mb-6">{score.team1} : {score.team2}</p>
+            <p className="text-2xl font-light text-white/60">Spielzeit {formatDuration(elapsed)}</p>
+          </div>
+          <div className="w-[36rem] overflow-y-auto">
+            <h2 className="text-4xl font-thin mb-4">Ranking</h2>
+            <RankingList players={players} highlightIds={participantIds} />
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="flex justify-between items-center mb-4">
+            <p className="text-2xl font-light text-white/60">
+              {winningScore !== null ? `Das erste Team mit ${winningScore} Punkten gewinnt.` : rules.name}
+              {rules.sets > 1 && ` · Sätze ${liveGame.setsWon?.[left.key] ?? 0} : ${liveGame.setsWon?.[right.key] ?? 0}`}
+            </p>
+            <p className="text-4xl font-light tabular-nums">{formatDuration(elapsed)}</p>
+          </div>
+          <div className="flex-grow flex justify-around items-center">
+            <ScoreboardTeam label={left.label} striker={withLiveDoc(left.team.striker)} defender={withLiveDoc(left.team.defender)} />
+            <div className="text-[12rem] leading-none font-bold text-yellow-400 tabular-nums">
+              {score[left.key]}:{score[right.key]}
+            </div>
+            <ScoreboardTeam label={right.label} striker={withLiveDoc(right.team.striker)} defender={withLiveDoc(right.team.defender)} />
+          </div>
+          <ol className="flex gap-3 overflow-hidden h-12 items-center">
+            {[...goalHistory].reverse().slice(0, 8).map((g, i) => (
+              <li key={goalHistory.length - i} className={`px-4 py-2 rounded-full font-normal ${g.teamKey === left.key ? "bg-white/20" : "bg-[#A0153E]"}`}>
+                {namesById[g.player?.id] || "?"} · {g.type && g.type !== DEFAULT_GOAL_TYPE ? GOAL_TYPES[g.type]?.label : POSITION_LABELS[g.position] || g.position}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
     </div>
   );
 }
@@ -659,269 +2947,701 @@ export default function App() {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [players, setPlayers] = useState([]);
   const [seasonHistory, setSeasonHistory] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [tournaments, setTournaments] = useState([]);
+  const [tableQueue, setTableQueue] = useState(null);
   const [appState, setAppState] = useState({ currentSeason: 1 });
-  const [db, setDb] = useState(null);
+  const [isConfigLoaded, setIsConfigLoaded] = useState(false);
+  const [dataProvider, setDataProvider] = useState(null);
   const [activeView, setActiveView] = useState("new_game");
   const [showLoginTransition, setShowLoginTransition] = useState(false);
   const [isGameActive, setIsGameActive] = useState(false);
   const [gameConfig, setGameConfig] = useState(null);
+  const [profilePlayerId, setProfilePlayerId] = useState(null);
+  const [pendingMatchCount, setPendingMatchCount] = useState(0);
+  const [failedMatches, setFailedMatches] = useState([]);
+  const [isFailedSyncOpen, setIsFailedSyncOpen] = useState(false);
+  const isSyncingRef = useRef(false);
+  const syncAgainRef = useRef(false);
+  const [resumableGame, setResumableGame] = useState(() => loadGameSnapshot());
+  const liveSnapshotRef = useRef(null);
+  const [isScoreboardRoute, setIsScoreboardRoute] = useState(() => window.location.hash === SCOREBOARD_HASH);
+  const [authUser, setAuthUser] = useState(null);
+  const [role, setRole] = useState(DEFAULT_ROLE);
+  const [users, setUsers] = useState([]);
+  const [isRebuildOpen, setIsRebuildOpen] = useState(false);
+  const [isDataTransferOpen, setIsDataTransferOpen] = useState(false);
+  const isSigningInRef = useRef(false);
+  const authUid = authUser?.uid || null;
+  const actor = useMemo(() => auditActor(authUser), [authUser]);
+
+  useEffect(() => {
+    const onHashChange = () => setIsScoreboardRoute(window.location.hash === SCOREBOARD_HASH);
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
-  // Firebase init
+  const ratingConfig = useMemo(() => resolveRatingConfig(appState.rating), [appState.rating]);
+  const seasonSchedule = useMemo(() => resolveSeasonSchedule(appState.seasonSchedule), [appState.seasonSchedule]);
+
+  // Dormant players (isActive: false) are hidden from selection and the ranking;
+  // ranking scores include pending inactivity decay
+  const activePlayers = useMemo(() => players.filter((p) => p.isActive !== false), [players]);
+  const rankedPlayers = useMemo(() => {
+    const now = Date.now();
+    return activePlayers.map((p) => ({ ...p, score: decayedScore(p, now, ratingConfig) }));
+  }, [activePlayers, ratingConfig]);
+  const profilePlayer = useMemo(() => players.find((p) => p.id === profilePlayerId) || null, [players, profilePlayerId]);
+  const queueLineup = useMemo(() => nextLineup(tableQueue, activePlayers), [tableQueue, activePlayers]);
+
+  // Backend init: Firestore when configured, else the local demo store. Visitors are
+  // signed in anonymously (enough for the scoreboard), members with email and password
   useEffect(() => {
-    if (!firebaseConfig || !firebaseConfig.apiKey) {
-      console.warn("Firebase ist nicht konfiguriert (fehlende ENV Vars).");
+    let provider;
+    try {
+      provider = createDataProvider(firebaseConfig, { storageEmulatorHost });
+    } catch (e) {
+      console.error("Backend initialization failed:", e);
       return;
     }
-    try {
-      const app = initializeApp(firebaseConfig);
-      const auth = getAuth(app);
-      const firestore = getFirestore(app);
-      setDb(firestore);
-      signInAnonymously(auth).catch((err) => console.error("Anonymous sign-in failed:", err));
-
-      // live players
-      const unsubPlayers = onSnapshot(collection(firestore, "players"), (snap) => {
-        const data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-        setPlayers(data);
-      });
+    if (provider.isLocal) console.warn("Firebase ist nicht konfiguriert (fehlende ENV Vars), die App läuft lokal mit Demo-Daten.");
+    setDataProvider(provider);
+
+    return provider.onAuthChange((user) => {
+      setAuthUser(user);
+      if (!user) {
+        setIsLoggedIn(false);
+        provider.signInAnonymously().catch((err) => console.error("Anonymous sign-in failed:", err));
+      } else if (!user.isAnonymous && !isSigningInRef.current) {
+        // restored session, skip the login screen
+        setIsLoggedIn(true);
+      }
+    });
+  }, []);
 
-      // app state
-      const unsubState = onSnapshot(doc(firestore, "appState", "config"), (d) => {
-        if (d.exists()) setAppState(d.data());
-      });
+  // Every read requires a signed-in user, so listeners start once auth is known
+  useEffect(() => {
+    if (!dataProvider || !authUid) return;
+
+    const onError = (e) => console.error("Error loading data:", e);
+    const unsubscribers = [
+      dataProvider.subscribePlayers(setPlayers, onError),
+      dataProvider.subscribeConfig((data) => {
+        if (data) setAppState(data);
+        setIsConfigLoaded(true);
+      }, onError),
+      dataProvider.subscribeSeasonHistory(setSeasonHistory, onError),
+      dataProvider.subscribeTournaments(setTournaments, onError),
+      dataProvider.subscribeQueue(setTableQueue, onError)
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [dataProvider, authUid]);
+
+  // Matches of the running season, for the season close and its minimum-games rule; screens
+  // that look further back read the whole log (useAllMatches). The first season runs from
+  // the beginning, so it loads them all.
+  const seasonStartMs = appState.seasonStart?.toMillis?.() ?? null;
+
+  // waits for the config, so the season start is known; the scoreboard doesn't need matches
+  useEffect(() => {
+    if (!dataProvider || !authUid || !isConfigLoaded || isScoreboardRoute) return;
+    return dataProvider.subscribeMatches(
+      { fromMs: seasonStartMs },
+      // voided matches only show up in the match history
+      (data) => setMatches(data.filter((m) => !m.voided)),
+      (e) => console.error("Error loading matches:", e)
+    );
+  }, [dataProvider, authUid, isConfigLoaded, isScoreboardRoute, seasonStartMs]);
+
+  // Role of the signed-in member; first sign-in creates the users doc as viewer
+  useEffect(() => {
+    if (!dataProvider || !authUser || authUser.isAnonymous) {
+      setRole(DEFAULT_ROLE);
+      return;
+    }
+    return dataProvider.subscribeUserProfile(
+      authUser.uid,
+      (profile) => {
+        if (profile) {
+          setRole(resolveRole(profile.role));
+          return;
+        }
+        dataProvider
+          .createUserProfile(authUser.uid, { email: authUser.email || "", role: DEFAULT_ROLE })
+          .catch((e) => console.error("Error creating user profile:", e));
+      },
+      (e) => console.error("Error reading user role:", e)
+    );
+  }, [dataProvider, authUser]);
+
+  // Admins see all accounts to assign roles
+  useEffect(() => {
+    if (!dataProvider || !can(role, "manageUsers")) {
+      setUsers([]);
+      return;
+    }
+    return dataProvider.subscribeUsers(setUsers, (e) => console.error("Error reading users:", e));
+  }, [dataProvider, role]);
 
-      // season history
-      const unsubHistory = onSnapshot(collection(firestore, "seasonHistory"), (snap) => {
-        const data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-        setSeasonHistory(data);
-      });
+  // =============================
+  // OFFLINE QUEUE SYNC
+  // =============================
+  const refreshPendingCount = useCallback(() => {
+    listQueuedMatches()
+      .then((entries) => {
+        setPendingMatchCount(entries.filter((entry) => !entry.failed).length);
+        setFailedMatches(entries.filter((entry) => entry.failed));
+      })
+      .catch((e) => console.error("Error reading match queue:", e));
+  }, []);
 
-      return () => {
-        unsubPlayers?.();
-        unsubState?.();
-        unsubHistory?.();
-      };
+  const syncPendingMatches = useCallback(async () => {
+    if (!dataProvider) {
+      refreshPendingCount();
+      return;
+    }
+    // a match queued during a running sync isn't in its list; that sync goes round again
+    if (isSyncingRef.current) {
+      syncAgainRef.current = true;
+      refreshPendingCount();
+      return;
+    }
+    isSyncingRef.current = true;
+    try {
+      do {
+        syncAgainRef.current = false;
+        const queued = (await listQueuedMatches()).filter((entry) => !entry.failed);
+        for (const entry of queued) {
+          try {
+            await dataProvider.recordMatch(entry, ratingConfig, actor);
+            await removeQueuedMatch(entry.id);
+          } catch (e) {
+            if (isPermanentSyncError(e)) {
+              await setQueuedMatchFailed(entry, { reason: e.message, at: Date.now() });
+              continue;
+            }
+            // keep it queued; later entries are retried on the next sync as well
+            console.error(`Error syncing match ${entry.id}:`, e);
+            if (typeof navigator !== "undefined" && navigator.onLine === false) break;
+          }
+        }
+      } while (syncAgainRef.current);
     } catch (e) {
-      console.error("Firebase initialization failed:", e);
+      console.error("Error syncing queued matches:", e);
+    } finally {
+      isSyncingRef.current = false;
+      refreshPendingCount();
     }
-  }, []);
+  }, [dataProvider, ratingConfig, actor, refreshPendingCount]);
+
+  const handleRetryFailedMatch = useCallback(
+    async (entry) => {
+      try {
+        await setQueuedMatchFailed(entry, null);
+      } catch (e) {
+        console.error("Error requeuing match:", e);
+      }
+      syncPendingMatches();
+    },
+    [syncPendingMatches]
+  );
+
+  const handleDiscardFailedMatch = useCallback(
+    async (entry) => {
+      try {
+        await removeQueuedMatch(entry.id);
+      } catch (e) {
+        console.error("Error discarding queued match:", e);
+      }
+      refreshPendingCount();
+    },
+    [refreshPendingCount]
+  );
+
+  useEffect(() => {
+    syncPendingMatches();
+    window.addEventListener("online", syncPendingMatches);
+    return () => window.removeEventListener("online", syncPendingMatches);
+  }, [syncPendingMatches]);
+
+  const handleSignIn = useCallback(
+    async (email, password) => {
+      if (!dataProvider) throw new Error("Backend nicht bereit");
+      // the login screen plays its transition before the app shows up
+      isSigningInRef.current = true;
+      try {
+        await dataProvider.signIn(email, password);
+      } catch (e) {
+        isSigningInRef.current = false;
+        throw e;
+      }
+    },
+    [dataProvider]
+  );
 
   const handleLogin = useCallback(() => {
     setShowLoginTransition(true);
-    setTimeout(() => setIsLoggedIn(true), 600);
+    setTimeout(() => {
+      isSigningInRef.current = false;
+      setIsLoggedIn(true);
+    }, 600);
   }, []);
 
-  const handleLogout = useCallback(() => {
+  const handleLogout = useCallback(async () => {
     setShowLoginTransition(false);
     setIsLoggedIn(false);
     setActiveView("new_game");
-  }, []);
+    if (!dataProvider) return;
+    try {
+      await dataProvider.signOut();
+    } catch (e) {
+      console.error("Error signing out:", e);
+    }
+  }, [dataProvider]);
 
-  if (!isLoggedIn) {
-    return <LoginScreen onLogin={handleLogin} isExiting={showLoginTransition} />;
-  }
+  const handleUpdateUserRole = useCallback(
+    async (uid, newRole) => {
+      if (!dataProvider || !can(role, "manageUsers") || !ROLES[newRole]) return;
+      try {
+        await dataProvider.updateUserRole(uid, newRole);
+      } catch (e) {
+        console.error("Error updating user role:", e);
+      }
+    },
+    [dataProvider, role]
+  );
 
   // CRUD: players
   const handleAddPlayer = useCallback(
     async (playerData) => {
-      if (!db) return;
+      if (!dataProvider || !can(role, "editPlayers")) return;
       try {
-        const newPlayer = {
-          ...playerData,
-          country: (playerData.country || "").toUpperCase(),
-          img: playerData.img || placeholderFor(playerData.firstName, playerData.lastName),
-          score: 1500,
-          gamesWon: 0,
-          gamesLost: 0,
-          gamesAsStriker: 0,
-          gamesAsDefender: 0,
-          totalGames: 0,
-          goalsAsStriker: 0,
-          goalsAsDefender: 0,
-          shutoutWins: 0,
-          totalPlaytime: 0
-        };
-        await addDoc(collection(db, "players"), newPlayer);
+        await dataProvider.addPlayer(
+          {
+            ...playerData,
+            country: (playerData.country || "").toUpperCase(),
+            img: playerData.img || "",
+            ...emptyPlayerStats()
+          },
+          actor
+        );
       } catch (e) {
         console.error("Error adding player:", e);
       }
     },
-    [db]
+    [dataProvider, role, actor]
   );
 
   const handleUpdatePlayer = useCallback(
     async (playerId, playerData) => {
-      if (!db) return;
+      if (!dataProvider || !can(role, "editPlayers")) return;
+      const before = players.find((p) => p.id === playerId) || {};
       try {
-        await updateDoc(doc(db, "players", playerId), playerData);
+        await dataProvider.updatePlayer(playerId, playerData, before, actor);
       } catch (e) {
         console.error("Error updating player:", e);
       }
     },
-    [db]
+    [dataProvider, role, actor, players]
+  );
+
+  // errors go back to the form, which keeps the crop open for another try
+  const handleUploadPlayerImage = useCallback(
+    (blob) => {
+      if (!dataProvider || !can(role, "editPlayers")) return Promise.reject(new Error("Not allowed to edit players"));
+      return dataProvider.uploadPlayerImage(blob);
+    },
+    [dataProvider, role]
   );
 
   const handleDeletePlayer = useCallback(
     async (playerId) => {
-      if (!db) return;
+      if (!dataProvider || !can(role, "deletePlayer")) return;
+      const player = players.find((p) => p.id === playerId);
+      if (!player) return;
       try {
-        await deleteDoc(doc(db, "players", playerId));
+        await dataProvider.deletePlayer(player, actor);
       } catch (e) {
         console.error("Error deleting player:", e);
       }
     },
-    [db]
+    [dataProvider, role, actor, players]
+  );
+
+  const handleUpdateRatingConfig = useCallback(
+    async (changes) => {
+      if (!dataProvider || !can(role, "editConfig")) return;
+      try {
+        await dataProvider.updateConfig({ rating: { ...ratingConfig, ...changes } });
+      } catch (e) {
+        console.error("Error updating rating config:", e);
+      }
+    },
+    [dataProvider, role, ratingConfig]
+  );
+
+  const handleSaveCustomRules = useCallback(
+    async (rules) => {
+      if (!dataProvider || !can(role, "editGameRules")) return;
+      const custom = [...(appState.gameRules?.custom || []), rules];
+      try {
+        await dataProvider.updateConfig({ gameRules: { ...(appState.gameRules || {}), custom } });
+      } catch (e) {
+        console.error("Error saving game rules:", e);
+      }
+    },
+    [dataProvider, role, appState.gameRules]
   );
 
-  const handleGameStart = useCallback((team1, team2) => {
-    setGameConfig({ team1, team2 });
+  const handleGameStart = useCallback((team1, team2, rules) => {
+    setGameConfig({ team1, team2, rules });
+    setResumableGame(null);
     setIsGameActive(true);
   }, []);
 
+  const handleQueueChange = useCallback(
+    async (update) => {
+      if (!dataProvider || !can(role, "manageQueue")) return;
+      try {
+        await dataProvider.updateQueue(update);
+      } catch (e) {
+        console.error("Error updating queue:", e);
+        alert("Die Warteschlange konnte nicht geändert werden.");
+      }
+    },
+    [dataProvider, role]
+  );
+
   // =============================
-  // ATOMIC MATCH WRITE (transaction)
+  // TOURNAMENTS
   // =============================
-  const handleGameEnd = useCallback(
-    async (winner, teams, score, goalHistory, duration) => {
-      if (!db) return;
-      const { team1, team2 } = teams;
-      const winningTeam = winner === "Team 1" ? team1 : team2;
-      const losingTeam = winner === "Team 1" ? team2 : team1;
-      const losingTeamScore = winner === "Team 1" ? score.team2 : score.team1;
-      const isShutout = losingTeamScore === 0;
-
-      const pRefs = [
-        doc(db, "players", team1.striker.id),
-        doc(db, "players", team1.defender.id),
-        doc(db, "players", team2.striker.id),
-        doc(db, "players", team2.defender.id)
-      ];
+  const handleCreateTournament = useCallback(
+    async (options) => {
+      if (!dataProvider || !can(role, "runTournaments")) return null;
+      try {
+        return await dataProvider.createTournament(createTournament(options), actor);
+      } catch (e) {
+        console.error("Error creating tournament:", e);
+        alert("Das Turnier konnte nicht angelegt werden.");
+        return null;
+      }
+    },
+    [dataProvider, role, actor]
+  );
 
+  const handleDeleteTournament = useCallback(
+    async (tournament) => {
+      if (!dataProvider || !can(role, "deleteTournament")) return;
       try {
-        await runTransaction(db, async (tx) => {
-          const snaps = await Promise.all(pRefs.map((r) => tx.get(r)));
-          const [t1s, t1d, t2s, t2d] = snaps.map((s) => ({ id: s.id, ...s.data() }));
-
-          // fresh scores
-          const freshTeam1 = { striker: t1s, defender: t1d };
-          const freshTeam2 = { striker: t2s, defender: t2d };
-          const freshWin = winner === "Team 1" ? freshTeam1 : freshTeam2;
-          const freshLose = winner === "Team 1" ? freshTeam2 : freshTeam1;
-
-          const avgWinner = (freshWin.striker.score + freshWin.defender.score) / 2;
-          const avgLoser = (freshLose.striker.score + freshLose.defender.score) / 2;
-          const { winDelta, loseDelta } = computeScoreChange(avgWinner, avgLoser, isShutout);
-
-          const goalsByPlayer = goalHistory.reduce((acc, g) => {
-            const id = g.player?.id;
-            if (!id) return acc;
-            acc[id] = (acc[id] || 0) + 1;
-            return acc;
-          }, {});
-
-          const applyStats = (pSnap, didWin, position) => {
-            const pid = pSnap.id;
-            const goals = goalsByPlayer[pid] || 0;
-            const inc = didWin ? winDelta : -loseDelta;
-            const common = {
-              totalGames: increment(1),
-              score: increment(inc),
-              totalPlaytime: increment(duration || 0)
-            };
-            const role = position === "striker" ? {
-              gamesAsStriker: increment(1),
-              goalsAsStriker: increment(goals)
-            } : {
-              gamesAsDefender: increment(1),
-              goalsAsDefender: increment(goals)
-            };
-            const wl = didWin ? { gamesWon: increment(1), shutoutWins: isShutout ? increment(1) : increment(0) } : { gamesLost: increment(1) };
-            return { ...common, ...role, ...wl };
-          };
-
-          // Map roles
-          tx.update(pRefs[0], applyStats(snaps[0], winner === "Team 1", "striker"));
-          tx.update(pRefs[1], applyStats(snaps[1], winner === "Team 1", "defender"));
-          tx.update(pRefs[2], applyStats(snaps[2], winner === "Team 2", "striker"));
-          tx.update(pRefs[3], applyStats(snaps[3], winner === "Team 2", "defender"));
-
-          // Store match record
-          const matchRef = doc(collection(db, "matches"));
-          tx.set(matchRef, {
-            createdAt: serverTimestamp(),
-            duration,
-            score,
-            winner,
-            teams: {
-              team1: {
-                striker: { id: team1.striker.id, name: `${team1.striker.firstName} ${team1.striker.lastName}` },
-                defender: { id: team1.defender.id, name: `${team1.defender.firstName} ${team1.defender.lastName}` }
-              },
-              team2: {
-                striker: { id: team2.striker.id, name: `${team2.striker.firstName} ${team2.striker.lastName}` },
-                defender: { id: team2.defender.id, name: `${team2.defender.firstName} ${team2.defender.lastName}` }
-              }
-            },
-            goals: goalHistory.map((g, i) => ({
-              i,
-              playerId: g.player?.id,
-              position: g.position,
-              teamKey: g.teamKey
-            }))
-          });
-        });
+        await dataProvider.deleteTournament(tournament, actor);
       } catch (e) {
-        console.error("Error updating player stats after game:", e);
+        console.error("Error deleting tournament:", e);
+      }
+    },
+    [dataProvider, role, actor]
+  );
+
+  // A fixture is an ordinary game; the result reaches the bracket with the recorded match
+  const handlePlayFixture = useCallback(
+    (tournament, fixture) => {
+      const lineup = (teamId) => {
+        const team = tournament.teams.find((t) => t.id === teamId);
+        const forward = players.find((p) => p.id === team?.striker);
+        const defender = players.find((p) => p.id === team?.defender);
+        return forward && defender ? { forward, defender } : null;
+      };
+      const team1 = lineup(fixture.team1);
+      const team2 = lineup(fixture.team2);
+      if (!team1 || !team2) {
+        alert("Ein Spieler dieser Partie existiert nicht mehr.");
+        return;
       }
+      setGameConfig({ team1, team2, rules: tournament.rules, tournament: { id: tournament.id, fixtureId: fixture.id } });
+      setResumableGame(null);
+      setIsGameActive(true);
+    },
+    [players]
+  );
+
+  // =============================
+  // LIVE GAME (local snapshot + Firestore mirror)
+  // =============================
+  const publishLiveGame = useCallback(
+    (data) => {
+      if (!dataProvider) return;
+      dataProvider.publishLiveGame(data).catch((e) =>
+        console.error("Error publishing live game:", e)
+      );
+    },
+    [dataProvider]
+  );
+
+  const gameTournament = gameConfig?.tournament ?? null;
+
+  const handleGameStateChange = useCallback(
+    (state) => {
+      const snapshot = { ...serializeGame(state), tournament: gameTournament };
+      liveSnapshotRef.current = snapshot;
+      saveGameSnapshot(snapshot);
+      publishLiveGame({ status: "running", ...snapshot });
+    },
+    [publishLiveGame, gameTournament]
+  );
+
+  const handleResumeGame = useCallback(() => {
+    if (!resumableGame) return;
+    // prefer the live player docs over the slim copies in the snapshot
+    const hydrate = (p) => (p && players.find((x) => x.id === p.id)) || p;
+    const hydrateTeam = (team) => ({ striker: hydrate(team.striker), defender: hydrate(team.defender) });
+    setGameConfig({
+      resume: {
+        ...resumableGame,
+        team1: hydrateTeam(resumableGame.team1),
+        team2: hydrateTeam(resumableGame.team2),
+        goalHistory: resumableGame.goalHistory.map((g) => ({ ...g, player: hydrate(g.player) })),
+        undoneGoals: (resumableGame.undoneGoals || []).map((g) => ({ ...g, player: hydrate(g.player) }))
+      },
+      tournament: resumableGame.tournament ?? null
+    });
+    setResumableGame(null);
+    setIsGameActive(true);
+  }, [resumableGame, players]);
+
+  const handleDiscardGame = useCallback(() => {
+    clearGameSnapshot();
+    setResumableGame(null);
+    publishLiveGame({ status: "cancelled" });
+  }, [publishLiveGame]);
+
+  // Every finished match goes through the offline queue first, then gets synced
+  const handleGameEnd = useCallback(
+    async (winner, teams, score, goalHistory, duration, details) => {
+      const entry = matchEntryFromGame(winner, teams, score, goalHistory, duration, {
+        ...details,
+        id: createMatchId(),
+        endedAt: Date.now(),
+        season: appState.currentSeason || 1,
+        tournament: gameTournament
+      });
+      clearGameSnapshot();
+      publishLiveGame({ ...liveSnapshotRef.current, status: "finished", winner, score, endedAt: entry.endedAt });
+      // kept in memory if the device can't store it, so the next sync still sends it
+      const isStored = await enqueueMatch(entry);
 
       setIsGameActive(false);
-      setActiveView("ranking");
+      // with people waiting, the selection shows the queue's next game
+      const isQueueRunning = !entry.tournament && queuedPlayerIds(tableQueue).length > 0;
+      setActiveView(entry.tournament ? "tournaments" : isQueueRunning ? "new_game" : "ranking");
+      if (isQueueRunning && dataProvider && can(role, "manageQueue")) {
+        dataProvider.updateQueue((queue) => queueAfterGame(queue, entry)).catch((e) => console.error("Error advancing queue:", e));
+      }
+      await syncPendingMatches();
+      if (!isStored && (await listQueuedMatches()).some((queued) => queued.id === entry.id)) {
+        alert("Das Spiel konnte weder übertragen noch auf diesem Gerät gespeichert werden. Lass die App geöffnet, bis es synchronisiert ist, sonst geht es verloren.");
+      }
     },
-    [db]
+    [dataProvider, role, appState.currentSeason, gameTournament, tableQueue, syncPendingMatches, publishLiveGame]
   );
 
   const handleNewGame = useCallback(() => {
+    clearGameSnapshot();
+    publishLiveGame({ status: "cancelled" });
     setIsGameActive(false);
     setActiveView("new_game");
-  }, []);
+  }, [publishLiveGame]);
+
+  const handleVoidMatch = useCallback(
+    async (matchId) => {
+      if (!dataProvider || !can(role, "voidMatch")) return;
+      try {
+        await dataProvider.voidMatch(matchId, actor);
+      } catch (e) {
+        console.error("Error voiding match:", e);
+        alert(
+          e?.code === "tournament-later-results"
+            ? "Das Spiel konnte nicht annulliert werden: Im Turnier wurden danach schon Spiele mit seinem Ergebnis gespielt. Annulliere zuerst diese."
+            : "Das Spiel konnte nicht annulliert werden."
+        );
+      }
+    },
+    [dataProvider, role, actor]
+  );
+
+  // Not atomic across chunks: run it when no game is being recorded
+  const handleRebuildRanking = useCallback(
+    async (config, result) => {
+      if (!dataProvider || !can(role, "rebuildRanking")) return;
+      try {
+        await dataProvider.applyRebuild(config, result, players, actor);
+      } catch (e) {
+        console.error("Error rebuilding ranking:", e);
+        alert("Das Ranking konnte nicht vollständig neu berechnet werden.");
+      }
+    },
+    [dataProvider, role, actor, players]
+  );
 
-  const handleCloseSeason = useCallback(async () => {
-    if (!db || players.length === 0) return;
-    const sortedPlayers = [...players].sort((a, b) => b.score - a.score);
-    const winner = sortedPlayers[0];
+  const handleExportBackup = useCallback(async () => {
+    if (!dataProvider || !can(role, "manageData")) return;
     try {
-      await addDoc(collection(db, "seasonHistory"), {
-        seasonNumber: appState.currentSeason,
-        winnerName: `${winner.firstName} ${winner.lastName}`,
-        winnerId: winner.id,
-        endDate: serverTimestamp()
-      });
+      const backup = buildBackup(await dataProvider.readCollections(BACKUP_COLLECTIONS));
+      downloadFile(`kicker-backup-${backup.exportedAt.slice(0, 10)}.json`, JSON.stringify(backup, null, 2), "application/json");
+    } catch (e) {
+      console.error("Error exporting backup:", e);
+      alert("Das Backup konnte nicht erstellt werden.");
+    }
+  }, [dataProvider, role]);
 
-      await updateDoc(doc(db, "players", winner.id), {
-        seasonsWon: (winner.seasonsWon || 0) + 1
-      });
+  const handleExportCsv = useCallback(
+    async (name) => {
+      if (!dataProvider || !can(role, "manageData")) return;
+      try {
+        const { [name]: docs } = await dataProvider.readCollections([name]);
+        const csv = collectionToCsv(name, docs);
+        downloadFile(`kicker-${name}-${new Date().toISOString().slice(0, 10)}.csv`, csv, "text/csv;charset=utf-8");
+      } catch (e) {
+        console.error(`Error exporting ${name}:`, e);
+        alert("Der Export ist fehlgeschlagen.");
+      }
+    },
+    [dataProvider, role]
+  );
 
-      const batch = writeBatch(db);
-      const all = await getDocs(query(collection(db, "players")));
-      all.forEach((pd) => {
-        batch.update(pd.ref, { score: 1500 });
-      });
-      await batch.commit();
+  const handleImportPlayers = useCallback(
+    async (newPlayers) => {
+      if (!dataProvider || !can(role, "manageData")) return false;
+      try {
+        await dataProvider.importPlayers(
+          newPlayers.map((playerData) => ({
+            ...playerData,
+            img: playerData.img || "",
+            ...emptyPlayerStats()
+          })),
+          actor
+        );
+        return true;
+      } catch (e) {
+        console.error("Error importing players:", e);
+        alert("Der Import ist fehlgeschlagen, ein Teil der Spieler wurde eventuell schon angelegt.");
+        return false;
+      }
+    },
+    [dataProvider, role, actor]
+  );
+
+  const handleRestoreBackup = useCallback(
+    async (collections) => {
+      if (!dataProvider || !can(role, "manageData")) return false;
+      try {
+        const isRestored = await dataProvider.restoreBackup(collections, actor);
+        if (!isRestored) alert("Ein Backup kann nur in ein leeres Projekt zurückgespielt werden.");
+        return isRestored;
+      } catch (e) {
+        console.error("Error restoring backup:", e);
+        alert("Das Backup konnte nicht vollständig zurückgespielt werden.");
+        return false;
+      }
+    },
+    [dataProvider, role, actor]
+  );
+
+  // Admins close seasons by hand; any recorder's client closes a scheduled season that is due
+  const isClosingSeasonRef = useRef(false);
+  const handleCloseSeason = useCallback(
+    async ({ scheduled = false } = {}) => {
+      if (!dataProvider || !can(role, scheduled ? "recordMatch" : "closeSeason") || players.length === 0) return;
+      if (isClosingSeasonRef.current) return;
+      isClosingSeasonRef.current = true;
+      const seasonNumber = appState.currentSeason || 1;
+      try {
+        const seasonStart = seasonRange(seasonNumber, seasonHistory).from?.getTime();
+        await dataProvider.closeSeason({
+          seasonNumber,
+          playerIds: players.map((p) => p.id),
+          seasonMatches: matches.filter((m) => isInSeason(m, seasonNumber, { from: seasonStart })),
+          schedule: seasonSchedule,
+          ratingConfig,
+          actor,
+          scheduled
+        });
+      } catch (e) {
+        console.error("Error closing season:", e);
+      } finally {
+        isClosingSeasonRef.current = false;
+      }
+    },
+    [dataProvider, role, actor, players, matches, seasonHistory, seasonSchedule, ratingConfig, appState.currentSeason]
+  );
 
-      await updateDoc(doc(db, "appState", "config"), {
-        currentSeason: (appState.currentSeason || 1) + 1
+  const seasonEndMs = appState.seasonEnd?.toMillis?.() ?? null;
+
+  // games per player in the running season, for the minimum-games rule
+  const currentSeasonGames = useMemo(() => {
+    const seasonNumber = appState.currentSeason || 1;
+    const seasonStart = seasonRange(seasonNumber, seasonHistory).from?.getTime();
+    const counts = {};
+    matches
+      .filter((m) => isInSeason(m, seasonNumber, { from: seasonStart }))
+      .forEach((m) => {
+        new Set(Object.values(m.teams || {}).flatMap((team) => [team.striker?.id, team.defender?.id])).forEach((id) => {
+          if (id) counts[id] = (counts[id] || 0) + 1;
+        });
       });
-    } catch (e) {
-      console.error("Error closing season:", e);
-    }
-  }, [db, players, appState.currentSeason]);
+    return counts;
+  }, [matches, seasonHistory, appState.currentSeason]);
+
+  useEffect(() => {
+    if (!isLoggedIn || seasonEndMs === null || !can(role, "recordMatch")) return;
+    const closeIfDue = () => {
+      if (Date.now() >= seasonEndMs) handleCloseSeason({ scheduled: true });
+    };
+    closeIfDue();
+    const t = setInterval(closeIfDue, 60000);
+    return () => clearInterval(t);
+  }, [isLoggedIn, role, seasonEndMs, handleCloseSeason]);
+
+  const handleUpdateSeasonSchedule = useCallback(
+    async (changes) => {
+      if (!dataProvider || !can(role, "editConfig")) return;
+      const schedule = resolveSeasonSchedule({ ...seasonSchedule, ...changes });
+      const update = { seasonSchedule: schedule };
+      // only a new cadence moves the end; an overdue season stays due until it is closed
+      if (schedule.cadence !== seasonSchedule.cadence) {
+        const seasonStartMs = appState.seasonStart?.toMillis?.() ?? Date.now();
+        update.seasonEnd = nextSeasonEnd(Math.max(seasonStartMs, Date.now()), schedule.cadence);
+      }
+      try {
+        await dataProvider.updateConfig(update);
+      } catch (e) {
+        console.error("Error updating season schedule:", e);
+      }
+    },
+    [dataProvider, role, seasonSchedule, appState.seasonStart]
+  );
 
   const navItems = [
-    { id: "new_game", title: "New Game", bgColors: ["#282828"], textColor: "white" },
+    { id: "new_game", title: "New Game", bgColors: ["#282828"], textColor: "white", permission: "recordMatch" },
     { id: "ranking", title: "Ranking", bgColors: ["#A0153E"], textColor: "white" },
     { id: "history", title: "History", bgColors: ["#5D0E41"], textColor: "white" },
-    { id: "admin", title: "Manage Players", bgColors: ["#00224D"], textColor: "white" }
-  ];
+    { id: "tournaments", title: "Tournaments", bgColors: ["#4B1045"], textColor: "white" },
+    { id: "matches", title: "Matches", bgColors: ["#3A1248"], textColor: "white" },
+    { id: "analytics", title: "Analytics", bgColors: ["#1D1A4A"], textColor: "white" },
+    { id: "hall_of_fame", title: "Hall of Fame", bgColors: ["#0F1F4B"], textColor: "white" },
+    { id: "admin", title: "Manage Players", bgColors: ["#00224D"], textColor: "white", permission: "editPlayers" }
+  ].filter((item) => !item.permission || can(role, item.permission));
+
+  // Viewers land on the ranking instead of a band they can't open
+  const currentView = navItems.some((item) => item.id === activeView) ? activeView : "ranking";
+
+  // The scoreboard is read-only and works without a member login
+  if (isScoreboardRoute) {
+    // reads need the anonymous sign-in to have finished
+    return <ScoreboardScreen dataProvider={authUid ? dataProvider : null} players={rankedPlayers} />;
+  }
+
+  if (!isLoggedIn) {
+    return <LoginScreen onSignIn={handleSignIn} onLogin={handleLogin} isExiting={showLoginTransition} isLocal={dataProvider?.isLocal} />;
+  }
 
   return (
     <>
@@ -942,24 +3662,69 @@ export default function App() {
               title={item.title}
               bgColors={item.bgColors}
               textColor={item.textColor}
-              isActive={activeView === item.id}
+              isActive={currentView === item.id}
               onClick={() => setActiveView(item.id)}
             >
-              {item.id === "new_game" && <PlayerSelectionScreen players={players} onGameStart={handleGameStart} />}
+              {item.id === "new_game" && (
+                <PlayerSelectionScreen
+                  dataProvider={dataProvider}
+                  players={activePlayers}
+                  rulesConfig={appState.gameRules}
+                  queue={tableQueue}
+                  queueLineup={queueLineup}
+                  onSaveRules={handleSaveCustomRules}
+                  onGameStart={handleGameStart}
+                  onQueueChange={can(role, "manageQueue") ? handleQueueChange : undefined}
+                />
+              )}
               {item.id === "ranking" && (
                 <StatisticsScreen
-                  players={players}
+                  players={rankedPlayers}
                   currentSeason={appState.currentSeason}
-                  onSeasonClose={handleCloseSeason}
+                  seasonEndMs={seasonEndMs}
+                  seasonSchedule={seasonSchedule}
+                  seasonGames={currentSeasonGames}
+                  onSeasonClose={can(role, "closeSeason") ? handleCloseSeason : undefined}
+                  onScheduleChange={can(role, "editConfig") ? handleUpdateSeasonSchedule : undefined}
+                  onSelectPlayer={setProfilePlayerId}
                 />
               )}
               {item.id === "history" && <SaisonsScreen history={seasonHistory} />}
+              {item.id === "tournaments" && (
+                <TournamentsScreen
+                  tournaments={tournaments}
+                  players={activePlayers}
+                  rulesConfig={appState.gameRules}
+                  onCreate={can(role, "runTournaments") ? handleCreateTournament : undefined}
+                  onDelete={can(role, "deleteTournament") ? handleDeleteTournament : undefined}
+                  onPlayFixture={can(role, "runTournaments") && can(role, "recordMatch") ? handlePlayFixture : undefined}
+                />
+              )}
+              {item.id === "matches" && (
+                <MatchHistoryScreen
+                  dataProvider={dataProvider}
+                  players={players}
+                  seasonHistory={seasonHistory}
+                  currentSeason={appState.currentSeason}
+                  onVoidMatch={can(role, "voidMatch") ? handleVoidMatch : undefined}
+                />
+              )}
+              {item.id === "analytics" && <AnalyticsScreen dataProvider={dataProvider} players={players} />}
+              {item.id === "hall_of_fame" && <HallOfFameScreen dataProvider={dataProvider} players={players} />}
               {item.id === "admin" && (
                 <ManagePlayersScreen
                   players={players}
+                  ratingConfig={ratingConfig}
+                  users={can(role, "manageUsers") ? users : undefined}
+                  currentUserId={authUid}
+                  onRatingConfigChange={can(role, "editConfig") ? handleUpdateRatingConfig : undefined}
                   onAddPlayer={handleAddPlayer}
                   onUpdatePlayer={handleUpdatePlayer}
-                  onDeletePlayer={handleDeletePlayer}
+                  onDeletePlayer={can(role, "deletePlayer") ? handleDeletePlayer : undefined}
+                  onUploadPlayerImage={handleUploadPlayerImage}
+                  onUpdateUserRole={handleUpdateUserRole}
+                  onRebuildRanking={can(role, "rebuildRanking") ? () => setIsRebuildOpen(true) : undefined}
+                  onOpenDataTransfer={can(role, "manageData") ? () => setIsDataTransferOpen(true) : undefined}
                 />
               )}
             </NavBand>
@@ -969,14 +3734,84 @@ export default function App() {
         <div className="flex-shrink-0 w-full bg-[#00224D] p-4 flex justify-between items-center text-white/50 font-light">
           <div className="flex gap-4">
             <button onClick={handleLogout} className="hover:text-white">Logout</button>
+            <span>{authUser?.email} · {ROLES[role].label}{dataProvider?.isLocal && " · lokal"}</span>
+            <a href={SCOREBOARD_HASH} target="_blank" rel="noreferrer" className="hover:text-white">Scoreboard</a>
+            {pendingMatchCount > 0 && (
+              <button onClick={syncPendingMatches} className="text-yellow-400 hover:text-yellow-300" title="Jetzt synchronisieren">
+                {pendingMatchCount} {pendingMatchCount === 1 ? "Spiel wartet" : "Spiele warten"} auf Sync
+              </button>
+            )}
+            {failedMatches.length > 0 && (
+              <button onClick={() => setIsFailedSyncOpen(true)} className="text-red-400 hover:text-red-300">
+                {failedMatches.length} {failedMatches.length === 1 ? "Spiel" : "Spiele"} nicht übertragbar
+              </button>
+            )}
           </div>
           <span>V1.1</span>
         </div>
 
+        {profilePlayer && (
+          <PlayerProfileScreen
+            dataProvider={dataProvider}
+            player={profilePlayer}
+            players={players}
+            onClose={() => setProfilePlayerId(null)}
+          />
+        )}
+
+        <Modal isOpen={isFailedSyncOpen} onClose={() => setIsFailedSyncOpen(false)}>
+          <FailedSyncDialog
+            entries={failedMatches}
+            onRetry={handleRetryFailedMatch}
+            onDiscard={handleDiscardFailedMatch}
+            onClose={() => setIsFailedSyncOpen(false)}
+          />
+        </Modal>
+
+        {isRebuildOpen && (
+          <RebuildRankingScreen
+            dataProvider={dataProvider}
+            players={players}
+            seasonHistory={seasonHistory}
+            ratingConfig={ratingConfig}
+            onApply={handleRebuildRanking}
+            onClose={() => setIsRebuildOpen(false)}
+          />
+        )}
+
+        {isDataTransferOpen && (
+          <DataTransferScreen
+            players={players}
+            onExportBackup={handleExportBackup}
+            onExportCsv={handleExportCsv}
+            onImportPlayers={handleImportPlayers}
+            onRestoreBackup={handleRestoreBackup}
+            onClose={() => setIsDataTransferOpen(false)}
+          />
+        )}
+
+        <Modal isOpen={!!resumableGame && !isGameActive && can(role, "recordMatch")} onClose={() => {}}>
+          {resumableGame && (
+            <div>
+              <p className="text-white text-xl text-center mb-2 font-normal">Ein laufendes Spiel wurde gefunden.</p>
+              <p className="text-white/70 text-center mb-8 font-normal">
+                {teamNames(resumableGame.team1)} {resumableGame.score.team1} : {resumableGame.score.team2} {teamNames(resumableGame.team2)}
+              </p>
+              <div className="flex justify-center gap-4">
+                <button onClick={handleResumeGame} className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-8 text-lg rounded-lg">Spiel fortsetzen</button>
+                <button onClick={handleDiscardGame} className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-8 text-lg rounded-lg">Verwerfen</button>
+              </div>
+            </div>
+          )}
+        </Modal>
+
         {isGameActive && (
           <GameScreen
             initialTeam1={gameConfig.team1}
             initialTeam2={gameConfig.team2}
+            rules={gameConfig.rules}
+            resumeState={gameConfig.resume}
+            onStateChange={handleGameStateChange}
             onGameEnd={handleGameEnd}
             onNewGame={handleNewGame}
           />
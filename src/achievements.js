@@ -0,0 +1,210 @@
+// =============================
+// ACHIEVEMENTS & RECORDS
+// =============================
+// Badges are checked for every participant when a match is recorded and saved on the
+// player doc as achievements.{id} = { unlockedAt, matchId }; each one unlocks once.
+// Voiding the match that unlocked a badge takes it back. The Hall of Fame is derived
+// from player counters and the match log, nothing of it is stored.
+
+import { BASE_RATING } from "./rating";
+import { evaluateGame, normalizeRules } from "./rules";
+import { goalScore } from "./match";
+import { fastestGoals, playerNamesFromMatches } from "./analytics";
+import { applyStatDelta, matchParticipants } from "./stats";
+
+const FAST_WIN_MS = 2 * 60000;
+const GIANT_KILLER_GAP = 100;
+const COMEBACK_DEFICIT = 5;
+
+/**
+ * Each badge decides from the match context whether a participant earned it.
+ * ctx: { won, after (player doc after the match), entry, ownRating, opponentRating, cameBack }
+ */
+export const ACHIEVEMENTS = {
+  firstShutout: {
+    label: "Zu Null",
+    icon: "🧱",
+    description: "Ein Spiel ohne Gegentor gewonnen",
+    isEarned: ({ won, entry }) => won && losingScore(entry) === 0
+  },
+  winStreak10: {
+    label: "Unaufhaltsam",
+    icon: "🔥",
+    description: "10 Siege in Folge",
+    isEarned: ({ after }) => (after.currentWinStreak || 0) >= 10
+  },
+  games100: {
+    label: "Stammgast",
+    icon: "💯",
+    description: "100 Spiele gespielt",
+    isEarned: ({ after }) => (after.totalGames || 0) >= 100
+  },
+  comeback: {
+    label: "Aufholjagd",
+    icon: "🔄",
+    description: `Nach 0:${COMEBACK_DEFICIT} noch gewonnen`,
+    isEarned: ({ won, cameBack }) => won && cameBack
+  },
+  fastWin: {
+    label: "Blitzsieg",
+    icon: "⚡",
+    description: "Ein Spiel in unter 2 Minuten gewonnen",
+    isEarned: ({ won, entry }) => won && entry.duration > 0 && entry.duration < FAST_WIN_MS
+  },
+  giantKiller: {
+    label: "Riesentöter",
+    icon: "🗡️",
+    description: `Sieg gegen ein Team mit ${GIANT_KILLER_GAP}+ Punkten mehr`,
+    isEarned: ({ won, ownRating, opponentRating }) => won && opponentRating - ownRating >= GIANT_KILLER_GAP
+  }
+};
+
+const winnerKeyOf = (entry) => (entry.winner === "Team 1" ? "team1" : "team2");
+const otherTeam = (teamKey) => (teamKey === "team1" ? "team2" : "team1");
+const losingScore = (entry) => goalScore(entry)[otherTeam(winnerKeyOf(entry))];
+
+// Whether the winners were down 0:5 (or worse) in any set
+const isComeback = (entry) => {
+  const winnerKey = winnerKeyOf(entry);
+  const goals = entry.goals || [];
+  const rules = normalizeRules(entry.rules || {});
+  return goals.some((_, i) => {
+    const { score } = evaluateGame(rules, goals.slice(0, i + 1));
+    return score[winnerKey] === 0 && score[otherTeam(winnerKey)] >= COMEBACK_DEFICIT;
+  });
+};
+
+const teamRating = (team, playersBefore) => {
+  const ids = [...new Set([team.striker.id, team.defender.id])];
+  return ids.reduce((sum, id) => sum + (playersBefore[id]?.score ?? BASE_RATING), 0) / ids.length;
+};
+
+/**
+ * Badges the match unlocks, per participant; badges a player already has are left out.
+ * @param {object} entry queue entry
+ * @param {Object<string, object>} playersBefore player docs before the match
+ * @param {object} deltas result of matchStatDeltas
+ * @returns {Object<string, string[]>} achievement ids by player id, only players with new badges
+ */
+export function matchAchievements(entry, playersBefore, deltas) {
+  const winnerKey = winnerKeyOf(entry);
+  const ratings = {
+    team1: teamRating(entry.teams.team1, playersBefore),
+    team2: teamRating(entry.teams.team2, playersBefore)
+  };
+  const cameBack = isComeback(entry);
+
+  return Object.fromEntries(
+    matchParticipants(entry.teams)
+      .map(({ id, teamKey }) => {
+        const ctx = {
+          won: teamKey === winnerKey,
+          after: applyStatDelta(playersBefore[id], deltas[id]),
+          entry,
+          ownRating: ratings[teamKey],
+          opponentRating: ratings[otherTeam(teamKey)],
+          cameBack
+        };
+        const unlocked = Object.keys(ACHIEVEMENTS).filter(
+          (key) => !playersBefore[id].achievements?.[key] && ACHIEVEMENTS[key].isEarned(ctx)
+        );
+        return [id, unlocked];
+      })
+      .filter(([, unlocked]) => unlocked.length > 0)
+  );
+}
+
+// What is stored per unlocked badge
+export const achievementUnlock = (entry) => ({ unlockedAt: entry.endedAt, matchId: entry.id });
+
+// Badges a voided match had unlocked for the player and the player still holds from it
+export const achievementsToRevoke = (player, match, matchId) =>
+  (match.achievements?.[player.id] || []).filter((key) => player.achievements?.[key]?.matchId === matchId);
+
+// A player's badges in the order they were unlocked, with their definitions
+export const playerAchievements = (player) =>
+  Object.entries(player?.achievements || {})
+    .filter(([key]) => ACHIEVEMENTS[key])
+    .map(([key, unlock]) => ({ id: key, ...ACHIEVEMENTS[key], ...unlock }))
+    .sort((a, b) => a.unlockedAt - b.unlockedAt);
+
+// =============================
+// HALL OF FAME
+// =============================
+const COUNTER_RECORDS = [
+  { id: "maxWinStreak", label: "Längste Siegesserie", unit: "Siege in Folge" },
+  { id: "totalGames", label: "Meiste Spiele", unit: "Spiele" },
+  { id: "shutoutWins", label: "Meiste Zu-Null-Siege", unit: "Zu-Null-Siege" },
+  { id: "seasonsWon", label: "Meiste Saisonsiege", unit: "Saisonsiege" },
+  { id: "tournamentsWon", label: "Meiste Turniersiege", unit: "Turniersiege" }
+];
+
+// Everyone sharing the best value holds the record
+const best = (candidates, isBetter) => {
+  let top = [];
+  candidates.forEach((c) => {
+    if (!top.length || isBetter(c.value, top[0].value)) top = [c];
+    else if (c.value === top[0].value) top.push(c);
+  });
+  return top;
+};
+
+const holdersOf = (top) => [...new Set(top.flatMap((c) => c.playerIds))];
+
+/**
+ * All-time records. Counters come from the player docs, the rest from the match log
+ * (voided matches excluded by the caller).
+ * @param {object[]} players all player docs, inactive ones included
+ * @param {object[]} matches
+ * @returns {Array<{id: string, label: string, value: number, unit: string, format: "count"|"duration"|"seconds",
+ *   holderIds: string[], names: Object<string, string>}>} records nobody holds yet are left out
+ */
+export function hallOfFame(players, matches) {
+  const names = playerNamesFromMatches(matches);
+  players.forEach((p) => {
+    names[p.id] = `${p.firstName} ${p.lastName}`;
+  });
+  const record = (row, top) =>
+    top.length && top[0].value > 0 ? [{ ...row, value: top[0].value, holderIds: holdersOf(top), names }] : [];
+
+  const counters = COUNTER_RECORDS.flatMap((row) =>
+    record(
+      { ...row, format: "count" },
+      best(players.map((p) => ({ value: p[row.id] || 0, playerIds: [p.id] })), (a, b) => a > b)
+    )
+  );
+
+  const peaks = {};
+  players.forEach((p) => {
+    peaks[p.id] = p.score ?? BASE_RATING;
+  });
+  matches.forEach((m) => {
+    Object.entries(m.ratingChanges || {}).forEach(([id, { after }]) => {
+      peaks[id] = Math.max(peaks[id] ?? after, after);
+    });
+  });
+  const peakRating = record(
+    { id: "peakRating", label: "Höchste Wertung", unit: "Punkte", format: "count" },
+    best(Object.entries(peaks).map(([id, value]) => ({ value: Math.round(value), playerIds: [id] })), (a, b) => a > b)
+  );
+
+  const fastestWin = record(
+    { id: "fastestWin", label: "Schnellster Sieg", unit: "", format: "duration" },
+    best(
+      matches
+        .filter((m) => m.duration > 0 && m.winner)
+        .map((m) => {
+          const team = m.teams?.[winnerKeyOf(m)];
+          return { value: m.duration, playerIds: [...new Set([team?.striker?.id, team?.defender?.id].filter(Boolean))] };
+        }),
+      (a, b) => a < b
+    )
+  );
+
+  const [goal] = fastestGoals(matches, 1);
+  const fastestGoal = goal
+    ? [{ id: "fastestGoal", label: "Schnellstes Tor", unit: "s", format: "seconds", value: goal.ms, holderIds: [goal.playerId], names }]
+    : [];
+
+  return [...counters, ...peakRating, ...fastestWin, ...fastestGoal];
+}
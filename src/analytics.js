@@ -0,0 +1,212 @@
+// =============================
+// MATCH ANALYTICS
+// =============================
+// Pure helpers that aggregate stored match records (see matchRecord in stats.js for the schema).
+
+import { isScorersGoal } from "./match";
+
+const TEAM_KEYS = ["team1", "team2"];
+const POSITIONS = ["striker", "defender"];
+
+const otherTeam = (teamKey) => (teamKey === "team1" ? "team2" : "team1");
+const winnerKeyOf = (match) => (match.winner === "Team 1" ? "team1" : "team2");
+
+export const matchTime = (match) => match.createdAt?.toMillis?.() ?? 0;
+
+// Distinct ids, so a player holding both rods alone is counted once
+export const teamPlayerIds = (match, teamKey) => [
+  ...new Set(POSITIONS.map((pos) => match.teams?.[teamKey]?.[pos]?.id).filter(Boolean))
+];
+
+// How a single player experienced a match, or null if they did not take part
+export function matchPerspective(match, playerId) {
+  for (const teamKey of TEAM_KEYS) {
+    const position = POSITIONS.find((pos) => match.teams?.[teamKey]?.[pos]?.id === playerId);
+    if (position) {
+      return {
+        teamKey,
+        position,
+        won: winnerKeyOf(match) === teamKey,
+        partnerIds: teamPlayerIds(match, teamKey).filter((id) => id !== playerId),
+        opponentIds: teamPlayerIds(match, otherTeam(teamKey))
+      };
+    }
+  }
+  return null;
+}
+
+// Names as stored on the match records, for players that were deleted since
+export const playerNamesFromMatches = (matches) => {
+  const names = {};
+  matches.forEach((m) => {
+    TEAM_KEYS.forEach((teamKey) => {
+      POSITIONS.forEach((pos) => {
+        const p = m.teams?.[teamKey]?.[pos];
+        if (p?.id && !names[p.id]) names[p.id] = p.name;
+      });
+    });
+  });
+  return names;
+};
+
+/**
+ * Win/loss record of a player with each teammate or against each opponent.
+ * @param {Array} matches
+ * @param {string} playerId
+ * @param {"partnerIds"|"opponentIds"} relation
+ * @returns {Array<{id: string, games: number, wins: number, losses: number, winRate: number}>}
+ */
+export function relationStats(matches, playerId, relation) {
+  const byId = {};
+  matches.forEach((m) => {
+    const view = matchPerspective(m, playerId);
+    if (!view) return;
+    view[relation].forEach((id) => {
+      const entry = byId[id] || (byId[id] = { id, games: 0, wins: 0, losses: 0 });
+      entry.games += 1;
+      if (view.won) entry.wins += 1;
+      else entry.losses += 1;
+    });
+  });
+  return Object.values(byId).map((e) => ({ ...e, winRate: e.wins / e.games }));
+}
+
+// "W"/"L" for the latest matches, newest first
+export const recentForm = (matches, playerId, count = 10) =>
+  [...matches]
+    .sort((a, b) => matchTime(b) - matchTime(a))
+    .map((m) => matchPerspective(m, playerId))
+    .filter(Boolean)
+    .slice(0, count)
+    .map((view) => (view.won ? "W" : "L"));
+
+// Score after each match, oldest first. Matches recorded before rating changes were stored are skipped.
+export const scoreTimeline = (matches, playerId) =>
+  matches
+    .filter((m) => m.ratingChanges?.[playerId])
+    .sort((a, b) => matchTime(a) - matchTime(b))
+    .map((m) => ({ time: matchTime(m), score: m.ratingChanges[playerId].after }));
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Teammate pairs ranked by win rate.
+ * @param {Array} matches
+ * @param {number} minGames pairs with fewer games together are left out
+ * @returns {Array<{ids: string[], games: number, wins: number, losses: number, winRate: number}>}
+ */
+export function pairLeaderboard(matches, minGames = 1) {
+  const byPair = {};
+  matches.forEach((m) => {
+    const winnerKey = winnerKeyOf(m);
+    TEAM_KEYS.forEach((teamKey) => {
+      const ids = teamPlayerIds(m, teamKey);
+      if (ids.length !== 2 || ids[0] === ids[1]) return;
+      const key = pairKey(ids[0], ids[1]);
+      const entry = byPair[key] || (byPair[key] = { ids: key.split("|"), games: 0, wins: 0, losses: 0 });
+      entry.games += 1;
+      if (teamKey === winnerKey) entry.wins += 1;
+      else entry.losses += 1;
+    });
+  });
+  return Object.values(byPair)
+    .filter((e) => e.games >= minGames)
+    .map((e) => ({ ...e, winRate: e.wins / e.games }))
+    .sort((a, b) => b.winRate - a.winRate || b.games - a.games);
+}
+
+/**
+ * Head-to-head records between players on opposing teams.
+ * @returns {Object<string, Object<string, {games: number, wins: number}>>} matrix[a][b] is a's record against b
+ */
+export function headToHeadMatrix(matches) {
+  const matrix = {};
+  const record = (a, b, won) => {
+    const row = matrix[a] || (matrix[a] = {});
+    const cell = row[b] || (row[b] = { games: 0, wins: 0 });
+    cell.games += 1;
+    if (won) cell.wins += 1;
+  };
+  matches.forEach((m) => {
+    const winnerKey = winnerKeyOf(m);
+    const team1 = teamPlayerIds(m, "team1");
+    const team2 = teamPlayerIds(m, "team2");
+    team1.forEach((a) => {
+      team2.forEach((b) => {
+        record(a, b, winnerKey === "team1");
+        record(b, a, winnerKey === "team2");
+      });
+    });
+  });
+  return matrix;
+}
+
+const overallWinRate = (matches, playerId) => {
+  let games = 0;
+  let wins = 0;
+  matches.forEach((m) => {
+    const view = matchPerspective(m, playerId);
+    if (!view) return;
+    games += 1;
+    if (view.won) wins += 1;
+  });
+  return games > 0 ? wins / games : 0.5;
+};
+
+const CHEMISTRY_PRIOR_GAMES = 5;
+
+/**
+ * How much better two players do together than their individual win rates suggest.
+ * The pair's win rate is shrunk towards that baseline so a handful of games can't dominate.
+ * @returns {{games: number, wins: number, score: number}} score in percentage points, positive is good
+ */
+export function teamChemistry(matches, playerAId, playerBId) {
+  const baseline = (overallWinRate(matches, playerAId) + overallWinRate(matches, playerBId)) / 2;
+  const together = relationStats(matches, playerAId, "partnerIds").find((e) => e.id === playerBId);
+  const games = together?.games || 0;
+  const wins = together?.wins || 0;
+  const shrunk = (wins + CHEMISTRY_PRIOR_GAMES * baseline) / (games + CHEMISTRY_PRIOR_GAMES);
+  return { games, wins, score: Math.round((shrunk - baseline) * 100) };
+}
+
+// =============================
+// GOAL TIMELINE
+// =============================
+/**
+ * Lead of team 1 after each goal, starting at kick-off. Matches recorded before goal times
+ * were stored have at: null on every point.
+ * @param {Array<{teamKey: string, at?: number|null}>} goals
+ * @returns {Array<{at: number|null, lead: number}>}
+ */
+export function momentumPoints(goals) {
+  let lead = 0;
+  return [
+    { at: 0, lead: 0 },
+    ...goals.map((g) => {
+      lead += g.teamKey === "team1" ? 1 : -1;
+      return { at: g.at ?? null, lead };
+    })
+  ];
+}
+
+/**
+ * The quickest goals, timed from kick-off or the previous goal. Own goals and matches
+ * without goal times are left out.
+ * @returns {Array<{matchId: string, playerId: string, name: string, ms: number, type: string, time: number}>}
+ */
+export function fastestGoals(matches, count = 5) {
+  const names = playerNamesFromMatches(matches);
+  return matches
+    .flatMap((m) => {
+      let previous = 0;
+      return (m.goals || []).flatMap((g) => {
+        if (g.at === null || g.at === undefined) return [];
+        const ms = g.at - previous;
+        previous = g.at;
+        if (!g.playerId || !isScorersGoal(g)) return [];
+        return [{ matchId: m.id, playerId: g.playerId, name: names[g.playerId], ms, type: g.type, time: matchTime(m) }];
+      });
+    })
+    .sort((a, b) => a.ms - b.ms || a.time - b.time)
+    .slice(0, count);
+}
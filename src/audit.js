@@ -0,0 +1,42 @@
+// =============================
+// AUDIT LOG
+// =============================
+// Every write that changes standings leaves an entry in the auditLog collection. Entries
+// are written in the same transaction or batch as the change itself, so the log can't
+// miss a write or record one that failed. firestore.rules makes them append-only.
+
+import { collection, doc, serverTimestamp } from "firebase/firestore";
+
+export const AUDIT_ACTIONS = {
+  "match.record": "Spiel erfasst",
+  "match.void": "Spiel annulliert",
+  "player.create": "Spieler angelegt",
+  "player.update": "Spieler bearbeitet",
+  "player.delete": "Spieler gelöscht",
+  "season.close": "Saison geschlossen",
+  "ranking.rebuild": "Ranking neu berechnet",
+  "data.import": "Daten importiert",
+  "tournament.create": "Turnier angelegt",
+  "tournament.delete": "Turnier gelöscht",
+  "tournament.finish": "Turnier entschieden",
+  "tournament.reopen": "Turnier wieder offen"
+};
+
+// Who did it, as stored on the entry
+export const auditActor = (user) => (user && !user.isAnonymous ? { uid: user.uid, email: user.email || "" } : null);
+
+// The entry without its timestamp
+export const auditEntry = (action, actor, targetId, details = {}) => ({ action, actor, targetId, details });
+
+/**
+ * Adds an audit entry to a transaction or write batch (both have the same set signature).
+ * @param {object} db Firestore instance
+ * @param {object} writer Firestore Transaction or WriteBatch
+ * @param {keyof AUDIT_ACTIONS} action
+ * @param {{uid: string, email: string}} actor
+ * @param {string} targetId id of the match, player or season the action is about
+ * @param {object} details action specific payload, e.g. the deleted player doc
+ */
+export function addAuditEntry(db, writer, action, actor, targetId, details = {}) {
+  writer.set(doc(collection(db, "auditLog")), { ...auditEntry(action, actor, targetId, details), at: serverTimestamp() });
+}
@@ -0,0 +1,318 @@
+// =============================
+// BACKUP, IMPORT & EXPORT
+// =============================
+// A backup is one JSON file holding every collection the app owns. Firestore timestamps
+// are written as { "$timestamp": "<ISO date>" } so a restore can turn them back into
+// timestamps. CSV files are for spreadsheets; only players can be imported from CSV.
+
+import { BASE_RATING } from "./rating";
+import { emptyPlayerStats } from "./stats";
+
+export const BACKUP_VERSION = 1;
+
+// users and auditLog stay behind: accounts belong to the Firebase project, the log to its history
+export const BACKUP_COLLECTIONS = ["players", "matches", "seasonHistory", "appState", "tournaments"];
+
+const isTimestamp = (value) => !!value && typeof value.toMillis === "function";
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+export const encodeValue = (value) => {
+  if (isTimestamp(value)) return { $timestamp: new Date(value.toMillis()).toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+  return value;
+};
+
+/**
+ * Turns the "$timestamp" markers of a backup back into timestamps.
+ * @param {*} value
+ * @param {(ms: number) => object} fromMillis e.g. Timestamp.fromMillis
+ */
+export const decodeValue = (value, fromMillis) => {
+  if (Array.isArray(value)) return value.map((v) => decodeValue(v, fromMillis));
+  if (!isPlainObject(value)) return value;
+  if (typeof value.$timestamp === "string" && Object.keys(value).length === 1) return fromMillis(Date.parse(value.$timestamp));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v, fromMillis)]));
+};
+
+// Field paths of "$timestamp" markers that don't hold a date, which would restore as NaN
+const invalidTimestampPaths = (value, path = "") => {
+  if (Array.isArray(value)) return value.flatMap((v, i) => invalidTimestampPaths(v, `${path}[${i}]`));
+  if (!isPlainObject(value)) return [];
+  if ("$timestamp" in value && Object.keys(value).length === 1) {
+    return typeof value.$timestamp === "string" && Number.isFinite(Date.parse(value.$timestamp)) ? [] : [path];
+  }
+  return Object.entries(value).flatMap(([k, v]) => invalidTimestampPaths(v, path ? `${path}.${k}` : k));
+};
+
+/**
+ * @param {Object<string, object[]>} collections docs as { id, ...data } per collection name
+ * @param {Date} exportedAt
+ */
+export const buildBackup = (collections, exportedAt = new Date()) => ({
+  version: BACKUP_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  collections: Object.fromEntries(BACKUP_COLLECTIONS.map((name) => [name, (collections[name] || []).map(encodeValue)]))
+});
+
+const isValidId = (id) => typeof id === "string" && id.length > 0 && !id.includes("/");
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+// Per-collection checks on one doc; returns an error message or null
+const DOC_CHECKS = {
+  players: (d) => (isNonEmptyString(d.firstName) && isNonEmptyString(d.lastName) ? null : "Vor- oder Nachname fehlt"),
+  matches: (d) => {
+    const teamsOk = ["team1", "team2"].every((key) => isValidId(d.teams?.[key]?.striker?.id) && isValidId(d.teams?.[key]?.defender?.id));
+    if (!teamsOk) return "Teams unvollständig";
+    if (d.winner !== "Team 1" && d.winner !== "Team 2") return "Sieger fehlt";
+    return Number.isFinite(d.score?.team1) && Number.isFinite(d.score?.team2) ? null : "Ergebnis fehlt";
+  },
+  seasonHistory: (d) => (Number.isInteger(d.seasonNumber) ? null : "Saisonnummer fehlt"),
+  appState: () => null,
+  tournaments: (d) => (isNonEmptyString(d.name) && Array.isArray(d.teams) && Array.isArray(d.fixtures) ? null : "Name, Teams oder Spielplan fehlen")
+};
+
+/**
+ * Checks a parsed backup file without writing anything.
+ * @param {*} backup parsed JSON
+ * @returns {{collections: Object<string, object[]>, errors: string[], warnings: string[]}} collections
+ *   still hold the "$timestamp" markers
+ */
+export function validateBackup(backup) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(backup) || !isPlainObject(backup.collections)) {
+    return { collections: {}, errors: ["Keine Backup-Datei dieser App"], warnings };
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    errors.push(`Unbekannte Backup-Version ${backup.version}`);
+  }
+  Object.keys(backup.collections)
+    .filter((name) => !BACKUP_COLLECTIONS.includes(name))
+    .forEach((name) => warnings.push(`Sammlung "${name}" wird ignoriert`));
+
+  const collections = {};
+  BACKUP_COLLECTIONS.forEach((name) => {
+    const docs = backup.collections[name] ?? [];
+    if (!Array.isArray(docs)) {
+      errors.push(`${name}: keine Liste`);
+      return;
+    }
+    const seen = new Set();
+    docs.forEach((d, i) => {
+      const label = `${name}[${i}]`;
+      if (!isPlainObject(d) || !isValidId(d.id)) {
+        errors.push(`${label}: ungültige ID`);
+        return;
+      }
+      if (seen.has(d.id)) errors.push(`${label}: doppelte ID "${d.id}"`);
+      seen.add(d.id);
+      const problem = DOC_CHECKS[name](d);
+      if (problem) errors.push(`${label} (${d.id}): ${problem}`);
+      invalidTimestampPaths(d).forEach((path) => errors.push(`${label} (${d.id}): ungültiges Datum in ${path}`));
+    });
+    collections[name] = docs;
+  });
+
+  // deleted players legitimately remain in old matches
+  const playerIds = new Set((collections.players || []).map((p) => p.id));
+  const unknown = new Set(
+    (collections.matches || []).flatMap((m) =>
+      Object.values(m.teams || {}).flatMap((team) => [team?.striker?.id, team?.defender?.id]).filter((id) => id && !playerIds.has(id))
+    )
+  );
+  if (unknown.size > 0) warnings.push(`${unknown.size} Spieler aus Spielen fehlen in der Spielerliste`);
+
+  return { collections, errors, warnings };
+}
+
+// =============================
+// CSV
+// =============================
+const CSV_SEPARATORS = [",", ";", "\t"];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",;\n\r\t]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<{header: string, value: (row: object) => *}>} columns
+ * @param {object[]} rows
+ * @returns {string} comma separated, with a BOM so spreadsheets read umlauts correctly
+ */
+export const toCsv = (columns, rows) =>
+  "\uFEFF" +
+  [columns.map((c) => csvCell(c.header)), ...rows.map((row) => columns.map((c) => csvCell(c.value(row))))]
+    .map((cells) => cells.join(","))
+    .join("\r\n");
+
+/**
+ * RFC 4180 parser. The separator (comma, semicolon or tab) is taken from the header line,
+ * since spreadsheets in German locales save with semicolons.
+ * @returns {string[][]} rows of cells, blank lines dropped
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const separator = CSV_SEPARATORS.reduce((best, s) => (headerLine.split(s).length > headerLine.split(best).length ? s : best));
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === separator) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((c) => c.trim() !== ""));
+}
+
+const toIso = (value) => {
+  const ms = isTimestamp(value) ? value.toMillis() : value;
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : "";
+};
+const playerName = (ref) => ref?.name ?? "";
+
+// Flat views for spreadsheets, one file per collection
+export const CSV_EXPORTS = {
+  players: {
+    label: "Spieler",
+    columns: [
+      { header: "id", value: (p) => p.id },
+      { header: "firstName", value: (p) => p.firstName },
+      { header: "lastName", value: (p) => p.lastName },
+      { header: "country", value: (p) => p.country },
+      { header: "isActive", value: (p) => p.isActive !== false },
+      { header: "img", value: (p) => p.img },
+      ...Object.keys(emptyPlayerStats()).map((field) => ({ header: field, value: (p) => p[field] ?? (field === "score" ? BASE_RATING : 0) })),
+      { header: "seasonsWon", value: (p) => p.seasonsWon || 0 },
+      { header: "tournamentsWon", value: (p) => p.tournamentsWon || 0 },
+      { header: "lastPlayedAt", value: (p) => toIso(p.lastPlayedAt) }
+    ]
+  },
+  matches: {
+    label: "Spiele",
+    columns: [
+      { header: "id", value: (m) => m.id },
+      { header: "playedAt", value: (m) => toIso(m.endedAt ?? m.createdAt) },
+      { header: "season", value: (m) => m.season },
+      { header: "mode", value: (m) => m.mode },
+      { header: "team1Striker", value: (m) => playerName(m.teams?.team1?.striker) },
+      { header: "team1Defender", value: (m) => playerName(m.teams?.team1?.defender) },
+      { header: "team2Striker", value: (m) => playerName(m.teams?.team2?.striker) },
+      { header: "team2Defender", value: (m) => playerName(m.teams?.team2?.defender) },
+      { header: "scoreTeam1", value: (m) => m.score?.team1 },
+      { header: "scoreTeam2", value: (m) => m.score?.team2 },
+      { header: "winner", value: (m) => m.winner },
+      { header: "durationSeconds", value: (m) => Math.round((m.duration || 0) / 1000) },
+      { header: "voided", value: (m) => !!m.voided }
+    ]
+  },
+  seasonHistory: {
+    label: "Saisons",
+    columns: [
+      { header: "seasonNumber", value: (h) => h.seasonNumber },
+      { header: "endDate", value: (h) => toIso(h.endDate) },
+      { header: "winnerName", value: (h) => h.winnerName },
+      { header: "matchCount", value: (h) => h.matchCount },
+      { header: "minGames", value: (h) => h.minGames },
+      { header: "reset", value: (h) => h.reset }
+    ]
+  },
+  appState: {
+    label: "Einstellungen",
+    // one row per setting; nested values as JSON
+    rows: (docs) => docs.flatMap(({ id, ...data }) => Object.entries(data).map(([key, value]) => ({ id, key, value: encodeValue(value) }))),
+    columns: [
+      { header: "doc", value: (r) => r.id },
+      { header: "key", value: (r) => r.key },
+      { header: "value", value: (r) => r.value }
+    ]
+  }
+};
+
+export const collectionToCsv = (name, docs) => {
+  const { columns, rows } = CSV_EXPORTS[name];
+  return toCsv(columns, rows ? rows(docs) : docs);
+};
+
+// Accepted headers for the player import, English as exported plus the German UI labels
+const PLAYER_CSV_HEADERS = {
+  firstName: ["firstname", "vorname"],
+  lastName: ["lastname", "nachname"],
+  country: ["country", "land"],
+  img: ["img", "bild", "bild-url"],
+  isActive: ["isactive", "aktiv"]
+};
+
+const FALSE_VALUES = ["false", "0", "nein", "no", "n"];
+
+/**
+ * Validates a player CSV for bulk creation. Rows naming an existing player are skipped.
+ * @param {string} text file content
+ * @param {object[]} existingPlayers
+ * @returns {{players: object[], errors: string[], warnings: string[]}} players hold the
+ *   form fields only; stats are added when they are written
+ */
+export function parsePlayersCsv(text, existingPlayers = []) {
+  const [header = [], ...rows] = parseCsv(text);
+  const normalized = header.map((h) => h.trim().toLowerCase());
+  const columnOf = Object.fromEntries(
+    Object.entries(PLAYER_CSV_HEADERS).map(([field, names]) => [field, normalized.findIndex((h) => names.includes(h))])
+  );
+  const missing = ["firstName", "lastName", "country"].filter((field) => columnOf[field] < 0);
+  if (missing.length > 0) return { players: [], errors: [`Spalten fehlen: ${missing.join(", ")}`], warnings: [] };
+
+  const nameKey = (first, last) => `${first}|${last}`.toLowerCase();
+  const known = new Set(existingPlayers.map((p) => nameKey(p.firstName || "", p.lastName || "")));
+  const players = [];
+  const errors = [];
+  const warnings = [];
+  rows.forEach((cells, i) => {
+    const line = i + 2;
+    const cellOf = (field) => (columnOf[field] >= 0 ? (cells[columnOf[field]] || "").trim() : "");
+    const player = {
+      firstName: cellOf("firstName"),
+      lastName: cellOf("lastName"),
+      country: cellOf("country").toUpperCase(),
+      img: cellOf("img"),
+      isActive: !FALSE_VALUES.includes(cellOf("isActive").toLowerCase())
+    };
+    if (!player.firstName || !player.lastName || !player.country) {
+      errors.push(`Zeile ${line}: Vorname, Nachname und Land sind Pflicht`);
+      return;
+    }
+    if (!/^[A-Z]{2,3}$/.test(player.country)) {
+      errors.push(`Zeile ${line}: Land "${player.country}" ist kein Ländercode`);
+      return;
+    }
+    const key = nameKey(player.firstName, player.lastName);
+    if (known.has(key)) {
+      warnings.push(`Zeile ${line}: ${player.firstName} ${player.lastName} gibt es schon, wird übersprungen`);
+      return;
+    }
+    known.add(key);
+    players.push(player);
+  });
+  return { players, errors, warnings };
+}
@@ -0,0 +1,53 @@
+// =============================
+// TEAM BALANCING
+// =============================
+// Finds the splits of four players into two teams (and the positions within them)
+// whose predicted outcome is closest to a coin flip.
+
+import { expectedScore, positionRating } from "./rating";
+
+const EXPERIENCE_WEIGHT = 50;
+
+// Position strength of a player. Without a stored position rating the headline score is
+// nudged by how often they have played that position.
+export const positionStrength = (player, position) => {
+  if (player?.ratings?.[position]) return player.ratings[position].rating;
+  const asStriker = player?.gamesAsStriker || 0;
+  const asDefender = player?.gamesAsDefender || 0;
+  const total = asStriker + asDefender;
+  const share = total > 0 ? (position === "striker" ? asStriker : asDefender) / total : 0.5;
+  return positionRating(player, position).rating + (share - 0.5) * EXPERIENCE_WEIGHT;
+};
+
+const teamStrength = (team) => (positionStrength(team.forward, "striker") + positionStrength(team.defender, "defender")) / 2;
+
+// Chance of team1 ({ defender, forward }) beating team2
+export const predictWinProbability = (team1, team2) => expectedScore(teamStrength(team1), teamStrength(team2));
+
+const assignments = (a, b) => [
+  { defender: a, forward: b },
+  { defender: b, forward: a }
+];
+
+/**
+ * All distinct lineups for four players, most balanced first.
+ * @param {Array} players exactly four player docs
+ * @param {number} count how many lineups to return
+ * @returns {Array<{team1: {defender, forward}, team2: {defender, forward}, winProbability: number}>}
+ */
+export function balancedLineups(players, count = 3) {
+  if (players.length !== 4) return [];
+  const [first, ...rest] = players;
+  const lineups = [];
+  rest.forEach((partner) => {
+    const opponents = rest.filter((p) => p !== partner);
+    assignments(first, partner).forEach((team1) => {
+      assignments(opponents[0], opponents[1]).forEach((team2) => {
+        lineups.push({ team1, team2, winProbability: predictWinProbability(team1, team2) });
+      });
+    });
+  });
+  return lineups
+    .sort((a, b) => Math.abs(a.winProbability - 0.5) - Math.abs(b.winProbability - 0.5))
+    .slice(0, count);
+}
@@ -0,0 +1,61 @@
+// =============================
+// DATA PROVIDER
+// =============================
+// Everything App reads from or writes to its backend goes through a provider object. With
+// the VITE_FIREBASE_* env vars set it is Firestore; without them the app runs on a local
+// store seeded with demo data, for demos and development.
+
+import { createFirestoreProvider } from "./firestoreProvider";
+import { createLocalProvider } from "./localProvider";
+
+/**
+ * Subscriptions call onData with plain docs ({ id, ...data }) on every change and return
+ * an unsubscribe function. Timestamps are Firestore Timestamps in both providers.
+ * @typedef {object} DataProvider
+ * @property {boolean} isLocal
+ * @property {(callback: (user: object|null) => void) => Function} onAuthChange
+ * @property {() => Promise} signInAnonymously
+ * @property {(email: string, password: string) => Promise} signIn
+ * @property {() => Promise} signOut
+ * @property {(onData: Function, onError?: Function) => Function} subscribePlayers
+ * @property {(onData: Function, onError?: Function) => Function} subscribeConfig appState/config or null
+ * @property {(onData: Function, onError?: Function) => Function} subscribeSeasonHistory
+ * @property {(filter: {fromMs: number|null}, onData: Function, onError?: Function) => Function} subscribeMatches
+ *   matches recorded since fromMs (null for all), newest first, voided included
+ * @property {(filter: {playerId: string, season?: number|null, fromMs: number|null, toMs: number|null, pageLimit: number},
+ *   onData: Function, onError?: Function) => Function} subscribeMatchPage season matches the season tag only,
+ *   untagged matches are left out
+ * @property {(onData: Function, onError?: Function) => Function} subscribeLiveGame
+ * @property {(onData: Function, onError?: Function) => Function} subscribeQueue queue/current or null
+ * @property {(uid: string, onData: Function, onError?: Function) => Function} subscribeUserProfile
+ * @property {(onData: Function, onError?: Function) => Function} subscribeUsers
+ * @property {(onData: Function, onError?: Function) => Function} subscribeTournaments newest first
+ * @property {(uid: string, profile: object) => Promise} createUserProfile
+ * @property {(uid: string, role: string) => Promise} updateUserRole
+ * @property {(player: object, actor: object) => Promise<string>} addPlayer
+ * @property {(playerId: string, changes: object, before: object, actor: object) => Promise} updatePlayer
+ * @property {(player: object, actor: object) => Promise} deletePlayer
+ * @property {(blob: Blob) => Promise<string>} uploadPlayerImage stores a cropped player photo, resolves to its URL
+ * @property {(players: object[], actor: object) => Promise} importPlayers
+ * @property {(tournament: object, actor: object) => Promise<string>} createTournament
+ * @property {(tournament: object, actor: object) => Promise} deleteTournament
+ * @property {(changes: object) => Promise} updateConfig merges top-level fields into appState/config
+ * @property {(data: object) => Promise} publishLiveGame
+ * @property {(update: (queue: object|null) => object) => Promise} updateQueue replaces queue/current
+ *   with update(current) atomically
+ * @property {(entry: object, ratingConfig: object, actor: object) => Promise<boolean>} recordMatch also
+ *   enters the result of a tournament game (entry.tournament) into its bracket
+ * @property {(matchId: string, actor: object) => Promise<boolean>} voidMatch
+ * @property {(options: object) => Promise<boolean>} closeSeason
+ * @property {(config: object, result: object, players: object[], actor: object) => Promise} applyRebuild
+ * @property {(names: string[]) => Promise<Object<string, object[]>>} readCollections
+ * @property {(collections: Object<string, object[]>, actor: object) => Promise<boolean>} restoreBackup
+ */
+
+/**
+ * @param {object} firebaseConfig
+ * @param {{storageEmulatorHost?: string}} options
+ * @returns {DataProvider}
+ */
+export const createDataProvider = (firebaseConfig, options) =>
+  firebaseConfig?.apiKey ? createFirestoreProvider(firebaseConfig, options) : createLocalProvider();
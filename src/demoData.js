@@ -0,0 +1,40 @@
+// =============================
+// DEMO DATA
+// =============================
+// Seed for the local backend, taken from the mock data of the original prototype. It has
+// the shape of a backup's collections, timestamps included, so it loads like a restore.
+
+const demoPlayer = (id, firstName, lastName, country, stats) => ({ id, firstName, lastName, country, isActive: true, img: "", ...stats });
+
+const DEMO_PLAYERS = [
+  demoPlayer("1", "Hans", "Müller", "DE", { score: 1580, gamesWon: 174, gamesLost: 92, totalGames: 266, gamesAsStriker: 130, gamesAsDefender: 136, goalsAsStriker: 1437, goalsAsDefender: 1189, shutoutWins: 12, totalPlaytime: 127680000, seasonsWon: 1, currentWinStreak: 2, maxWinStreak: 10 }),
+  demoPlayer("2", "Jens", "Meier", "AUT", { score: 1550, gamesWon: 150, gamesLost: 100, totalGames: 250, gamesAsStriker: 120, gamesAsDefender: 130, goalsAsStriker: 1300, goalsAsDefender: 1000, shutoutWins: 8, totalPlaytime: 120000000, seasonsWon: 0, currentWinStreak: 0, maxWinStreak: 8 }),
+  demoPlayer("3", "Anna", "Schmidt", "CH", { score: 1490, gamesWon: 110, gamesLost: 110, totalGames: 220, gamesAsStriker: 115, gamesAsDefender: 105, goalsAsStriker: 1150, goalsAsDefender: 950, shutoutWins: 5, totalPlaytime: 105600000, seasonsWon: 0, currentWinStreak: 3, maxWinStreak: 6 }),
+  demoPlayer("4", "Peter", "Klein", "DE", { score: 1420, gamesWon: 80, gamesLost: 150, totalGames: 230, gamesAsStriker: 100, gamesAsDefender: 130, goalsAsStriker: 900, goalsAsDefender: 800, shutoutWins: 3, totalPlaytime: 110400000, seasonsWon: 0, currentWinStreak: 0, maxWinStreak: 4 }),
+  demoPlayer("5", "Maria", "Huber", "AUT", { score: 1610, gamesWon: 190, gamesLost: 70, totalGames: 260, gamesAsStriker: 140, gamesAsDefender: 120, goalsAsStriker: 1600, goalsAsDefender: 1300, shutoutWins: 15, totalPlaytime: 124800000, seasonsWon: 2, currentWinStreak: 5, maxWinStreak: 12 }),
+  demoPlayer("6", "Lukas", "Fischer", "DE", { score: 1520, gamesWon: 130, gamesLost: 90, totalGames: 220, gamesAsStriker: 110, gamesAsDefender: 110, goalsAsStriker: 1250, goalsAsDefender: 1050, shutoutWins: 10, totalPlaytime: 115200000, seasonsWon: 0, currentWinStreak: 1, maxWinStreak: 7 }),
+  demoPlayer("7", "Sophie", "Weber", "CH", { score: 1480, gamesWon: 100, gamesLost: 100, totalGames: 200, gamesAsStriker: 100, gamesAsDefender: 100, goalsAsStriker: 1000, goalsAsDefender: 900, shutoutWins: 4, totalPlaytime: 100800000, seasonsWon: 0, currentWinStreak: 0, maxWinStreak: 5 }),
+  demoPlayer("8", "Max", "Hofmann", "AUT", { score: 1590, gamesWon: 180, gamesLost: 80, totalGames: 260, gamesAsStriker: 130, gamesAsDefender: 130, goalsAsStriker: 1500, goalsAsDefender: 1200, shutoutWins: 14, totalPlaytime: 129600000, seasonsWon: 1, currentWinStreak: 4, maxWinStreak: 11 }),
+  demoPlayer("9", "Laura", "Wagner", "DE", { score: 1450, gamesWon: 90, gamesLost: 120, totalGames: 210, gamesAsStriker: 105, gamesAsDefender: 105, goalsAsStriker: 950, goalsAsDefender: 850, shutoutWins: 6, totalPlaytime: 105600000, seasonsWon: 0, currentWinStreak: 0, maxWinStreak: 5 }),
+  demoPlayer("10", "Felix", "Bauer", "CH", { score: 1510, gamesWon: 120, gamesLost: 95, totalGames: 215, gamesAsStriker: 110, gamesAsDefender: 105, goalsAsStriker: 1100, goalsAsDefender: 1000, shutoutWins: 9, totalPlaytime: 110400000, seasonsWon: 0, currentWinStreak: 2, maxWinStreak: 6 }),
+  demoPlayer("11", "Julia", "Richter", "AUT", { score: 1470, gamesWon: 95, gamesLost: 105, totalGames: 200, gamesAsStriker: 100, gamesAsDefender: 100, goalsAsStriker: 1050, goalsAsDefender: 920, shutoutWins: 7, totalPlaytime: 103200000, seasonsWon: 0, currentWinStreak: 0, maxWinStreak: 4 }),
+  demoPlayer("12", "Leon", "Wolf", "DE", { score: 1560, gamesWon: 160, gamesLost: 90, totalGames: 250, gamesAsStriker: 125, gamesAsDefender: 125, goalsAsStriker: 1400, goalsAsDefender: 1150, shutoutWins: 11, totalPlaytime: 124800000, seasonsWon: 0, currentWinStreak: 3, maxWinStreak: 9 })
+];
+
+// Any email and password sign in as this account in the local backend
+export const DEMO_USER = { uid: "local-admin", email: "demo@kicker.local" };
+
+/**
+ * @param {number} now
+ * @returns {Object<string, object[]>} docs as { id, ...data } per collection
+ */
+export const demoCollections = (now = Date.now()) => {
+  const seasonEnd = { $timestamp: new Date(now).toISOString() };
+  return {
+    players: DEMO_PLAYERS,
+    matches: [],
+    seasonHistory: [{ id: "season-1", seasonNumber: 1, winnerName: "Hans Müller", winnerId: "1", endDate: seasonEnd }],
+    appState: [{ id: "config", currentSeason: 2, seasonStart: seasonEnd }],
+    users: [{ id: DEMO_USER.uid, email: DEMO_USER.email, role: "admin" }]
+  };
+};
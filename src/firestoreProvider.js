@@ -0,0 +1,418 @@
+// =============================
+// FIRESTORE DATA PROVIDER
+// =============================
+// The production backend. Standings writes run in transactions or write batches together
+// with their audit entry; firestore.rules decides what each role may write.
+
+import { initializeApp } from "firebase/app";
+import { getAuth, onAuthStateChanged, signInAnonymously, signInWithEmailAndPassword, signOut } from "firebase/auth";
+import {
+  getFirestore,
+  collection,
+  deleteField,
+  onSnapshot,
+  getDocs,
+  doc,
+  updateDoc,
+  writeBatch,
+  query,
+  orderBy,
+  runTransaction,
+  serverTimestamp,
+  increment,
+  setDoc,
+  where,
+  limit,
+  Timestamp
+} from "firebase/firestore";
+import { connectStorageEmulator, getDownloadURL, getStorage, ref as storageRef, uploadBytes } from "firebase/storage";
+import { achievementUnlock, achievementsToRevoke, matchAchievements } from "./achievements";
+import { addAuditEntry } from "./audit";
+import { missingPlayerError } from "./matchQueue";
+import { BACKUP_COLLECTIONS, decodeValue } from "./backup";
+import { BASE_RATING } from "./rating";
+import { isCurrentSeasonMatch, nextSeasonEnd, seasonClosing } from "./seasons";
+import { lifetimeIncrements, matchParticipants, matchRecord, matchStatDeltas } from "./stats";
+import { teamPlayerIds, tournamentResult, tournamentVoid } from "./tournament";
+
+const docsOf = (snap) => snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) }));
+
+// =============================
+// ATOMIC MATCH WRITE (transaction)
+// =============================
+/**
+ * Applies a queued match to the player docs and stores the match record in one transaction.
+ * The match doc id is the queue entry id, so a match that already exists is skipped.
+ * Per-player deltas are kept on the match record so the match can be voided later.
+ * A tournament game also enters its result into the bracket and, if it decides the
+ * tournament, crowns the champions.
+ * @returns {Promise<boolean>} false if the match had been recorded before
+ */
+async function recordMatch(db, entry, ratingConfig, actor) {
+  const { winner, score } = entry;
+  const participants = matchParticipants(entry.teams);
+
+  const matchRef = doc(db, "matches", entry.id);
+  const pRefs = participants.map((p) => doc(db, "players", p.id));
+  const tournamentRef = entry.tournament ? doc(db, "tournaments", entry.tournament.id) : null;
+
+  return runTransaction(db, async (tx) => {
+    const existing = await tx.get(matchRef);
+    if (existing.exists()) return false;
+
+    const snaps = await Promise.all(pRefs.map((r) => tx.get(r)));
+    const missing = snaps.find((s) => !s.exists());
+    if (missing) throw missingPlayerError(missing.id);
+    const fresh = Object.fromEntries(snaps.map((s) => [s.id, { id: s.id, ...s.data() }]));
+
+    // a deleted tournament or an already played fixture leaves the bracket alone
+    const tournamentSnap = tournamentRef ? await tx.get(tournamentRef) : null;
+    const fixture = tournamentSnap?.exists()
+      ? tournamentResult(tournamentSnap.data(), entry.tournament.fixtureId, winner, score, entry.id)
+      : null;
+    const championSnaps = fixture?.champion
+      ? await Promise.all(teamPlayerIds(fixture.champion).map((id) => tx.get(doc(db, "players", id))))
+      : [];
+
+    // fresh ratings
+    const deltas = matchStatDeltas(entry, fresh, ratingConfig);
+    const unlocked = matchAchievements(entry, fresh, deltas);
+
+    // Map roles
+    participants.forEach((p, i) => {
+      const { increments, set } = deltas[p.id];
+      tx.update(pRefs[i], {
+        ...Object.fromEntries(Object.entries(increments).map(([field, value]) => [field, increment(value)])),
+        ...set,
+        ...Object.fromEntries((unlocked[p.id] || []).map((key) => [`achievements.${key}`, achievementUnlock(entry)])),
+        lastMatchId: entry.id
+      });
+    });
+
+    // Store match record; createdAt is when the game ended, not when it was synced
+    tx.set(matchRef, { createdAt: Timestamp.fromMillis(entry.endedAt), ...matchRecord(entry, fresh, deltas, ratingConfig, unlocked) });
+    addAuditEntry(db, tx, "match.record", actor, entry.id, { winner, score, playerIds: participants.map((p) => p.id) });
+
+    if (fixture) {
+      const { champion } = fixture;
+      tx.update(tournamentRef, {
+        [`results.${entry.tournament.fixtureId}`]: fixture.result,
+        ...(champion ? { status: "finished", championTeamId: champion.id, finishedAt: serverTimestamp() } : {})
+      });
+      if (champion) {
+        championSnaps.filter((s) => s.exists()).forEach((s) => tx.update(s.ref, { tournamentsWon: increment(1) }));
+        addAuditEntry(db, tx, "tournament.finish", actor, entry.tournament.id, { championTeamId: champion.id, championName: champion.name });
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Takes a confirmed match back: subtracts exactly what recordMatch added and marks the
+ * match as voided. Streaks and rating deviations are absolute values; they are restored
+ * only for players whose latest match this was, later matches were based on them.
+ * A match of a closed season only takes back the lifetime counters, scores and ratings stay.
+ * A tournament game also leaves the bracket again and takes back the title it decided.
+ * @returns {Promise<boolean>} false if the match was already voided
+ */
+async function voidMatch(db, matchId, actor) {
+  const matchRef = doc(db, "matches", matchId);
+
+  return runTransaction(db, async (tx) => {
+    const matchSnap = await tx.get(matchRef);
+    if (!matchSnap.exists()) throw new Error(`Match ${matchId} does not exist`);
+    const match = matchSnap.data();
+    if (match.voided) return false;
+    if (!match.playerDeltas) throw new Error(`Match ${matchId} was recorded without deltas and can't be voided`);
+
+    const configSnap = await tx.get(doc(db, "appState", "config"));
+    const seasonClosed = !isCurrentSeasonMatch(match, configSnap.data());
+    const entries = Object.entries(match.playerDeltas);
+    const snaps = await Promise.all(entries.map(([pid]) => tx.get(doc(db, "players", pid))));
+
+    // the fixture is open again; a deleted tournament has nothing to reopen
+    const tournamentRef = match.tournament ? doc(db, "tournaments", match.tournament.id) : null;
+    const tournamentSnap = tournamentRef ? await tx.get(tournamentRef) : null;
+    const fixture = tournamentSnap?.exists() ? tournamentVoid(tournamentSnap.data(), match.tournament.fixtureId, matchId) : null;
+    const dethronedSnaps = fixture?.dethroned
+      ? await Promise.all(teamPlayerIds(fixture.dethroned).map((id) => tx.get(doc(db, "players", id))))
+      : [];
+
+    entries.forEach(([pid, delta], i) => {
+      const pSnap = snaps[i];
+      // deleted players have nothing left to correct
+      if (!pSnap.exists()) return;
+      const increments = seasonClosed ? lifetimeIncrements(delta.increments) : delta.increments;
+      const update = Object.fromEntries(Object.entries(increments).map(([field, value]) => [field, increment(-value)]));
+      if (!seasonClosed) update[`ratings.${delta.slot}.rating`] = increment(-delta.ratingDelta);
+      achievementsToRevoke({ id: pid, ...pSnap.data() }, match, matchId).forEach((key) => {
+        update[`achievements.${key}`] = deleteField();
+      });
+      if (!seasonClosed && pSnap.data().lastMatchId === matchId) {
+        const { slotRd, ...previous } = delta.previous;
+        Object.assign(update, previous, { [`ratings.${delta.slot}.rd`]: slotRd, lastMatchId: null });
+      }
+      tx.update(pSnap.ref, update);
+    });
+
+    if (fixture) {
+      const { dethroned } = fixture;
+      tx.update(tournamentRef, {
+        results: fixture.results,
+        ...(dethroned ? { status: "running", championTeamId: null, finishedAt: deleteField() } : {})
+      });
+      if (dethroned) {
+        dethronedSnaps.filter((s) => s.exists()).forEach((s) => tx.update(s.ref, { tournamentsWon: increment(-1) }));
+        addAuditEntry(db, tx, "tournament.reopen", actor, match.tournament.id, { championTeamId: dethroned.id, championName: dethroned.name });
+      }
+    }
+
+    tx.update(matchRef, { voided: true, voidedAt: serverTimestamp(), voidedBy: actor });
+    addAuditEntry(db, tx, "match.void", actor, matchId, { winner: match.winner, score: match.score, playerDeltas: match.playerDeltas, seasonClosed });
+    return true;
+  });
+}
+
+// =============================
+// SEASON CLOSE (transaction)
+// =============================
+/**
+ * Freezes the final table, crowns the winner, rolls scores and position ratings over and
+ * starts the next season in one transaction. The season number is re-read inside it, so two
+ * clients closing the same season (e.g. two tablets reaching the scheduled end) can't both succeed.
+ * scheduled marks a close at the season's end date rather than by an admin, for the audit log.
+ * @returns {Promise<boolean>} false if the season had been closed already
+ */
+async function closeSeason(db, { seasonNumber, playerIds, seasonMatches, schedule, ratingConfig, actor, scheduled = false }) {
+  const configRef = doc(db, "appState", "config");
+  const historyRef = doc(db, "seasonHistory", `season-${seasonNumber}`);
+  const pRefs = playerIds.map((id) => doc(db, "players", id));
+
+  return runTransaction(db, async (tx) => {
+    const configSnap = await tx.get(configRef);
+    const historySnap = await tx.get(historyRef);
+    if ((configSnap.data()?.currentSeason || 1) !== seasonNumber || historySnap.exists()) return false;
+
+    const snaps = await Promise.all(pRefs.map((r) => tx.get(r)));
+    const closedAt = Date.now();
+    const players = snaps.filter((pSnap) => pSnap.exists()).map((pSnap) => ({ id: pSnap.id, ...pSnap.data() }));
+    const { history, winner, finalScores, nextScores, nextRatings } = seasonClosing(seasonNumber, players, seasonMatches, schedule, ratingConfig, closedAt);
+
+    tx.set(historyRef, { ...history, endDate: serverTimestamp() });
+
+    players.forEach((p) => {
+      tx.update(doc(db, "players", p.id), {
+        score: nextScores[p.id],
+        ratings: nextRatings[p.id],
+        decayAppliedAt: closedAt,
+        ...(p.id === winner?.playerId ? { seasonsWon: increment(1) } : {})
+      });
+    });
+
+    const nextEnd = nextSeasonEnd(closedAt, schedule.cadence);
+    tx.set(
+      configRef,
+      {
+        currentSeason: seasonNumber + 1,
+        seasonStart: serverTimestamp(),
+        seasonEnd: nextEnd ? Timestamp.fromDate(nextEnd) : null
+      },
+      { merge: true }
+    );
+
+    addAuditEntry(db, tx, "season.close", actor, String(seasonNumber), {
+      winnerId: history.winnerId,
+      winnerName: history.winnerName,
+      scheduled,
+      scores: finalScores
+    });
+    return true;
+  });
+}
+
+// =============================
+// BATCHED WRITES
+// =============================
+// A write batch holds at most 500 operations; larger jobs are split and committed in order
+const BATCH_LIMIT = 400;
+
+async function commitInChunks(db, operations) {
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach((apply) => apply(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Writes a validated backup with its original ids. Only allowed into a project without
+ * players, matches or seasons, so a restore can never mix two data sets.
+ * @returns {Promise<boolean>} false if the project already has data
+ */
+async function restoreBackup(db, collections, actor) {
+  const existing = await Promise.all(
+    ["players", "matches", "seasonHistory"].map((name) => getDocs(query(collection(db, name), limit(1))))
+  );
+  if (existing.some((snap) => !snap.empty)) return false;
+
+  const operations = BACKUP_COLLECTIONS.flatMap((name) =>
+    (collections[name] || []).map(({ id, ...data }) => (batch) => batch.set(doc(db, name, id), decodeValue(data, Timestamp.fromMillis)))
+  );
+  operations.push((batch) =>
+    addAuditEntry(db, batch, "data.import", actor, "backup", {
+      counts: Object.fromEntries(BACKUP_COLLECTIONS.map((name) => [name, collections[name]?.length || 0]))
+    })
+  );
+  await commitInChunks(db, operations);
+  return true;
+}
+
+/**
+ * @param {object} firebaseConfig
+ * @param {{storageEmulatorHost?: string}} options "host:port" uploads images to the Storage emulator
+ * @returns {import("./dataProvider").DataProvider}
+ */
+export function createFirestoreProvider(firebaseConfig, { storageEmulatorHost = "" } = {}) {
+  const app = initializeApp(firebaseConfig);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  const storage = getStorage(app);
+  if (storageEmulatorHost) {
+    const [host, port] = storageEmulatorHost.split(":");
+    connectStorageEmulator(storage, host, Number(port));
+  }
+  const configRef = doc(db, "appState", "config");
+  const queueRef = doc(db, "queue", "current");
+
+  return {
+    isLocal: false,
+
+    // auth
+    onAuthChange: (callback) => onAuthStateChanged(auth, callback),
+    signInAnonymously: () => signInAnonymously(auth),
+    signIn: (email, password) => signInWithEmailAndPassword(auth, email, password),
+    signOut: () => signOut(auth),
+
+    // subscriptions
+    subscribePlayers: (onData, onError) => onSnapshot(collection(db, "players"), (snap) => onData(docsOf(snap)), onError),
+    subscribeConfig: (onData, onError) => onSnapshot(configRef, (d) => onData(d.exists() ? d.data() : null), onError),
+    subscribeSeasonHistory: (onData, onError) => onSnapshot(collection(db, "seasonHistory"), (snap) => onData(docsOf(snap)), onError),
+    subscribeMatches: ({ fromMs }, onData, onError) => {
+      const constraints = fromMs !== null ? [where("createdAt", ">=", Timestamp.fromMillis(fromMs))] : [];
+      const q = query(collection(db, "matches"), ...constraints, orderBy("createdAt", "desc"));
+      return onSnapshot(q, (snap) => onData(docsOf(snap)), onError);
+    },
+    subscribeMatchPage: ({ playerId, season = null, fromMs, toMs, pageLimit }, onData, onError) => {
+      // Combining playerIds or season with createdAt needs the composite indexes in firestore.indexes.json
+      const constraints = [];
+      if (playerId) constraints.push(where("playerIds", "array-contains", playerId));
+      if (season !== null) constraints.push(where("season", "==", season));
+      if (fromMs !== null) constraints.push(where("createdAt", ">=", Timestamp.fromMillis(fromMs)));
+      if (toMs !== null) constraints.push(where("createdAt", "<=", Timestamp.fromMillis(toMs)));
+      const q = query(collection(db, "matches"), ...constraints, orderBy("createdAt", "desc"), limit(pageLimit));
+      return onSnapshot(q, (snap) => onData(docsOf(snap)), onError);
+    },
+    subscribeLiveGame: (onData, onError) =>
+      onSnapshot(doc(db, "liveGames", "current"), (d) => onData(d.exists() ? d.data() : null), onError),
+    subscribeQueue: (onData, onError) => onSnapshot(queueRef, (d) => onData(d.exists() ? d.data() : null), onError),
+    subscribeUserProfile: (uid, onData, onError) =>
+      onSnapshot(doc(db, "users", uid), (d) => onData(d.exists() ? d.data() : null), onError),
+    subscribeUsers: (onData, onError) => onSnapshot(collection(db, "users"), (snap) => onData(docsOf(snap)), onError),
+    subscribeTournaments: (onData, onError) =>
+      onSnapshot(query(collection(db, "tournaments"), orderBy("createdAt", "desc")), (snap) => onData(docsOf(snap)), onError),
+
+    // users
+    createUserProfile: (uid, profile) => setDoc(doc(db, "users", uid), { ...profile, createdAt: serverTimestamp() }),
+    updateUserRole: (uid, role) => updateDoc(doc(db, "users", uid), { role }),
+
+    // players
+    async addPlayer(player, actor) {
+      const playerRef = doc(collection(db, "players"));
+      const batch = writeBatch(db);
+      batch.set(playerRef, player);
+      addAuditEntry(db, batch, "player.create", actor, playerRef.id, { player });
+      await batch.commit();
+      return playerRef.id;
+    },
+    async updatePlayer(playerId, changes, before, actor) {
+      const batch = writeBatch(db);
+      batch.update(doc(db, "players", playerId), changes);
+      addAuditEntry(db, batch, "player.update", actor, playerId, {
+        changes,
+        before: Object.fromEntries(Object.keys(changes).map((field) => [field, before[field] ?? null]))
+      });
+      await batch.commit();
+    },
+    // the whole doc goes into the log so a deletion by mistake can be restored
+    async deletePlayer({ id, ...deleted }, actor) {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, "players", id));
+      addAuditEntry(db, batch, "player.delete", actor, id, { player: deleted });
+      await batch.commit();
+    },
+    // a new file per upload, the player doc is only pointed at it when the form is saved
+    async uploadPlayerImage(blob) {
+      const imageRef = storageRef(storage, `players/${doc(collection(db, "players")).id}.jpg`);
+      await uploadBytes(imageRef, blob, { contentType: blob.type, cacheControl: "public, max-age=31536000" });
+      return getDownloadURL(imageRef);
+    },
+    async importPlayers(players, actor) {
+      const refs = players.map(() => doc(collection(db, "players")));
+      const operations = players.map((player, i) => (batch) => batch.set(refs[i], player));
+      operations.push((batch) => addAuditEntry(db, batch, "data.import", actor, "players", { playerIds: refs.map((r) => r.id) }));
+      await commitInChunks(db, operations);
+    },
+
+    // tournaments; results come in with their matches (recordMatch)
+    async createTournament(tournament, actor) {
+      const tournamentRef = doc(collection(db, "tournaments"));
+      const batch = writeBatch(db);
+      batch.set(tournamentRef, { ...tournament, createdAt: serverTimestamp() });
+      addAuditEntry(db, batch, "tournament.create", actor, tournamentRef.id, { name: tournament.name, format: tournament.format });
+      await batch.commit();
+      return tournamentRef.id;
+    },
+    async deleteTournament({ id, name }, actor) {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, "tournaments", id));
+      addAuditEntry(db, batch, "tournament.delete", actor, id, { name });
+      await batch.commit();
+    },
+
+    // config; top-level fields are replaced, Dates are stored as timestamps
+    updateConfig: (changes) => setDoc(configRef, changes, { merge: true }),
+    publishLiveGame: (data) => setDoc(doc(db, "liveGames", "current"), { ...data, updatedAt: serverTimestamp() }),
+    // every device edits the same line, so changes are applied to the latest version
+    updateQueue: (update) =>
+      runTransaction(db, async (tx) => {
+        const snap = await tx.get(queueRef);
+        tx.set(queueRef, { ...update(snap.exists() ? snap.data() : null), updatedAt: serverTimestamp() });
+      }),
+
+    // standings
+    recordMatch: (entry, ratingConfig, actor) => recordMatch(db, entry, ratingConfig, actor),
+    voidMatch: (matchId, actor) => voidMatch(db, matchId, actor),
+    closeSeason: (options) => closeSeason(db, options),
+    // Not atomic across chunks: run it when no game is being recorded
+    applyRebuild: (config, result, players, actor) =>
+      commitInChunks(db, [
+        ...Object.entries(result.players).map(([playerId, { id, ...stats }]) => (batch) => batch.update(doc(db, "players", playerId), stats)),
+        ...Object.entries(result.matches).map(([matchId, fields]) => (batch) => batch.update(doc(db, "matches", matchId), fields)),
+        (batch) => batch.set(configRef, { rating: config }, { merge: true }),
+        (batch) =>
+          addAuditEntry(db, batch, "ranking.rebuild", actor, "ranking", {
+            rating: config,
+            matches: Object.keys(result.matches).length,
+            scores: Object.fromEntries(players.map((p) => [p.id, { before: p.score ?? BASE_RATING, after: result.players[p.id].score }]))
+          })
+      ]),
+
+    // backup
+    async readCollections(names) {
+      const snaps = await Promise.all(names.map((name) => getDocs(collection(db, name))));
+      return Object.fromEntries(names.map((name, i) => [name, snaps[i].docs.map((d) => ({ id: d.id, ...d.data() }))]));
+    },
+    restoreBackup: (collections, actor) => restoreBackup(db, collections, actor)
+  };
+}
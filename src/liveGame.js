@@ -0,0 +1,51 @@
+// =============================
+// LIVE GAME SNAPSHOTS
+// =============================
+// The running game is snapshotted to localStorage after every change so a reload or a
+// sleeping tablet can resume it. The same snapshot is mirrored to Firestore for spectators.
+
+const STORAGE_KEY = "kicker-app:activeGame";
+
+// Only what the game screen needs, so snapshots stay small and JSON-safe
+export const slimPlayer = (p) =>
+  p ? { id: p.id, firstName: p.firstName || "", lastName: p.lastName || "", country: p.country || "", img: p.img || "" } : null;
+
+const slimTeam = (team) => ({ striker: slimPlayer(team.striker), defender: slimPlayer(team.defender) });
+
+export const serializeGame = ({ team1, team2, score, setsWon, goalHistory, undoneGoals = [], isSwapped, rules, startTime }) => ({
+  team1: slimTeam(team1),
+  team2: slimTeam(team2),
+  score,
+  setsWon: setsWon || { team1: 0, team2: 0 },
+  goalHistory: goalHistory.map((g) => ({ ...g, player: slimPlayer(g.player) })),
+  undoneGoals: undoneGoals.map((g) => ({ ...g, player: slimPlayer(g.player) })),
+  isSwapped,
+  rules,
+  startTime
+});
+
+export function saveGameSnapshot(snapshot) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...snapshot, savedAt: Date.now() }));
+  } catch (e) {
+    console.error("Error saving game snapshot:", e);
+  }
+}
+
+export function loadGameSnapshot() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.error("Error reading game snapshot:", e);
+    return null;
+  }
+}
+
+export function clearGameSnapshot() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error("Error clearing game snapshot:", e);
+  }
+}
@@ -0,0 +1,411 @@
+// =============================
+// LOCAL DATA PROVIDER
+// =============================
+// Backend for demos and development without a Firebase project: all collections live in
+// memory, seeded with demo data, and are saved to IndexedDB after every write. Writes
+// apply the same stat and season logic as the Firestore provider. Every write is sent to
+// the other open tabs over a BroadcastChannel, so a scoreboard tab follows the game.
+
+import { Timestamp } from "firebase/firestore";
+import { achievementUnlock, achievementsToRevoke, matchAchievements } from "./achievements";
+import { auditEntry } from "./audit";
+import { BACKUP_COLLECTIONS, decodeValue, encodeValue } from "./backup";
+import { DEMO_USER, demoCollections } from "./demoData";
+import { createMatchId, missingPlayerError } from "./matchQueue";
+import { BASE_RATING } from "./rating";
+import { isCurrentSeasonMatch, nextSeasonEnd, seasonClosing } from "./seasons";
+import { applyStatDelta, matchParticipants, matchRecord, matchStatDeltas, revertStatDelta } from "./stats";
+import { teamPlayerIds, tournamentResult, tournamentVoid } from "./tournament";
+
+const DB_NAME = "kicker-app-local";
+const DB_VERSION = 1;
+const STORE = "snapshots";
+const SNAPSHOT_KEY = "collections";
+
+const COLLECTIONS = [...BACKUP_COLLECTIONS, "liveGames", "queue", "users", "auditLog"];
+
+const GUEST = { uid: "local-guest", email: null, isAnonymous: true };
+
+// =============================
+// PERSISTENCE
+// =============================
+let dbPromise = null;
+
+// Falls back to memory only, like the match queue, when IndexedDB is unavailable
+const openLocalDb = () => {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) request.result.createObjectStore(STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      console.warn("IndexedDB not available, local data is kept in memory:", err);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const idb = await openLocalDb();
+  if (!idb) return null;
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Snapshots use the backup encoding, IndexedDB can't keep Timestamp instances
+const toState = (collections) =>
+  Object.fromEntries(
+    COLLECTIONS.map((name) => [
+      name,
+      Object.fromEntries((collections[name] || []).map(({ id, ...data }) => [id, decodeValue(data, Timestamp.fromMillis)]))
+    ])
+  );
+
+const toCollections = (state) =>
+  Object.fromEntries(COLLECTIONS.map((name) => [name, Object.entries(state[name]).map(([id, data]) => encodeValue({ id, ...data }))]));
+
+async function loadState() {
+  try {
+    const saved = await runRequest("readonly", (store) => store.get(SNAPSHOT_KEY));
+    if (saved) return toState(saved);
+  } catch (e) {
+    console.error("Error reading local data:", e);
+  }
+  return toState(demoCollections());
+}
+
+// =============================
+// PROVIDER
+// =============================
+const docList = (docs) => Object.entries(docs).map(([id, data]) => ({ id, ...data }));
+const matchMillis = (m) => m.createdAt?.toMillis?.() ?? 0;
+const newestFirst = (docs) => [...docs].sort((a, b) => matchMillis(b) - matchMillis(a));
+
+// Dates in config changes are stored as timestamps, like Firestore does
+const withTimestamps = (changes) =>
+  Object.fromEntries(Object.entries(changes).map(([key, value]) => [key, value instanceof Date ? Timestamp.fromDate(value) : value]));
+
+/**
+ * @returns {import("./dataProvider").DataProvider}
+ */
+export function createLocalProvider() {
+  let state = null;
+  let user = GUEST;
+  const listeners = new Set();
+  const authListeners = new Set();
+
+  const notify = () => listeners.forEach((emit) => emit());
+  const ready = loadState().then((loaded) => {
+    state = loaded;
+    notify();
+  });
+
+  // other tabs send their state after each write; the last write wins, like in IndexedDB
+  const channel = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(DB_NAME);
+  if (channel) {
+    channel.onmessage = (event) =>
+      ready.then(() => {
+        state = toState(event.data);
+        notify();
+      });
+  }
+
+  const subscribe = (select, onData, onError) => {
+    const emit = () => {
+      if (!state) return;
+      try {
+        onData(select(state));
+      } catch (e) {
+        onError?.(e);
+      }
+    };
+    listeners.add(emit);
+    emit();
+    return () => listeners.delete(emit);
+  };
+
+  // Every write runs synchronously on a copy of the state, which replaces it only when the
+  // whole mutation went through. That makes it atomic like a transaction: a write that throws
+  // halfway leaves nothing behind. The helpers below never change a collection in place.
+  const write = async (mutate) => {
+    await ready;
+    const committed = state;
+    state = { ...committed };
+    let result;
+    try {
+      result = mutate(state);
+    } catch (e) {
+      state = committed;
+      throw e;
+    }
+    notify();
+    const snapshot = toCollections(state);
+    channel?.postMessage(snapshot);
+    runRequest("readwrite", (store) => store.put(snapshot, SNAPSHOT_KEY)).catch((e) => console.error("Error saving local data:", e));
+    return result;
+  };
+
+  const putDoc = (name, id, data) => {
+    state[name] = { ...state[name], [id]: data };
+  };
+  const mergeDoc = (name, id, changes) => putDoc(name, id, { ...state[name][id], ...changes });
+  const removeDoc = (name, id) => {
+    const { [id]: removed, ...rest } = state[name];
+    state[name] = rest;
+  };
+  const addAudit = (action, actor, targetId, details) =>
+    putDoc("auditLog", createMatchId(), { ...auditEntry(action, actor, targetId, details), at: Timestamp.now() });
+
+  const setUser = (next) => {
+    user = next;
+    authListeners.forEach((callback) => callback(user));
+  };
+
+  return {
+    isLocal: true,
+
+    // auth: no accounts, any credentials sign in as the demo admin
+    onAuthChange(callback) {
+      authListeners.add(callback);
+      callback(user);
+      return () => authListeners.delete(callback);
+    },
+    signInAnonymously: async () => setUser(GUEST),
+    signIn: async (email) => setUser({ uid: DEMO_USER.uid, email: email || DEMO_USER.email, isAnonymous: false }),
+    signOut: async () => setUser(null),
+
+    // subscriptions
+    subscribePlayers: (onData, onError) => subscribe((s) => docList(s.players), onData, onError),
+    subscribeConfig: (onData, onError) => subscribe((s) => s.appState.config || null, onData, onError),
+    subscribeSeasonHistory: (onData, onError) => subscribe((s) => docList(s.seasonHistory), onData, onError),
+    subscribeMatches: ({ fromMs }, onData, onError) =>
+      subscribe((s) => newestFirst(docList(s.matches)).filter((m) => fromMs === null || matchMillis(m) >= fromMs), onData, onError),
+    subscribeMatchPage: ({ playerId, season = null, fromMs, toMs, pageLimit }, onData, onError) =>
+      subscribe(
+        (s) =>
+          newestFirst(docList(s.matches))
+            .filter((m) => !playerId || (m.playerIds || []).includes(playerId))
+            .filter((m) => season === null || m.season === season)
+            .filter((m) => (fromMs === null || matchMillis(m) >= fromMs) && (toMs === null || matchMillis(m) <= toMs))
+            .slice(0, pageLimit),
+        onData,
+        onError
+      ),
+    subscribeLiveGame: (onData, onError) => subscribe((s) => s.liveGames.current || null, onData, onError),
+    subscribeQueue: (onData, onError) => subscribe((s) => s.queue.current || null, onData, onError),
+    subscribeUserProfile: (uid, onData, onError) => subscribe((s) => s.users[uid] || null, onData, onError),
+    subscribeUsers: (onData, onError) => subscribe((s) => docList(s.users), onData, onError),
+    subscribeTournaments: (onData, onError) => subscribe((s) => newestFirst(docList(s.tournaments)), onData, onError),
+
+    // users
+    createUserProfile: (uid, profile) => write(() => putDoc("users", uid, { ...profile, createdAt: Timestamp.now() })),
+    updateUserRole: (uid, role) => write(() => mergeDoc("users", uid, { role })),
+
+    // players
+    addPlayer: (player, actor) =>
+      write(() => {
+        const id = createMatchId();
+        putDoc("players", id, player);
+        addAudit("player.create", actor, id, { player });
+        return id;
+      }),
+    updatePlayer: (playerId, changes, before, actor) =>
+      write(() => {
+        mergeDoc("players", playerId, changes);
+        addAudit("player.update", actor, playerId, {
+          changes,
+          before: Object.fromEntries(Object.keys(changes).map((field) => [field, before[field] ?? null]))
+        });
+      }),
+    deletePlayer: ({ id, ...deleted }, actor) =>
+      write(() => {
+        removeDoc("players", id);
+        addAudit("player.delete", actor, id, { player: deleted });
+      }),
+    // no file storage here, the image is kept inline in the player doc
+    uploadPlayerImage: (blob) =>
+      new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      }),
+    importPlayers: (players, actor) =>
+      write(() => {
+        const ids = players.map((player) => {
+          const id = createMatchId();
+          putDoc("players", id, player);
+          return id;
+        });
+        addAudit("data.import", actor, "players", { playerIds: ids });
+      }),
+
+    // tournaments; results come in with their matches (recordMatch)
+    createTournament: (tournament, actor) =>
+      write(() => {
+        const id = createMatchId();
+        putDoc("tournaments", id, { ...tournament, createdAt: Timestamp.now() });
+        addAudit("tournament.create", actor, id, { name: tournament.name, format: tournament.format });
+        return id;
+      }),
+    deleteTournament: ({ id, name }, actor) =>
+      write(() => {
+        removeDoc("tournaments", id);
+        addAudit("tournament.delete", actor, id, { name });
+      }),
+
+    // config; top-level fields are replaced
+    updateConfig: (changes) => write(() => mergeDoc("appState", "config", withTimestamps(changes))),
+    publishLiveGame: (data) => write(() => putDoc("liveGames", "current", { ...data, updatedAt: Timestamp.now() })),
+    updateQueue: (update) => write((s) => putDoc("queue", "current", { ...update(s.queue.current || null), updatedAt: Timestamp.now() })),
+
+    // standings
+    recordMatch: (entry, ratingConfig, actor) =>
+      write((s) => {
+        if (s.matches[entry.id]) return false;
+        const participants = matchParticipants(entry.teams);
+        const missing = participants.find((p) => !s.players[p.id]);
+        if (missing) throw missingPlayerError(missing.id);
+        const fresh = Object.fromEntries(participants.map((p) => [p.id, { id: p.id, ...s.players[p.id] }]));
+
+        const deltas = matchStatDeltas(entry, fresh, ratingConfig);
+        const unlocked = matchAchievements(entry, fresh, deltas);
+        participants.forEach(({ id }) => {
+          const achievements = { ...s.players[id].achievements };
+          (unlocked[id] || []).forEach((key) => {
+            achievements[key] = achievementUnlock(entry);
+          });
+          putDoc("players", id, { ...applyStatDelta(s.players[id], deltas[id]), achievements, lastMatchId: entry.id });
+        });
+        putDoc("matches", entry.id, { createdAt: Timestamp.fromMillis(entry.endedAt), ...matchRecord(entry, fresh, deltas, ratingConfig, unlocked) });
+        addAudit("match.record", actor, entry.id, { winner: entry.winner, score: entry.score, playerIds: participants.map((p) => p.id) });
+
+        // a deleted tournament or an already played fixture leaves the bracket alone
+        const tournament = entry.tournament && s.tournaments[entry.tournament.id];
+        const fixture = tournament ? tournamentResult(tournament, entry.tournament.fixtureId, entry.winner, entry.score, entry.id) : null;
+        if (fixture) {
+          const { champion } = fixture;
+          mergeDoc("tournaments", entry.tournament.id, {
+            results: { ...tournament.results, [entry.tournament.fixtureId]: fixture.result },
+            ...(champion ? { status: "finished", championTeamId: champion.id, finishedAt: Timestamp.now() } : {})
+          });
+          if (champion) {
+            teamPlayerIds(champion)
+              .filter((id) => s.players[id])
+              .forEach((id) => mergeDoc("players", id, { tournamentsWon: (s.players[id].tournamentsWon || 0) + 1 }));
+            addAudit("tournament.finish", actor, entry.tournament.id, { championTeamId: champion.id, championName: champion.name });
+          }
+        }
+        return true;
+      }),
+    voidMatch: (matchId, actor) =>
+      write((s) => {
+        const match = s.matches[matchId];
+        if (!match) throw new Error(`Match ${matchId} does not exist`);
+        if (match.voided) return false;
+        if (!match.playerDeltas) throw new Error(`Match ${matchId} was recorded without deltas and can't be voided`);
+
+        const seasonClosed = !isCurrentSeasonMatch(match, s.appState.config);
+        Object.entries(match.playerDeltas).forEach(([pid, delta]) => {
+          // deleted players have nothing left to correct
+          if (!s.players[pid]) return;
+          const achievements = { ...s.players[pid].achievements };
+          achievementsToRevoke({ id: pid, ...s.players[pid] }, match, matchId).forEach((key) => delete achievements[key]);
+          putDoc("players", pid, { ...revertStatDelta(s.players[pid], delta, matchId, seasonClosed), achievements });
+        });
+
+        // the fixture is open again; a deleted tournament has nothing to reopen
+        const tournament = match.tournament && s.tournaments[match.tournament.id];
+        const fixture = tournament ? tournamentVoid(tournament, match.tournament.fixtureId, matchId) : null;
+        if (fixture) {
+          const { dethroned } = fixture;
+          const { finishedAt, ...rest } = tournament;
+          putDoc("tournaments", match.tournament.id, {
+            ...(dethroned ? { ...rest, status: "running", championTeamId: null } : tournament),
+            results: fixture.results
+          });
+          if (dethroned) {
+            teamPlayerIds(dethroned)
+              .filter((id) => s.players[id])
+              .forEach((id) => mergeDoc("players", id, { tournamentsWon: (s.players[id].tournamentsWon || 0) - 1 }));
+            addAudit("tournament.reopen", actor, match.tournament.id, { championTeamId: dethroned.id, championName: dethroned.name });
+          }
+        }
+        mergeDoc("matches", matchId, { voided: true, voidedAt: Timestamp.now(), voidedBy: actor });
+        addAudit("match.void", actor, matchId, { winner: match.winner, score: match.score, playerDeltas: match.playerDeltas, seasonClosed });
+        return true;
+      }),
+    closeSeason: ({ seasonNumber, playerIds, seasonMatches, schedule, ratingConfig, actor, scheduled = false }) =>
+      write((s) => {
+        if ((s.appState.config?.currentSeason || 1) !== seasonNumber || s.seasonHistory[`season-${seasonNumber}`]) return false;
+
+        const closedAt = Date.now();
+        const players = playerIds.filter((id) => s.players[id]).map((id) => ({ id, ...s.players[id] }));
+        const { history, winner, finalScores, nextScores, nextRatings } = seasonClosing(seasonNumber, players, seasonMatches, schedule, ratingConfig, closedAt);
+
+        putDoc("seasonHistory", `season-${seasonNumber}`, { ...history, endDate: Timestamp.fromMillis(closedAt) });
+        players.forEach((p) => {
+          mergeDoc("players", p.id, {
+            score: nextScores[p.id],
+            ratings: nextRatings[p.id],
+            decayAppliedAt: closedAt,
+            ...(p.id === winner?.playerId ? { seasonsWon: (p.seasonsWon || 0) + 1 } : {})
+          });
+        });
+        const nextEnd = nextSeasonEnd(closedAt, schedule.cadence);
+        mergeDoc("appState", "config", {
+          currentSeason: seasonNumber + 1,
+          seasonStart: Timestamp.fromMillis(closedAt),
+          seasonEnd: nextEnd ? Timestamp.fromDate(nextEnd) : null
+        });
+        addAudit("season.close", actor, String(seasonNumber), {
+          winnerId: history.winnerId,
+          winnerName: history.winnerName,
+          scheduled,
+          scores: finalScores
+        });
+        return true;
+      }),
+    applyRebuild: (config, result, players, actor) =>
+      write((s) => {
+        Object.entries(result.players).forEach(([playerId, { id, ...stats }]) => {
+          if (s.players[playerId]) mergeDoc("players", playerId, stats);
+        });
+        Object.entries(result.matches).forEach(([matchId, fields]) => mergeDoc("matches", matchId, fields));
+        mergeDoc("appState", "config", { rating: config });
+        addAudit("ranking.rebuild", actor, "ranking", {
+          rating: config,
+          matches: Object.keys(result.matches).length,
+          scores: Object.fromEntries(players.map((p) => [p.id, { before: p.score ?? BASE_RATING, after: result.players[p.id].score }]))
+        });
+      }),
+
+    // backup
+    readCollections: async (names) => {
+      await ready;
+      return Object.fromEntries(names.map((name) => [name, docList(state[name])]));
+    },
+    restoreBackup: (collections, actor) =>
+      write((s) => {
+        if (["players", "matches", "seasonHistory"].some((name) => Object.keys(s[name]).length > 0)) return false;
+        const restored = toState(collections);
+        BACKUP_COLLECTIONS.forEach((name) => {
+          s[name] = restored[name];
+        });
+        addAudit("data.import", actor, "backup", {
+          counts: Object.fromEntries(BACKUP_COLLECTIONS.map((name) => [name, collections[name]?.length || 0]))
+        });
+        return true;
+      })
+  };
+}
@@ -0,0 +1,175 @@
+// =============================
+// MATCH STATE
+// =============================
+// The running game as plain data: lineups, goals in order, which side is shown left and
+// the rules. Every transition returns a new state and score, sets and winner are always
+// derived from the goals, so undoing a winning goal reopens the game.
+
+import { evaluateGame, matchScore, normalizeRules, pointsToWin } from "./rules";
+import { matchMode } from "./modes";
+
+// How a goal was scored; an own goal counts for the other team
+export const GOAL_TYPES = {
+  regular: { label: "Tor" },
+  ownGoal: { label: "Eigentor" },
+  midfield: { label: "Mittelfeld" },
+  gurke: { label: "Gurke" }
+};
+
+export const DEFAULT_GOAL_TYPE = "regular";
+
+// Own goals count for the team but not for the player who scored them
+export const isScorersGoal = (goal) => goal.type !== "ownGoal";
+
+/**
+ * Goals per team over all sets of a finished game. The score of a best-of-N game counts
+ * sets won, so shutouts and the rating margin are taken from here.
+ * @param {{score: object, rules?: object, goals?: object[], goalScore?: object}} match queue entry or match record
+ * @returns {{team1: number, team2: number}}
+ */
+export const goalScore = (match) => {
+  if (match.goalScore) return match.goalScore;
+  const goals = match.goals || [];
+  if (!(match.rules?.sets > 1) || goals.length === 0) return match.score;
+  return goals.reduce((score, g) => ({ ...score, [g.teamKey]: score[g.teamKey] + 1 }), { team1: 0, team2: 0 });
+};
+
+/**
+ * @typedef {object} Goal
+ * @property {object} player who touched the ball last
+ * @property {"striker"|"defender"} position
+ * @property {"team1"|"team2"} teamKey the team the goal counts for
+ * @property {string} type key of GOAL_TYPES
+ * @property {number} at ms since the start of the game
+ */
+
+/**
+ * @typedef {object} MatchState
+ * @property {{striker: object, defender: object}} team1
+ * @property {{striker: object, defender: object}} team2
+ * @property {Goal[]} goalHistory
+ * @property {Array<Goal & {undoneAt: number}>} undoneGoals goals taken back, in the order they were undone
+ * @property {boolean} isSwapped team 2 is shown on the left
+ * @property {object} rules normalized rules
+ * @property {number} startTime
+ */
+
+/**
+ * A new game, or a resumed one from a snapshot with the same fields.
+ * @returns {MatchState}
+ */
+export const createMatch = ({ team1, team2, rules, startTime, goalHistory = [], undoneGoals = [], isSwapped = false }) => ({
+  team1,
+  team2,
+  goalHistory,
+  undoneGoals,
+  isSwapped: !!isSwapped,
+  rules: normalizeRules(rules),
+  startTime
+});
+
+export const evaluateMatch = (match, elapsedMs = 0) => evaluateGame(match.rules, match.goalHistory, elapsedMs);
+
+export const teamKeyOf = (match, player) =>
+  player && (player.id === match.team1.striker?.id || player.id === match.team1.defender?.id) ? "team1" : "team2";
+
+const otherTeam = (teamKey) => (teamKey === "team1" ? "team2" : "team1");
+
+// Goals after the winning one are ignored, the winner has to be confirmed or undone first
+export const scoreGoal = (match, player, position, elapsedMs = 0, type = DEFAULT_GOAL_TYPE) => {
+  if (evaluateMatch(match, elapsedMs).winner) return match;
+  const ownTeam = teamKeyOf(match, player);
+  const teamKey = type === "ownGoal" ? otherTeam(ownTeam) : ownTeam;
+  return { ...match, goalHistory: [...match.goalHistory, { player, position, teamKey, type, at: elapsedMs }] };
+};
+
+// The goal is kept in undoneGoals, so the record shows what was taken back and when
+export const undoGoal = (match, elapsedMs = 0) => {
+  if (!match.goalHistory.length) return match;
+  const undone = match.goalHistory[match.goalHistory.length - 1];
+  return {
+    ...match,
+    goalHistory: match.goalHistory.slice(0, -1),
+    undoneGoals: [...(match.undoneGoals || []), { ...undone, undoneAt: elapsedMs }]
+  };
+};
+
+// Striker and defender of one team change places, goals keep the position they were scored from
+export const swapPositions = (match, teamKey) => {
+  const team = match[teamKey];
+  return { ...match, [teamKey]: { striker: team.defender, defender: team.striker } };
+};
+
+export const swapSides = (match) => ({ ...match, isSwapped: !match.isSwapped });
+
+// What the snapshot and the live view get, without the running clock
+export const matchSnapshot = (match) => {
+  const { score, setsWon } = evaluateMatch(match);
+  return { ...match, score, setsWon };
+};
+
+/**
+ * Score line and hints for the game screen.
+ * @param {MatchState} match
+ * @param {number} elapsedMs
+ */
+export const matchStatus = (match, elapsedMs) => {
+  const evaluation = evaluateMatch(match, elapsedMs);
+  const { timeLimitMinutes } = match.rules;
+  return {
+    ...evaluation,
+    finalScore: matchScore(match.rules, evaluation),
+    winningScore: pointsToWin(match.rules, evaluation.score),
+    remaining: timeLimitMinutes ? Math.max(0, timeLimitMinutes * 60000 - elapsedMs) : null
+  };
+};
+
+const playerRefOf = (p) => ({ id: p.id, name: `${p.firstName} ${p.lastName}` });
+
+// Goals of snapshots from before goal types and times were recorded have neither
+const goalRecord = (g, i) => ({
+  i,
+  playerId: g.player?.id ?? null,
+  position: g.position,
+  teamKey: g.teamKey,
+  type: g.type || DEFAULT_GOAL_TYPE,
+  at: g.at ?? null
+});
+
+/**
+ * Serializable record of a finished game, as stored in the offline queue.
+ * @param {string} winner "Team 1" or "Team 2"
+ * @param {{team1: object, team2: object}} teams
+ * @param {{team1: number, team2: number}} score
+ * @param {MatchState["goalHistory"]} goalHistory
+ * @param {number} duration
+ * @param {{id: string, endedAt: number, rules?: object, sets?: object[], season?: number,
+ *   tournament?: {id: string, fixtureId: string}, undoneGoals?: MatchState["undoneGoals"]}} details
+ */
+export const matchEntryFromGame = (
+  winner,
+  teams,
+  score,
+  goalHistory,
+  duration,
+  { id, endedAt, rules, sets, season, tournament, undoneGoals = [] } = {}
+) => ({
+  id,
+  endedAt,
+  winner,
+  score,
+  duration: duration || 0,
+  mode: matchMode(teams),
+  rules: normalizeRules(rules),
+  sets: sets || [],
+  // the season the game was played in, even if it syncs after the season was closed
+  season: season ?? null,
+  // the tournament fixture this game decides, applied together with the match
+  tournament: tournament ?? null,
+  teams: {
+    team1: { striker: playerRefOf(teams.team1.striker), defender: playerRefOf(teams.team1.defender) },
+    team2: { striker: playerRefOf(teams.team2.striker), defender: playerRefOf(teams.team2.defender) }
+  },
+  goals: goalHistory.map((g, i) => goalRecord(g, i)),
+  undoneGoals: undoneGoals.map((g, i) => ({ ...goalRecord(g, i), undoneAt: g.undoneAt ?? null }))
+});
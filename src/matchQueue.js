@@ -0,0 +1,104 @@
+// =============================
+// OFFLINE MATCH QUEUE
+// =============================
+// Finished matches are stored in IndexedDB before they are sent to Firestore, so a
+// dropped connection can't lose them. Entries are keyed by their client-generated
+// match id, which is also the id of the match document, so replays are idempotent.
+// Entries that can never be recorded (a player was deleted meanwhile) are kept, marked
+// as failed, until someone retries or discards them.
+
+const DB_NAME = "kicker-app";
+const DB_VERSION = 1;
+const STORE = "pendingMatches";
+
+// Used when IndexedDB is unavailable (private mode, old browsers) or a write to it fails:
+// survives the session only
+const memoryQueue = new Map();
+
+let dbPromise = null;
+
+const openQueueDb = () => {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) {
+          request.result.createObjectStore(STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      console.warn("IndexedDB not available, match queue is kept in memory:", err);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const idb = await openQueueDb();
+  if (!idb) return null;
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Thrown by recordMatch for matches whose players are gone; retrying can't fix it
+export const missingPlayerError = (playerId) =>
+  Object.assign(new Error(`Player ${playerId} no longer exists`), { code: "player-missing" });
+
+export const isPermanentSyncError = (e) => e?.code === "player-missing";
+
+export const createMatchId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Queues a match. It is never dropped: if IndexedDB can't take it, it is kept in memory
+ * and synced from there.
+ * @returns {Promise<boolean>} false if the entry is only kept in memory and lost on reload
+ */
+export async function enqueueMatch(entry) {
+  const idb = await openQueueDb();
+  if (idb) {
+    try {
+      await runRequest("readwrite", (store) => store.put(entry));
+      memoryQueue.delete(entry.id);
+      return true;
+    } catch (e) {
+      console.error(`Error storing match ${entry.id}, keeping it in memory:`, e);
+    }
+  }
+  memoryQueue.set(entry.id, entry);
+  return false;
+}
+
+// Oldest first, so ratings are applied in the order the matches were played
+export async function listQueuedMatches() {
+  const idb = await openQueueDb();
+  const stored = idb
+    ? await runRequest("readonly", (store) => store.getAll()).catch((e) => {
+      console.error("Error reading queued matches:", e);
+      return [];
+    })
+    : [];
+  const byId = new Map([...(stored || []), ...memoryQueue.values()].map((entry) => [entry.id, entry]));
+  return [...byId.values()].sort((a, b) => a.endedAt - b.endedAt);
+}
+
+export async function removeQueuedMatch(id) {
+  memoryQueue.delete(id);
+  const idb = await openQueueDb();
+  if (idb) await runRequest("readwrite", (store) => store.delete(id));
+}
+
+// failed: {reason, at} keeps the entry out of the sync; null puts it back in
+export async function setQueuedMatchFailed(entry, failed) {
+  const { failed: previous, ...rest } = entry;
+  await enqueueMatch(failed ? { ...rest, failed } : rest);
+}
@@ -0,0 +1,46 @@
+// =============================
+// GAME MODES
+// =============================
+// Teams always have the { striker, defender } shape. A player who plays alone holds
+// both rods, so both fields point to the same player.
+
+export const GAME_MODES = {
+  "2v2": { label: "2 gegen 2", slots: 4 },
+  "2v1": { label: "2 gegen 1", slots: 3 },
+  "1v1": { label: "1 gegen 1", slots: 2 }
+};
+
+export const DEFAULT_GAME_MODE = "2v2";
+
+// Rating slot and stat counters per role. "solo" is one player against a pair, "singles" is 1v1.
+export const SLOT_STATS = {
+  striker: { games: "gamesAsStriker", goals: "goalsAsStriker" },
+  defender: { games: "gamesAsDefender", goals: "goalsAsDefender" },
+  solo: { games: "gamesSolo", goals: "goalsSolo" },
+  singles: { games: "gamesSingles", goals: "goalsSingles" }
+};
+
+export const isSoloTeam = (team) => !!team?.striker && team.striker.id === team.defender?.id;
+
+export const matchMode = (teams) => {
+  const solo1 = isSoloTeam(teams.team1);
+  const solo2 = isSoloTeam(teams.team2);
+  if (solo1 && solo2) return "1v1";
+  if (solo1 || solo2) return "2v1";
+  return "2v2";
+};
+
+/**
+ * The distinct participants of one team with the rating slot they play in.
+ * @returns {Array<{player: object, slot: string}>}
+ */
+export const teamLineup = (teams, teamKey) => {
+  const team = teams[teamKey];
+  if (!isSoloTeam(team)) {
+    return [
+      { player: team.striker, slot: "striker" },
+      { player: team.defender, slot: "defender" }
+    ];
+  }
+  return [{ player: team.striker, slot: matchMode(teams) === "1v1" ? "singles" : "solo" }];
+};
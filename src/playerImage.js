@@ -0,0 +1,120 @@
+// =============================
+// PLAYER IMAGES
+// =============================
+// Player photos are cropped to the 3:4 card format and scaled down in the browser before
+// they are uploaded, so the cards never load a full camera photo. Players without a photo
+// get an initials avatar, an inline SVG that works offline.
+
+export const CARD_ASPECT = 3 / 4;
+export const IMAGE_WIDTH = 600;
+export const IMAGE_QUALITY = 0.82;
+export const IMAGE_TYPE = "image/jpeg";
+
+const AVATAR_COLORS = ["#FF204E", "#A0153E", "#5D0E41", "#00224D", "#1D1A4A", "#2E7D32", "#E65100", "#4B1045"];
+
+// Earlier versions stored these as the image of players without a photo
+const isLegacyPlaceholder = (url) => url.startsWith("https://placehold.co/");
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * The part of the source image that ends up on the card: the largest 3:4 area, shrunk by
+ * zoom and moved by the offsets.
+ * @param {number} width source width
+ * @param {number} height source height
+ * @param {{zoom?: number, offsetX?: number, offsetY?: number}} view zoom >= 1; offsets from
+ *   -1 (left/top edge) to 1 (right/bottom edge), 0 is centered
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function cropRect(width, height, { zoom = 1, offsetX = 0, offsetY = 0 } = {}) {
+  const fullWidth = Math.min(width, height * CARD_ASPECT);
+  const cropWidth = fullWidth / Math.max(1, zoom);
+  const cropHeight = cropWidth / CARD_ASPECT;
+  const slackX = width - cropWidth;
+  const slackY = height - cropHeight;
+  return {
+    x: (slackX * (clamp(offsetX, -1, 1) + 1)) / 2,
+    y: (slackY * (clamp(offsetY, -1, 1) + 1)) / 2,
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+// Scaled down to IMAGE_WIDTH, small crops are never scaled up
+export const outputSize = (crop) => {
+  const width = Math.round(Math.min(crop.width, IMAGE_WIDTH));
+  return { width, height: Math.round(width / CARD_ASPECT) };
+};
+
+export const initialsOf = (firstName = "", lastName = "") =>
+  `${firstName.trim().charAt(0)}${lastName.trim().charAt(0)}`.toUpperCase() || "?";
+
+// The same name always gets the same color
+const avatarColor = (name) => {
+  const hash = [...name].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+/**
+ * Initials on a colored 3:4 background, as a data URI.
+ * @returns {string}
+ */
+export const initialsAvatar = (firstName = "", lastName = "") => {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="150" height="200" viewBox="0 0 150 200">` +
+    `<rect width="150" height="200" fill="${avatarColor(`${firstName} ${lastName}`)}"/>` +
+    `<text x="75" y="100" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-size="64" fill="#FFFFFF">` +
+    `${escapeXml(initialsOf(firstName, lastName))}</text></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+// What to show for a player: the photo, or the initials avatar
+export const playerImageSrc = (player) => {
+  const img = player?.img || "";
+  return img && !isLegacyPlaceholder(img) ? img : initialsAvatar(player?.firstName, player?.lastName);
+};
+
+// =============================
+// BROWSER ONLY (canvas)
+// =============================
+/**
+ * Decodes a picked or photographed file.
+ * @param {File} file
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImageFile = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Not an image: ${file.name}`));
+    };
+    image.src = url;
+  });
+
+// Draws the crop into the canvas at the canvas size
+export const drawCrop = (canvas, image, crop) => {
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * The crop as a compressed JPEG, ready for upload.
+ * @returns {Promise<Blob>}
+ */
+export const cropToBlob = (image, crop) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    const { width, height } = outputSize(crop);
+    canvas.width = width;
+    canvas.height = height;
+    drawCrop(canvas, image, crop);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Image encoding failed"))), IMAGE_TYPE, IMAGE_QUALITY);
+  });
@@ -0,0 +1,150 @@
+// =============================
+// TABLE QUEUE
+// =============================
+// Who plays next. Players sign up and wait in line; after every confirmed game the queue
+// moves on and proposes the next lineup. "Winner stays on" keeps the winning pair at the
+// table against the next pair in line, the rotation picks whoever has played least.
+
+import { balancedLineups, predictWinProbability } from "./balance";
+
+export const QUEUE_MODES = {
+  winnerStays: { label: "Gewinner bleibt" },
+  rotation: { label: "Faire Rotation" }
+};
+
+export const DEFAULT_QUEUE_MODE = "winnerStays";
+
+/**
+ * @typedef {object} TableQueue
+ * @property {string} mode key of QUEUE_MODES
+ * @property {string[]} waiting player ids in line, first in line first
+ * @property {{striker: string, defender: string}|null} holders the pair staying at the table
+ * @property {number} streak games the holders won in a row
+ * @property {Object<string, number>} gamesPlayed games per signed-up player since signing up
+ */
+
+/**
+ * The shared queue doc with defaults filled in; null is an empty queue.
+ * @returns {TableQueue}
+ */
+export const resolveQueue = (queue) => ({
+  mode: QUEUE_MODES[queue?.mode] ? queue.mode : DEFAULT_QUEUE_MODE,
+  waiting: queue?.waiting || [],
+  holders: queue?.holders || null,
+  streak: queue?.streak || 0,
+  gamesPlayed: queue?.gamesPlayed || {}
+});
+
+const holderIds = (queue) => (queue.holders ? [queue.holders.striker, queue.holders.defender] : []);
+
+export const queuedPlayerIds = (queue) => {
+  const q = resolveQueue(queue);
+  return [...holderIds(q), ...q.waiting];
+};
+
+export const isInQueue = (queue, playerId) => queuedPlayerIds(queue).includes(playerId);
+
+// Late sign-ups start level with the least played player in line, so they don't jump it
+export const joinQueue = (queue, playerId) => {
+  const q = resolveQueue(queue);
+  if (isInQueue(q, playerId)) return q;
+  const counts = q.waiting.map((id) => q.gamesPlayed[id] || 0);
+  return {
+    ...q,
+    waiting: [...q.waiting, playerId],
+    gamesPlayed: { ...q.gamesPlayed, [playerId]: counts.length ? Math.min(...counts) : 0 }
+  };
+};
+
+// A holder leaving breaks up the pair; the partner gets the front of the line
+export const leaveQueue = (queue, playerId) => {
+  const q = resolveQueue(queue);
+  const { [playerId]: removed, ...gamesPlayed } = q.gamesPlayed;
+  const waiting = q.waiting.filter((id) => id !== playerId);
+  if (!holderIds(q).includes(playerId)) return { ...q, waiting, gamesPlayed };
+  const partner = holderIds(q).filter((id) => id !== playerId);
+  return { ...q, waiting: [...partner, ...waiting], holders: null, streak: 0, gamesPlayed };
+};
+
+export const setQueueMode = (queue, mode) => {
+  const q = resolveQueue(queue);
+  return { ...q, mode, waiting: [...holderIds(q), ...q.waiting], holders: null, streak: 0 };
+};
+
+// Stable sort: fewest games first, then the order in line
+const leastPlayed = (q) =>
+  q.waiting
+    .map((id, index) => ({ id, index, games: q.gamesPlayed[id] || 0 }))
+    .sort((a, b) => a.games - b.games || a.index - b.index)
+    .map((row) => row.id);
+
+/**
+ * The proposed next game from the queue, in the lineup shape of balancedLineups.
+ * Players that no longer exist (or are inactive) are skipped.
+ * @param {TableQueue|null} queue
+ * @param {object[]} players selectable player docs
+ * @returns {{team1: {defender, forward}, team2: {defender, forward}, winProbability: number}|null}
+ */
+export function nextLineup(queue, players) {
+  const q = resolveQueue(queue);
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const available = (ids) => ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+
+  const holders = available(holderIds(q));
+  if (q.mode === "winnerStays" && holders.length === 2) {
+    const challengers = available(q.waiting).slice(0, 2);
+    if (challengers.length < 2) return null;
+    const team1 = { forward: holders[0], defender: holders[1] };
+    // the challengers take the positions that make the game closest
+    return [
+      { forward: challengers[0], defender: challengers[1] },
+      { forward: challengers[1], defender: challengers[0] }
+    ]
+      .map((team2) => ({ team1, team2, winProbability: predictWinProbability(team1, team2) }))
+      .sort((a, b) => Math.abs(a.winProbability - 0.5) - Math.abs(b.winProbability - 0.5))[0];
+  }
+
+  const candidates = available(q.mode === "rotation" ? leastPlayed(q) : [...holderIds(q), ...q.waiting]);
+  if (candidates.length < 4) return null;
+  return balancedLineups(candidates.slice(0, 4), 1)[0];
+}
+
+const sameIds = (a, b) => a.length === b.length && a.every((id) => b.includes(id));
+
+/**
+ * Moves the queue on after a confirmed game. Signed-up players who played go to the back
+ * of the line, except for a winning pair in winner-stays mode. A game without anyone from
+ * the queue leaves it alone.
+ * @param {TableQueue|null} queue
+ * @param {{winner: string, teams: object}} entry recorded match entry
+ * @returns {TableQueue}
+ */
+export function queueAfterGame(queue, entry) {
+  const q = resolveQueue(queue);
+  const idsOf = (team) => [...new Set([team.striker.id, team.defender.id])];
+  const [winners, losers] = entry.winner === "Team 1" ? [entry.teams.team1, entry.teams.team2] : [entry.teams.team2, entry.teams.team1];
+  const played = [...idsOf(winners), ...idsOf(losers)];
+  const signedUp = played.filter((id) => isInQueue(q, id));
+  if (!signedUp.length) return q;
+
+  const gamesPlayed = { ...q.gamesPlayed };
+  signedUp.forEach((id) => {
+    gamesPlayed[id] = (gamesPlayed[id] || 0) + 1;
+  });
+  // holders who didn't play this game wait at the front
+  const waiting = [...holderIds(q), ...q.waiting].filter((id) => !played.includes(id));
+  const backOfLine = (ids) => ids.filter((id) => signedUp.includes(id));
+
+  const winnerIds = idsOf(winners);
+  if (q.mode === "winnerStays" && winnerIds.length === 2) {
+    const holders = { striker: winners.striker.id, defender: winners.defender.id };
+    return {
+      ...q,
+      waiting: [...waiting, ...backOfLine(idsOf(losers))],
+      holders,
+      streak: sameIds(holderIds(q), winnerIds) ? q.streak + 1 : 1,
+      gamesPlayed
+    };
+  }
+  return { ...q, waiting: [...waiting, ...backOfLine(played)], holders: null, streak: 0, gamesPlayed };
+}
@@ -0,0 +1,174 @@
+// =============================
+// RATING ENGINE
+// =============================
+// Pluggable team rating algorithms. Every algorithm rates one match between two
+// teams given as lists of { rating, rd } entries and returns the updated entries
+// in the same order. `rateMatch` maps the players of a match onto those entries.
+
+import { SLOT_STATS, matchMode, teamLineup } from "./modes";
+
+export const BASE_RATING = 1500;
+const MAX_RD = 350;
+const MIN_RD = 30;
+const SEED_MIN_RD = 60;
+const Q = Math.log(10) / 400;
+
+export const DEFAULT_RATING_CONFIG = {
+  algorithm: "elo",
+  kFactor: 32,
+  marginWeight: 0.5,
+  // inactivity decay, off by default
+  decayWeeklyPercent: 0,
+  decayGraceDays: 30
+};
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export const expectedScore = (ratingA, ratingB) => 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+
+// 1 for a one-goal win, growing logarithmically with the goal difference
+export const marginMultiplier = (goalDiff, marginWeight = DEFAULT_RATING_CONFIG.marginWeight) =>
+  1 + Math.log(Math.max(1, goalDiff)) * marginWeight;
+
+const elo = {
+  label: "Elo",
+  rate(teamA, teamB, resultA, { kFactor, margin }) {
+    const expectedA = expectedScore(average(teamA.map((e) => e.rating)), average(teamB.map((e) => e.rating)));
+    const delta = kFactor * margin * (resultA - expectedA);
+    return {
+      teamA: teamA.map((e) => ({ rating: e.rating + delta })),
+      teamB: teamB.map((e) => ({ rating: e.rating - delta }))
+    };
+  }
+};
+
+// Glicko-1 with the opposing team collapsed into one opponent. The team average drives
+// the expectation, each player's own RD decides how far they move.
+const gFactor = (rd) => 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+
+const glickoSide = (team, opponents, result, margin) => {
+  const teamRating = average(team.map((e) => e.rating));
+  const oppRating = average(opponents.map((e) => e.rating));
+  const oppRd = Math.sqrt(average(opponents.map((e) => (e.rd ?? MAX_RD) ** 2)));
+  const g = gFactor(oppRd);
+  const expected = 1 / (1 + 10 ** ((-g * (teamRating - oppRating)) / 400));
+  const dSquaredInv = Q * Q * g * g * expected * (1 - expected);
+
+  return team.map((e) => {
+    const rd = e.rd ?? MAX_RD;
+    const precision = 1 / (rd * rd) + dSquaredInv;
+    return {
+      rating: e.rating + (Q / precision) * g * (result - expected) * margin,
+      rd: Math.max(MIN_RD, Math.sqrt(1 / precision))
+    };
+  });
+};
+
+const glicko = {
+  label: "Glicko",
+  rate(teamA, teamB, resultA, { margin }) {
+    return {
+      teamA: glickoSide(teamA, teamB, resultA, margin),
+      teamB: glickoSide(teamB, teamA, 1 - resultA, margin)
+    };
+  }
+};
+
+export const RATING_ALGORITHMS = { elo, glicko };
+
+export const resolveRatingConfig = (config) => {
+  const merged = { ...DEFAULT_RATING_CONFIG, ...(config || {}) };
+  if (!RATING_ALGORITHMS[merged.algorithm]) merged.algorithm = DEFAULT_RATING_CONFIG.algorithm;
+  return merged;
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Headline score after inactivity decay: once a player hasn't played for the grace period,
+ * the score drifts toward BASE_RATING by the configured share per week. It is derived on
+ * read, so nothing runs on a timer; recordMatch and the season close persist it and
+ * decayAppliedAt keeps the same idle time from being counted twice.
+ */
+export const decayedScore = (player, now, config) => {
+  const score = player?.score ?? BASE_RATING;
+  const { decayWeeklyPercent, decayGraceDays } = resolveRatingConfig(config);
+  if (!decayWeeklyPercent || !player?.lastPlayedAt) return score;
+  const from = Math.max(player.lastPlayedAt + (decayGraceDays * WEEK_MS) / 7, player.decayAppliedAt || 0);
+  if (now <= from) return score;
+  const keep = (1 - Math.min(decayWeeklyPercent, 100) / 100) ** ((now - from) / WEEK_MS);
+  return Math.round(BASE_RATING + (score - BASE_RATING) * keep);
+};
+
+// Players rated before uncertainty was tracked start with an RD that shrinks with their game count
+const seedRd = (games = 0) => Math.max(SEED_MIN_RD, MAX_RD / Math.sqrt(1 + games / 5));
+
+// Rating of a player in one slot (striker, defender, solo, singles), seeded from the
+// headline score for players rated before that slot existed
+export const positionRating = (player, position) => {
+  const stored = player?.ratings?.[position];
+  return {
+    rating: stored?.rating ?? player?.score ?? BASE_RATING,
+    rd: stored?.rd ?? seedRd(player?.[SLOT_STATS[position]?.games])
+  };
+};
+
+const headlineRating = (player) => ({
+  rating: player?.score ?? BASE_RATING,
+  rd: player?.scoreRd ?? seedRd(player?.totalGames)
+});
+
+/**
+ * Rates a finished match. Teams may have one or two players (see modes.js); 1v1 games
+ * only move the separate singles rating and leave the headline score alone.
+ * @param {{team1: {striker, defender}, team2: {striker, defender}}} teams fresh player docs
+ * @param {"Team 1"|"Team 2"} winner
+ * @param {{team1: number, team2: number}} score
+ * @param {object} config rating config from appState/config
+ * @returns {Object<string, {scoreDelta: number, scoreRd?: number, position: string, ratings: object}>} keyed by player id
+ */
+export function rateMatch(teams, winner, score, config) {
+  const { algorithm, kFactor, marginWeight } = resolveRatingConfig(config);
+  const engine = RATING_ALGORITHMS[algorithm];
+  const options = { kFactor, margin: marginMultiplier(Math.abs(score.team1 - score.team2), marginWeight) };
+  const resultTeam1 = winner === "Team 1" ? 1 : 0;
+  const keepRd = algorithm === "glicko";
+  const isSingles = matchMode(teams) === "1v1";
+
+  const side1 = teamLineup(teams, "team1");
+  const side2 = teamLineup(teams, "team2");
+
+  const headline = isSingles
+    ? null
+    : engine.rate(side1.map((s) => headlineRating(s.player)), side2.map((s) => headlineRating(s.player)), resultTeam1, options);
+  const bySlot = engine.rate(
+    side1.map((s) => positionRating(s.player, s.slot)),
+    side2.map((s) => positionRating(s.player, s.slot)),
+    resultTeam1,
+    options
+  );
+
+  const updates = {};
+  const collect = (side, headlineEntries, slotEntries) => {
+    side.forEach(({ player, slot }, i) => {
+      const nextSlot = slotEntries[i];
+      const nextHeadline = headlineEntries?.[i];
+      updates[player.id] = {
+        position: slot,
+        scoreDelta: nextHeadline ? Math.round(nextHeadline.rating - (player.score ?? BASE_RATING)) : 0,
+        ...(keepRd && nextHeadline ? { scoreRd: round1(nextHeadline.rd) } : {}),
+        ratings: {
+          ...(player.ratings || {}),
+          [slot]: keepRd
+            ? { rating: round1(nextSlot.rating), rd: round1(nextSlot.rd) }
+            : { rating: round1(nextSlot.rating), rd: positionRating(player, slot).rd }
+        }
+      };
+    });
+  };
+  collect(side1, headline?.teamA, bySlot.teamA);
+  collect(side2, headline?.teamB, bySlot.teamB);
+  return updates;
+}
@@ -0,0 +1,106 @@
+// =============================
+// RANKING REBUILD
+// =============================
+// Recomputes every player's counters and ratings from the match log, the way they
+// would be if every match had been recorded with the given rating config. Nothing is
+// written here; the admin sees the diff first.
+
+import { decayedScore } from "./rating";
+import { SLOT_STATS, matchMode } from "./modes";
+import { matchTime } from "./analytics";
+import { rolloverRatings, rolloverScores } from "./seasons";
+import { applyStatDelta, emptyPlayerStats, matchParticipants, matchStatDeltas, ratingChangesOf, storedDeltas } from "./stats";
+
+// Everything the rebuild owns on a player doc, in the order the diff lists them.
+// lastPlayedAt is listed too: players whose matches were recorded before it existed
+// only get it, and with it inactivity decay, from a rebuild.
+export const REBUILT_FIELDS = [
+  ...Object.keys(emptyPlayerStats()),
+  ...Object.values(SLOT_STATS).flatMap((s) => [s.games, s.goals]),
+  "lastPlayedAt"
+].filter((field, i, all) => all.indexOf(field) === i);
+
+/**
+ * @param {object[]} players current player docs
+ * @param {object[]} matches match docs; voided matches are skipped
+ * @param {object} ratingConfig config to replay with, may differ from the active one
+ * @param {Array<{endMs: number, reset: string, regressPercent: number}>} seasonResets closed seasons,
+ *   where scores roll over like in closeSeason
+ * @returns {{players: Object<string, object>, matches: Object<string, object>}} rebuilt player
+ *   stats and match record fields, keyed by id
+ */
+export function replayMatches(players, matches, ratingConfig, seasonResets = []) {
+  // deleted players still take part in old matches, their state is just never written
+  const state = {};
+  const stateOf = (id) => {
+    if (!state[id]) state[id] = { id, ...emptyPlayerStats(), ratings: {}, lastMatchId: null, lastPlayedAt: null, decayAppliedAt: null };
+    return state[id];
+  };
+  players.forEach((p) => stateOf(p.id));
+  const isActiveById = Object.fromEntries(players.map((p) => [p.id, p.isActive !== false]));
+
+  const resets = [...seasonResets].sort((a, b) => a.endMs - b.endMs);
+  let nextReset = 0;
+  const resetScoresUntil = (time) => {
+    while (nextReset < resets.length && resets[nextReset].endMs <= time) {
+      const { endMs, ...schedule } = resets[nextReset];
+      const finalPlayers = Object.values(state).map((p) => ({
+        ...p,
+        score: decayedScore(p, endMs, ratingConfig),
+        isActive: isActiveById[p.id] ?? true
+      }));
+      const nextScores = rolloverScores(finalPlayers, schedule);
+      const nextRatings = rolloverRatings(finalPlayers, schedule);
+      Object.values(state).forEach((p) => {
+        p.score = nextScores[p.id];
+        p.ratings = nextRatings[p.id];
+        p.decayAppliedAt = endMs;
+      });
+      nextReset += 1;
+    }
+  };
+
+  const ordered = matches
+    .filter((m) => !m.voided && m.teams && m.score && m.winner)
+    .sort((a, b) => matchTime(a) - matchTime(b) || a.id.localeCompare(b.id));
+
+  const rebuiltMatches = {};
+  ordered.forEach((match) => {
+    resetScoresUntil(matchTime(match));
+    const ids = new Set(Object.values(match.teams).flatMap((team) => [team.striker.id, team.defender.id]));
+    const before = Object.fromEntries([...ids].map((id) => [id, stateOf(id)]));
+    const deltas = matchStatDeltas(match, before, ratingConfig);
+    rebuiltMatches[match.id] = {
+      // matches recorded before the player filter existed lack it
+      playerIds: matchParticipants(match.teams).map((p) => p.id),
+      ratingAlgorithm: ratingConfig.algorithm,
+      ratingChanges: ratingChangesOf(matchMode(match.teams), before, deltas),
+      playerDeltas: storedDeltas(deltas)
+    };
+    Object.entries(deltas).forEach(([id, delta]) => {
+      state[id] = { ...applyStatDelta(before[id], delta), lastMatchId: match.id };
+    });
+  });
+  resetScoresUntil(Infinity);
+
+  const rebuiltPlayers = Object.fromEntries(players.map((p) => [p.id, state[p.id]]));
+  return { players: rebuiltPlayers, matches: rebuiltMatches };
+}
+
+// Matches the history can't find by player until a rebuild writes their playerIds
+export const unindexedMatchCount = (matches) => matches.filter((m) => !m.voided && m.teams && !m.playerIds).length;
+
+/**
+ * Fields whose stored value differs from the rebuilt one, per player.
+ * @returns {Array<{player: object, changes: Array<{field: string, before: number, after: number}>}>}
+ */
+export function rebuildDiff(players, rebuiltPlayers) {
+  return players
+    .map((player) => {
+      const rebuilt = rebuiltPlayers[player.id] || {};
+      const changes = REBUILT_FIELDS.map((field) => ({ field, before: player[field] || 0, after: rebuilt[field] || 0 }))
+        .filter((c) => Math.abs(c.before - c.after) > 1e-9);
+      return { player, changes };
+    })
+    .filter((d) => d.changes.length > 0);
+}
@@ -0,0 +1,35 @@
+// =============================
+// ROLES & PERMISSIONS
+// =============================
+// Every signed-in account has a users/{uid} document with one of these roles. The UI
+// only hides what a role may not do; firestore.rules enforces the same table server-side.
+// The first admin of a new project is set in the Firebase console (see firestore.rules).
+
+export const ROLES = {
+  admin: { label: "Admin" },
+  recorder: { label: "Schreiber" },
+  viewer: { label: "Zuschauer" }
+};
+
+// New accounts start as viewers until an admin promotes them
+export const DEFAULT_ROLE = "viewer";
+
+const PERMISSIONS = {
+  recordMatch: ["admin", "recorder"],
+  editPlayers: ["admin", "recorder"],
+  editGameRules: ["admin", "recorder"],
+  deletePlayer: ["admin"],
+  closeSeason: ["admin"],
+  voidMatch: ["admin"],
+  rebuildRanking: ["admin"],
+  editConfig: ["admin"],
+  manageUsers: ["admin"],
+  manageData: ["admin"],
+  runTournaments: ["admin", "recorder"],
+  manageQueue: ["admin", "recorder"],
+  deleteTournament: ["admin"]
+};
+
+export const resolveRole = (role) => (ROLES[role] ? role : DEFAULT_ROLE);
+
+export const can = (role, permission) => (PERMISSIONS[permission] || []).includes(resolveRole(role));
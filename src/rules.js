@@ -0,0 +1,119 @@
+// =============================
+// GAME RULES
+// =============================
+// A rule set decides when a set and a match are won:
+// - targetScore: points needed to win a set (null for purely timed games)
+// - winBy: lead required at the target ("deuce" when both teams are close)
+// - cap: a set ends at this score no matter the lead (null for no cap)
+// - timeLimitMinutes: the match ends when time is up, a tie goes to the next goal
+// - sets: best-of-N sets (1 for a single game)
+
+const TEAM_KEYS = ["team1", "team2"];
+const otherTeam = (teamKey) => (teamKey === "team1" ? "team2" : "team1");
+const teamName = (teamKey) => (teamKey === "team1" ? "Team 1" : "Team 2");
+
+export const GAME_RULE_PRESETS = [
+  { id: "classic", name: "Klassisch: bis 6, bei 5:5 bis 7", targetScore: 6, winBy: 2, cap: 7, timeLimitMinutes: null, sets: 1 },
+  { id: "ten-win-by-two", name: "Bis 10, zwei Tore Vorsprung", targetScore: 10, winBy: 2, cap: null, timeLimitMinutes: null, sets: 1 },
+  { id: "timed-10", name: "10 Minuten", targetScore: null, winBy: 1, cap: null, timeLimitMinutes: 10, sets: 1 },
+  { id: "best-of-3", name: "Best of 3, Sätze bis 5", targetScore: 5, winBy: 1, cap: null, timeLimitMinutes: null, sets: 3 }
+];
+
+export const DEFAULT_RULE_ID = "classic";
+
+const positiveIntOrNull = (value) => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Coerces stored or user-entered rules into a consistent shape
+export const normalizeRules = (rules = {}) => {
+  const targetScore = positiveIntOrNull(rules.targetScore);
+  const timeLimitMinutes = positiveIntOrNull(rules.timeLimitMinutes);
+  const cap = positiveIntOrNull(rules.cap);
+  const sets = positiveIntOrNull(rules.sets) || 1;
+  return {
+    id: rules.id || "custom",
+    name: rules.name || "Eigene Regeln",
+    // a game without target or time limit would never end
+    targetScore: targetScore || (timeLimitMinutes ? null : 6),
+    winBy: positiveIntOrNull(rules.winBy) || 1,
+    cap: cap && (!targetScore || cap >= targetScore) ? cap : null,
+    timeLimitMinutes,
+    sets: sets % 2 === 0 ? sets + 1 : sets
+  };
+};
+
+export const availableRules = (rulesConfig) =>
+  [...GAME_RULE_PRESETS, ...(rulesConfig?.custom || [])].map(normalizeRules);
+
+export const findRules = (rulesConfig, id) => {
+  const all = availableRules(rulesConfig);
+  return all.find((r) => r.id === id) || all.find((r) => r.id === (rulesConfig?.defaultRuleId || DEFAULT_RULE_ID)) || all[0];
+};
+
+export const setsToWin = (rules) => Math.floor(rules.sets / 2) + 1;
+
+const setWinnerKey = (rules, score) =>
+  TEAM_KEYS.find((key) => {
+    const own = score[key];
+    const other = score[otherTeam(key)];
+    if (rules.cap && own >= rules.cap && own > other) return true;
+    return !!rules.targetScore && own >= rules.targetScore && own - other >= rules.winBy;
+  }) || null;
+
+const leaderKey = (score) => (score.team1 > score.team2 ? "team1" : score.team2 > score.team1 ? "team2" : null);
+
+/**
+ * Replays a goal list under the given rules.
+ * @param {object} rules normalized rules
+ * @param {Array<{teamKey: string}>} goals in the order they were scored
+ * @param {number} elapsedMs match time so far, for timed games
+ * @returns {{score: object, completedSets: object[], setsWon: object, winner: "Team 1"|"Team 2"|null, isTimeUp: boolean}}
+ */
+export function evaluateGame(rules, goals, elapsedMs = 0) {
+  let score = { team1: 0, team2: 0 };
+  const completedSets = [];
+  const setsWon = { team1: 0, team2: 0 };
+  let winnerKey = null;
+
+  for (const goal of goals) {
+    if (winnerKey) break;
+    score = { ...score, [goal.teamKey]: score[goal.teamKey] + 1 };
+    const setWinner = setWinnerKey(rules, score);
+    if (!setWinner) continue;
+    completedSets.push(score);
+    setsWon[setWinner] += 1;
+    if (setsWon[setWinner] >= setsToWin(rules)) winnerKey = setWinner;
+    else score = { team1: 0, team2: 0 };
+  }
+
+  const isTimeUp = !!rules.timeLimitMinutes && elapsedMs >= rules.timeLimitMinutes * 60000;
+  if (!winnerKey && isTimeUp) winnerKey = leaderKey(setsWon) || leaderKey(score);
+
+  return { score, completedSets, setsWon, winner: winnerKey ? teamName(winnerKey) : null, isTimeUp };
+}
+
+// Lowest score that can still win the current set, for the "first to X" hint
+export function pointsToWin(rules, score) {
+  if (!rules.targetScore) return null;
+  const needed = (key) => {
+    const other = score[otherTeam(key)];
+    const byLead = Math.max(rules.targetScore, other + rules.winBy);
+    return rules.cap ? Math.max(Math.min(byLead, rules.cap), other + 1) : byLead;
+  };
+  return Math.min(needed("team1"), needed("team2"));
+}
+
+// What is stored as the match score: sets won for multi-set matches, else goals
+export const matchScore = (rules, evaluation) => (rules.sets > 1 ? evaluation.setsWon : evaluation.score);
+
+export const describeRules = (rules) => {
+  const parts = [];
+  if (rules.targetScore) parts.push(`bis ${rules.targetScore}`);
+  if (rules.targetScore && rules.winBy > 1) parts.push(`${rules.winBy} Tore Vorsprung`);
+  if (rules.cap) parts.push(`max. ${rules.cap}`);
+  if (rules.timeLimitMinutes) parts.push(`${rules.timeLimitMinutes} Min.`);
+  if (rules.sets > 1) parts.push(`Best of ${rules.sets}`);
+  return parts.join(" · ");
+};
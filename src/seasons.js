@@ -0,0 +1,213 @@
+// =============================
+// SEASON ARCHIVE
+// =============================
+// When a season is closed its final table is frozen into the seasonHistory doc, because
+// scores are reset afterwards. Games, goals and W/L are counted from the season's matches
+// only; the counters on the player docs are all-time values.
+
+import { BASE_RATING, decayedScore } from "./rating";
+import { matchPerspective, matchTime } from "./analytics";
+import { goalScore, isScorersGoal } from "./match";
+
+// Matches recorded before seasons were tagged fall back to the season's time range
+export const isInSeason = (match, seasonNumber, range = {}) => {
+  if (Number.isInteger(match.season)) return match.season === seasonNumber;
+  const time = matchTime(match);
+  return (!range.from || time > range.from) && (!range.to || time <= range.to);
+};
+
+// Whether a match still counts toward the running season's scores and ratings
+export const isCurrentSeasonMatch = (match, config) =>
+  isInSeason(match, config?.currentSeason || 1, { from: config?.seasonStart?.toMillis?.() });
+
+const losingScore = (match) => {
+  const score = goalScore(match);
+  return match.winner === "Team 1" ? score?.team2 : score?.team1;
+};
+
+/**
+ * Final table of a season, ranked by score.
+ * @param {object[]} players player docs at the moment of closing
+ * @param {object[]} seasonMatches non-voided matches of that season
+ * @param {number} minGames games a player needs in the season to be eligible for the title
+ * @returns {Array<{rank: number, playerId: string, name: string, score: number, gamesWon: number,
+ *   gamesLost: number, games: number, goals: number, shutoutWins: number, longestStreak: number,
+ *   eligible: boolean}>}
+ */
+export function seasonStandings(players, seasonMatches, minGames = 0) {
+  const chronological = [...seasonMatches].sort((a, b) => matchTime(a) - matchTime(b));
+
+  return [...players]
+    .sort((a, b) => (b.score ?? BASE_RATING) - (a.score ?? BASE_RATING))
+    .map((player, i) => {
+      const row = {
+        rank: i + 1,
+        playerId: player.id,
+        name: `${player.firstName} ${player.lastName}`,
+        score: player.score ?? BASE_RATING,
+        gamesWon: 0,
+        gamesLost: 0,
+        games: 0,
+        goals: 0,
+        shutoutWins: 0,
+        longestStreak: 0
+      };
+      let streak = 0;
+      chronological.forEach((match) => {
+        const view = matchPerspective(match, player.id);
+        if (!view) return;
+        row.games += 1;
+        row.goals += (match.goals || []).filter((g) => g.playerId === player.id && isScorersGoal(g)).length;
+        if (view.won) {
+          row.gamesWon += 1;
+          if (losingScore(match) === 0) row.shutoutWins += 1;
+          streak += 1;
+          row.longestStreak = Math.max(row.longestStreak, streak);
+        } else {
+          row.gamesLost += 1;
+          streak = 0;
+        }
+      });
+      return { ...row, eligible: row.games >= minGames };
+    });
+}
+
+// Best ranked player who played enough games; null if nobody did
+export const seasonWinner = (standings) => standings.find((row) => row.eligible) || null;
+
+// Best row per category, ties go to the better ranked player; null when nobody has any
+const leaderBy = (standings, field) => {
+  const best = standings.reduce((top, row) => (row[field] > (top?.[field] || 0) ? row : top), null);
+  return best ? { playerId: best.playerId, name: best.name, value: best[field] } : null;
+};
+
+export const seasonHighlights = (standings) => ({
+  topScorer: leaderBy(standings, "goals"),
+  longestStreak: leaderBy(standings, "longestStreak"),
+  mostShutouts: leaderBy(standings, "shutoutWins")
+});
+
+/**
+ * What closing a season writes, as plain values; the backends add the timestamps.
+ * Pending inactivity decay counts for the final table, dormant players keep their doc
+ * but don't appear in it.
+ * @param {number} seasonNumber
+ * @param {object[]} players player docs at the moment of closing
+ * @param {object[]} seasonMatches
+ * @param {object} schedule resolved season schedule
+ * @param {object} ratingConfig
+ * @param {number} closedAt
+ * @returns {{history: object, winner: object|null, finalScores: Object<string, number>,
+ *   nextScores: Object<string, number>, nextRatings: Object<string, object>}}
+ */
+export function seasonClosing(seasonNumber, players, seasonMatches, schedule, ratingConfig, closedAt) {
+  const finalPlayers = players.map((p) => ({ ...p, score: decayedScore(p, closedAt, ratingConfig) }));
+  const standings = seasonStandings(finalPlayers.filter((p) => p.isActive !== false), seasonMatches, schedule.minGames);
+  const winner = seasonWinner(standings);
+  return {
+    history: {
+      seasonNumber,
+      winnerName: winner?.name ?? null,
+      winnerId: winner?.playerId ?? null,
+      standings,
+      highlights: seasonHighlights(standings),
+      matchCount: seasonMatches.length,
+      minGames: schedule.minGames,
+      // replayed by the ranking rebuild
+      reset: schedule.reset,
+      regressPercent: schedule.regressPercent
+    },
+    winner,
+    finalScores: Object.fromEntries(finalPlayers.map((p) => [p.id, p.score ?? BASE_RATING])),
+    nextScores: rolloverScores(finalPlayers, schedule),
+    nextRatings: rolloverRatings(finalPlayers, schedule)
+  };
+}
+
+// =============================
+// SEASON SCHEDULE
+// =============================
+// Scheduled seasons end on calendar boundaries (first day of a month or quarter, local time).
+
+export const SEASON_CADENCES = {
+  manual: { label: "Manuell", months: null },
+  monthly: { label: "Monatlich", months: 1 },
+  quarterly: { label: "Quartalsweise", months: 3 }
+};
+
+// What happens to the scores when a season closes
+export const SEASON_RESETS = {
+  hard: { label: `Auf ${BASE_RATING} zurücksetzen` },
+  regress: { label: "Richtung Mittelwert" },
+  carry: { label: "Übernehmen" }
+};
+
+export const DEFAULT_SEASON_SCHEDULE = { cadence: "manual", minGames: 0, reset: "hard", regressPercent: 50 };
+
+export const resolveSeasonSchedule = (schedule) => {
+  const merged = { ...DEFAULT_SEASON_SCHEDULE, ...(schedule || {}) };
+  if (!SEASON_CADENCES[merged.cadence]) merged.cadence = DEFAULT_SEASON_SCHEDULE.cadence;
+  if (!SEASON_RESETS[merged.reset]) merged.reset = DEFAULT_SEASON_SCHEDULE.reset;
+  merged.minGames = Math.max(0, Math.floor(Number(merged.minGames) || 0));
+  merged.regressPercent = Math.min(100, Math.max(0, Number(merged.regressPercent) || 0));
+  return merged;
+};
+
+/**
+ * Scores for the next season. "regress" pulls every score the given share of the way
+ * toward the mean of the active players, so the spread shrinks but the order stays.
+ * @param {object[]} players with their (decayed) final scores
+ * @param {{reset: string, regressPercent: number}} schedule
+ * @returns {Object<string, number>} new score per player id
+ */
+export function rolloverScores(players, { reset, regressPercent }) {
+  const active = players.filter((p) => p.isActive !== false);
+  const mean = active.length > 0 ? active.reduce((sum, p) => sum + (p.score ?? BASE_RATING), 0) / active.length : BASE_RATING;
+  return Object.fromEntries(
+    players.map((p) => {
+      const score = p.score ?? BASE_RATING;
+      if (reset === "carry") return [p.id, score];
+      if (reset === "regress") return [p.id, Math.round(score - ((score - mean) * regressPercent) / 100)];
+      return [p.id, BASE_RATING];
+    })
+  );
+}
+
+/**
+ * Position ratings for the next season, rolled over like the scores: each slot on its own,
+ * regressed toward the mean of the active players rated in it. Rating deviations stay.
+ * @param {object[]} players with their ratings maps
+ * @param {{reset: string, regressPercent: number}} schedule
+ * @returns {Object<string, object>} new ratings map per player id
+ */
+export function rolloverRatings(players, schedule) {
+  const next = Object.fromEntries(players.map((p) => [p.id, { ...p.ratings }]));
+  const slots = new Set(players.flatMap((p) => Object.keys(p.ratings || {})));
+  slots.forEach((slot) => {
+    const rated = players.filter((p) => Number.isFinite(p.ratings?.[slot]?.rating));
+    const scores = rolloverScores(rated.map((p) => ({ id: p.id, isActive: p.isActive, score: p.ratings[slot].rating })), schedule);
+    rated.forEach((p) => {
+      next[p.id][slot] = { ...p.ratings[slot], rating: scores[p.id] };
+    });
+  });
+  return next;
+}
+
+// First boundary after the given time, or null for manual seasons
+export const nextSeasonEnd = (fromMs, cadence) => {
+  const months = SEASON_CADENCES[cadence]?.months;
+  if (!months) return null;
+  const from = new Date(fromMs);
+  const periodStart = Math.floor(from.getMonth() / months) * months;
+  return new Date(from.getFullYear(), periodStart + months, 1);
+};
+
+export const formatCountdown = (ms) => {
+  if (ms <= 0) return "jetzt";
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days} T ${hours} Std`;
+  if (hours > 0) return `${hours} Std ${minutes % 60} Min`;
+  return minutes > 0 ? `${minutes} Min` : "< 1 Min";
+};
@@ -0,0 +1,193 @@
+// =============================
+// PLAYER STATS
+// =============================
+// Player docs hold denormalized counters. This module is the single definition of what
+// a match adds to them: recordMatch applies it in a transaction, the ranking rebuild
+// replays it over the whole match log.
+
+import { BASE_RATING, decayedScore, positionRating, rateMatch } from "./rating";
+import { SLOT_STATS, matchMode, teamLineup } from "./modes";
+import { matchTime } from "./analytics";
+import { goalScore, isScorersGoal } from "./match";
+
+export const STREAK_FIELDS = ["currentWinStreak", "maxWinStreak", "currentLossStreak", "maxLossStreak"];
+
+// Counters of a newly created player
+export const emptyPlayerStats = () => ({
+  score: BASE_RATING,
+  gamesWon: 0,
+  gamesLost: 0,
+  gamesAsStriker: 0,
+  gamesAsDefender: 0,
+  totalGames: 0,
+  goalsAsStriker: 0,
+  goalsAsDefender: 0,
+  shutoutWins: 0,
+  totalPlaytime: 0,
+  currentWinStreak: 0,
+  maxWinStreak: 0,
+  currentLossStreak: 0,
+  maxLossStreak: 0
+});
+
+// One entry per distinct player, with the slot they played in
+export const matchParticipants = (teams) =>
+  ["team1", "team2"].flatMap((teamKey) =>
+    teamLineup(teams, teamKey).map(({ player, slot }) => ({ id: player.id, teamKey, slot }))
+  );
+
+// Streaks are absolute values, so they are derived from the player before the match
+const streaksAfter = (p, didWin) => {
+  if (didWin) {
+    const currentWinStreak = (p.currentWinStreak || 0) + 1;
+    return { currentWinStreak, maxWinStreak: Math.max(p.maxWinStreak || 0, currentWinStreak), currentLossStreak: 0 };
+  }
+  const currentLossStreak = (p.currentLossStreak || 0) + 1;
+  return { currentWinStreak: 0, currentLossStreak, maxLossStreak: Math.max(p.maxLossStreak || 0, currentLossStreak) };
+};
+
+/**
+ * What one match changes on each participant: counters as increments, the rest as
+ * before/after values. Pending inactivity decay is folded into the score increment.
+ * @param {{winner: string, score: object, duration: number, teams: object, goals: object[]}} match
+ *   a queue entry (endedAt) or a stored match (createdAt)
+ * @param {Object<string, object>} playersById player docs as they were before the match
+ * @param {object} ratingConfig
+ * @returns {Object<string, {increments: object, slot: string, ratingDelta: number, previous: object, set: object}>}
+ */
+export function matchStatDeltas(match, playersById, ratingConfig) {
+  const { winner, duration, teams, goals = [] } = match;
+  // goals, not sets: a 2:0 in sets is no shutout
+  const score = goalScore(match);
+  const losingTeamScore = winner === "Team 1" ? score.team2 : score.team1;
+  const isShutout = losingTeamScore === 0;
+  const playedAt = match.endedAt ?? matchTime(match);
+
+  const decayed = Object.fromEntries(
+    Object.entries(playersById).map(([id, p]) => [id, { ...p, score: decayedScore(p, playedAt, ratingConfig) }])
+  );
+  const freshTeam = (team) => ({ striker: decayed[team.striker.id], defender: decayed[team.defender.id] });
+  const ratingUpdates = rateMatch({ team1: freshTeam(teams.team1), team2: freshTeam(teams.team2) }, winner, score, ratingConfig);
+
+  const goalsByPlayer = goals.reduce((acc, g) => {
+    const id = g.playerId;
+    if (!id || !isScorersGoal(g)) return acc;
+    acc[id] = (acc[id] || 0) + 1;
+    return acc;
+  }, {});
+
+  return Object.fromEntries(
+    matchParticipants(teams).map(({ id, teamKey, slot }) => {
+      const before = playersById[id];
+      const didWin = winner === (teamKey === "team1" ? "Team 1" : "Team 2");
+      const { scoreDelta, scoreRd, ratings } = ratingUpdates[id];
+      const slotStats = SLOT_STATS[slot];
+      const slotBefore = positionRating(decayed[id], slot);
+      const delta = {
+        increments: {
+          totalGames: 1,
+          score: scoreDelta + decayed[id].score - (before.score ?? BASE_RATING),
+          totalPlaytime: duration || 0,
+          [slotStats.games]: 1,
+          [slotStats.goals]: goalsByPlayer[id] || 0,
+          ...(didWin ? { gamesWon: 1, shutoutWins: isShutout ? 1 : 0 } : { gamesLost: 1 })
+        },
+        slot,
+        ratingDelta: Math.round((ratings[slot].rating - slotBefore.rating) * 10) / 10,
+        // restored on void if no later match touched the player
+        previous: {
+          ...Object.fromEntries(STREAK_FIELDS.map((f) => [f, before[f] || 0])),
+          ...(scoreRd !== undefined ? { scoreRd: before.scoreRd ?? null } : {}),
+          lastPlayedAt: before.lastPlayedAt ?? null,
+          slotRd: slotBefore.rd
+        },
+        set: {
+          ratings,
+          ...(scoreRd !== undefined ? { scoreRd } : {}),
+          ...streaksAfter(before, didWin),
+          lastPlayedAt: playedAt
+        }
+      };
+      return [id, delta];
+    })
+  );
+}
+
+// The player doc after a delta, for replaying without Firestore
+export const applyStatDelta = (player, { increments, set }) => {
+  const next = { ...player, ...set };
+  Object.entries(increments).forEach(([field, value]) => {
+    next[field] = (player[field] || 0) + value;
+  });
+  return next;
+};
+
+// Counters that outlive a season; the score and the slot ratings start over with the next one
+export const lifetimeIncrements = ({ score, ...increments }) => increments;
+
+// The player doc after voiding a match: counters and the slot rating go back by the stored
+// delta, absolute values only if this was the player's latest match. A match of a closed
+// season only takes back the lifetime counters, its score changes were closed with it.
+export const revertStatDelta = (player, { increments, slot, ratingDelta, previous }, matchId, seasonClosed = false) => {
+  const next = { ...player };
+  Object.entries(seasonClosed ? lifetimeIncrements(increments) : increments).forEach(([field, value]) => {
+    next[field] = (player[field] || 0) - value;
+  });
+  if (seasonClosed) return next;
+  const slotRating = { ...player.ratings?.[slot], rating: (player.ratings?.[slot]?.rating || 0) - ratingDelta };
+  if (player.lastMatchId === matchId) {
+    const { slotRd, ...rest } = previous;
+    Object.assign(next, rest, { lastMatchId: null });
+    slotRating.rd = slotRd;
+  }
+  next.ratings = { ...player.ratings, [slot]: slotRating };
+  return next;
+};
+
+// Headline score history for the match record; singles games don't touch it
+export const ratingChangesOf = (mode, playersBefore, deltas) =>
+  mode === "1v1"
+    ? {}
+    : Object.fromEntries(
+      Object.entries(deltas).map(([pid, { increments }]) => {
+        const before = playersBefore[pid].score ?? BASE_RATING;
+        return [pid, { before, after: before + increments.score }];
+      })
+    );
+
+// What the match record keeps of each delta, enough to void it exactly
+export const storedDeltas = (deltas) =>
+  Object.fromEntries(Object.entries(deltas).map(([pid, { set, ...delta }]) => [pid, delta]));
+
+/**
+ * The match doc recordMatch stores, except createdAt, which each backend writes as its own timestamp.
+ * @param {object} entry queue entry
+ * @param {Object<string, object>} playersBefore
+ * @param {object} deltas result of matchStatDeltas
+ * @param {object} ratingConfig
+ * @param {Object<string, string[]>} achievements badges the match unlocked, kept so a void can take them back
+ */
+export const matchRecord = (entry, playersBefore, deltas, ratingConfig, achievements = {}) => {
+  const { winner, score, duration, teams, goals, undoneGoals = [], rules = null, sets = [], season = null, tournament = null } = entry;
+  const mode = matchMode(teams);
+  return {
+    duration,
+    score,
+    // the score counts sets in best-of-N games, the goals are kept next to it
+    goalScore: goalScore(entry),
+    winner,
+    mode,
+    ratingAlgorithm: ratingConfig.algorithm,
+    ratingChanges: ratingChangesOf(mode, playersBefore, deltas),
+    playerDeltas: storedDeltas(deltas),
+    playerIds: matchParticipants(teams).map((p) => p.id),
+    teams,
+    goals,
+    undoneGoals,
+    rules,
+    sets,
+    season,
+    tournament,
+    achievements
+  };
+};
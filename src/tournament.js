@@ -0,0 +1,316 @@
+// =============================
+// TOURNAMENTS
+// =============================
+// A tournament doc holds its fixed doubles teams, the fixture plan and the results. Who
+// plays whom in later rounds is never stored: every fixture side names where its team
+// comes from (a seeded team, or the winner or loser of an earlier fixture) and the
+// bracket is derived from the results, like a game's score from its goals. A side that
+// can never be filled is a bye and lets the other team through without a game.
+
+export const TOURNAMENT_FORMATS = {
+  single: { label: "K.-o.-System" },
+  double: { label: "Doppel-K.-o." },
+  roundRobin: { label: "Jeder gegen jeden" }
+};
+
+export const DEFAULT_TOURNAMENT_FORMAT = "single";
+
+const BRACKET_LABELS = { winners: "Gewinnerrunde", losers: "Verliererrunde", final: "Finale", group: "Spielplan" };
+
+const seeded = (teamId) => ({ teamId: teamId ?? null });
+
+// 1 plays the last seed, 2 the second to last, ... and the top seeds meet as late as possible
+const seedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((seed) => [seed, n + 1 - seed]);
+  }
+  return order;
+};
+
+const bracketSize = (teamCount) => 2 ** Math.ceil(Math.log2(Math.max(2, teamCount)));
+
+function winnersBracket(teamIds) {
+  const size = bracketSize(teamIds.length);
+  const order = seedOrder(size);
+  const fixtures = [];
+  for (let round = 1, count = size / 2; count >= 1; round++, count /= 2) {
+    for (let i = 0; i < count; i++) {
+      fixtures.push({
+        id: `W${round}-${i + 1}`,
+        bracket: "winners",
+        round,
+        team1: round === 1 ? seeded(teamIds[order[2 * i] - 1]) : { winnerOf: `W${round - 1}-${2 * i + 1}` },
+        team2: round === 1 ? seeded(teamIds[order[2 * i + 1] - 1]) : { winnerOf: `W${round - 1}-${2 * i + 2}` }
+      });
+    }
+  }
+  return fixtures;
+}
+
+// Losers of winners round 1 play each other, then each round alternates between taking in
+// the losers of the next winners round (in reverse order, against early rematches) and
+// halving the field. The last survivor meets the winners bracket champion in the final.
+function losersBracket(size) {
+  const winnerRounds = Math.log2(size);
+  const fixtures = [];
+  if (size < 4) return fixtures;
+  const add = (round, i, team1, team2) => fixtures.push({ id: `L${round}-${i + 1}`, bracket: "losers", round, team1, team2 });
+
+  for (let i = 0; i < size / 4; i++) add(1, i, { loserOf: `W1-${2 * i + 1}` }, { loserOf: `W1-${2 * i + 2}` });
+  for (let m = 1; m < winnerRounds; m++) {
+    const count = size / 2 ** (m + 1);
+    for (let i = 0; i < count; i++) add(2 * m, i, { winnerOf: `L${2 * m - 1}-${i + 1}` }, { loserOf: `W${m + 1}-${count - i}` });
+    if (m < winnerRounds - 1) {
+      for (let i = 0; i < count / 2; i++) add(2 * m + 1, i, { winnerOf: `L${2 * m}-${2 * i + 1}` }, { winnerOf: `L${2 * m}-${2 * i + 2}` });
+    }
+  }
+  return fixtures;
+}
+
+function doubleElimination(teamIds) {
+  const winners = winnersBracket(teamIds);
+  const size = bracketSize(teamIds.length);
+  const losers = losersBracket(size);
+  const winnersFinal = winners[winners.length - 1].id;
+  const team1 = { winnerOf: winnersFinal };
+  const team2 = losers.length > 0 ? { winnerOf: losers[losers.length - 1].id } : { loserOf: winnersFinal };
+  return [
+    ...winners,
+    ...losers,
+    { id: "F1", bracket: "final", round: 1, team1, team2 },
+    // only needed when the winners bracket champion lost the first final
+    { id: "F2", bracket: "final", round: 2, team1, team2, onlyIf: { fixtureId: "F1", winner: "team2" } }
+  ];
+}
+
+// Circle method: one team stays put, the others rotate; an odd field gets a rest slot
+function roundRobin(teamIds) {
+  const ids = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+  const fixtures = [];
+  for (let round = 1; round < ids.length; round++) {
+    let number = 0;
+    for (let i = 0; i < ids.length / 2; i++) {
+      const [home, away] = [ids[i], ids[ids.length - 1 - i]];
+      if (home === null || away === null) continue;
+      number += 1;
+      fixtures.push({ id: `R${round}-${number}`, bracket: "group", round, team1: seeded(home), team2: seeded(away) });
+    }
+    ids.splice(1, 0, ids.pop());
+  }
+  return fixtures;
+}
+
+const FIXTURE_PLANS = { single: winnersBracket, double: doubleElimination, roundRobin };
+
+/**
+ * One registered team. The name is kept so the tournament still reads right after a
+ * player was renamed or deleted.
+ * @param {object} striker player doc
+ * @param {object} defender player doc
+ * @param {number} index position in the registration list
+ */
+export const tournamentTeam = (striker, defender, index) => ({
+  id: `t${index + 1}`,
+  name: `${striker.firstName} & ${defender.firstName}`,
+  striker: striker.id,
+  defender: defender.id
+});
+
+export const teamPlayerIds = (team) => [...new Set([team.striker, team.defender])];
+
+// What keeps a tournament from being created; null if it can start
+export const tournamentProblem = (name, teams) => {
+  if (!name.trim()) return "Bitte einen Namen eingeben.";
+  if (teams.length < 2) return "Ein Turnier braucht mindestens zwei Teams.";
+  const ids = teams.flatMap(teamPlayerIds);
+  if (new Set(ids).size !== ids.length) return "Jeder Spieler darf nur in einem Team spielen.";
+  return null;
+};
+
+/**
+ * The tournament doc, without createdAt. Teams are seeded in the given order.
+ * @param {{name: string, format: keyof TOURNAMENT_FORMATS, teams: object[], rules: object}} options
+ */
+export const createTournament = ({ name, format, teams, rules }) => ({
+  name: name.trim(),
+  format,
+  status: "running",
+  teams,
+  fixtures: FIXTURE_PLANS[format](teams.map((t) => t.id)),
+  results: {},
+  rules,
+  championTeamId: null
+});
+
+// A side's team id: a string once known, null if it will never be filled, undefined if not yet known
+const sideTeam = (source, resolved) => {
+  if ("teamId" in source) return source.teamId;
+  const from = resolved[source.winnerOf || source.loserOf];
+  if (!from || ["empty", "skipped"].includes(from.status)) return null;
+  if (source.winnerOf) return from.winner;
+  if (from.status === "walkover") return null;
+  return from.loser;
+};
+
+/**
+ * Fixtures with their teams and state, in plan order.
+ * status: "ready" (both teams known, not played), "done", "walkover" (bye), "waiting"
+ * (a team is not known yet), "empty" (no team at all) or "skipped" (unneeded final).
+ * @returns {Array<object>} fixtures with team1, team2, winner, loser as team ids
+ */
+export function resolveFixtures(tournament) {
+  const results = tournament.results || {};
+  const resolved = {};
+  return tournament.fixtures.map((fixture) => {
+    const team1 = sideTeam(fixture.team1, resolved);
+    const team2 = sideTeam(fixture.team2, resolved);
+    const result = results[fixture.id] || null;
+    let state;
+    const condition = fixture.onlyIf && resolved[fixture.onlyIf.fixtureId];
+    if (condition && condition.status !== "done") state = { status: ["ready", "waiting"].includes(condition.status) ? "waiting" : "skipped" };
+    else if (condition && condition.winnerSide !== fixture.onlyIf.winner) state = { status: "skipped" };
+    else if (team1 === null && team2 === null) state = { status: "empty" };
+    else if (team1 === null || team2 === null) {
+      const other = team1 ?? team2;
+      state = other === undefined ? { status: "waiting" } : { status: "walkover", winner: other };
+    } else if (team1 === undefined || team2 === undefined) state = { status: "waiting" };
+    else if (result) {
+      state = {
+        status: "done",
+        winnerSide: result.winner,
+        winner: result.winner === "team1" ? team1 : team2,
+        loser: result.winner === "team1" ? team2 : team1
+      };
+    } else state = { status: "ready" };
+
+    // winner and loser stay undefined until they are known
+    const entry = { ...fixture, team1, team2, result, ...state };
+    resolved[fixture.id] = entry;
+    return entry;
+  });
+}
+
+/**
+ * Table over all played fixtures; byes don't count. Round robin ranks by wins, then goal
+ * difference and goals; in brackets the champion leads and the rest follows the same order.
+ * @returns {Array<{rank: number, teamId: string, name: string, played: number, won: number,
+ *   lost: number, goalsFor: number, goalsAgainst: number}>}
+ */
+export function tournamentStandings(tournament, fixtures = resolveFixtures(tournament)) {
+  const rows = Object.fromEntries(
+    tournament.teams.map((t) => [t.id, { teamId: t.id, name: t.name, played: 0, won: 0, lost: 0, goalsFor: 0, goalsAgainst: 0 }])
+  );
+  fixtures
+    .filter((f) => f.status === "done")
+    .forEach((f) => {
+      [
+        [f.team1, f.result.score?.team1 || 0, f.result.score?.team2 || 0],
+        [f.team2, f.result.score?.team2 || 0, f.result.score?.team1 || 0]
+      ].forEach(([teamId, scored, conceded]) => {
+        const row = rows[teamId];
+        row.played += 1;
+        row.goalsFor += scored;
+        row.goalsAgainst += conceded;
+        if (teamId === f.winner) row.won += 1;
+        else row.lost += 1;
+      });
+    });
+  const champion = tournament.format === "roundRobin" ? null : tournamentChampion(tournament, fixtures);
+  return Object.values(rows)
+    .sort(
+      (a, b) =>
+        (b.teamId === champion) - (a.teamId === champion) ||
+        b.won - a.won ||
+        b.goalsFor - b.goalsAgainst - (a.goalsFor - a.goalsAgainst) ||
+        b.goalsFor - a.goalsFor ||
+        a.lost - b.lost
+    )
+    .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+/**
+ * Winning team id once the tournament is decided, else null. A round robin is decided when
+ * every fixture was played, a bracket by its last fixture that is needed.
+ */
+export function tournamentChampion(tournament, fixtures = resolveFixtures(tournament)) {
+  if (tournament.format === "roundRobin") {
+    if (fixtures.some((f) => f.status !== "done")) return null;
+    return tournamentStandings(tournament, fixtures)[0]?.teamId ?? null;
+  }
+  const deciding = [...fixtures].reverse().find((f) => f.status !== "skipped");
+  return deciding && ["done", "walkover"].includes(deciding.status) ? deciding.winner : null;
+}
+
+/**
+ * What a played fixture changes on the tournament doc. Returns null when the fixture
+ * can't take a result (already played, teams not known yet, tournament closed), e.g.
+ * because a second tablet played it too; the match itself still counts for the ranking.
+ * @param {object} tournament
+ * @param {string} fixtureId
+ * @param {"Team 1"|"Team 2"} winner
+ * @param {{team1: number, team2: number}} score
+ * @param {string} matchId
+ * @returns {{result: object, champion: object|null}|null} champion is the winning team
+ */
+export function tournamentResult(tournament, fixtureId, winner, score, matchId) {
+  if (tournament.status !== "running") return null;
+  const fixture = resolveFixtures(tournament).find((f) => f.id === fixtureId);
+  if (fixture?.status !== "ready") return null;
+  const result = { winner: winner === "Team 1" ? "team1" : "team2", score, matchId };
+  const championId = tournamentChampion({ ...tournament, results: { ...tournament.results, [fixtureId]: result } });
+  return { result, champion: tournament.teams.find((t) => t.id === championId) || null };
+}
+
+// Thrown when a voided match's fixture already sent its teams on into played fixtures
+export const laterResultsError = (fixtureId) =>
+  Object.assign(new Error(`Later fixtures depend on the result of ${fixtureId}`), { code: "tournament-later-results" });
+
+/**
+ * What voiding a tournament match changes on the tournament doc: its fixture result is
+ * removed, and a tournament it decided is running again. Returns null when the match never
+ * entered the bracket. Throws laterResultsError when fixtures played afterwards depend on
+ * the result; those have to be voided first.
+ * @param {object} tournament
+ * @param {string} fixtureId
+ * @param {string} matchId
+ * @returns {{results: object, dethroned: object|null}|null} dethroned is the champion that loses the title
+ */
+export function tournamentVoid(tournament, fixtureId, matchId) {
+  if (tournament.results?.[fixtureId]?.matchId !== matchId) return null;
+  const results = { ...tournament.results };
+  delete results[fixtureId];
+  const before = resolveFixtures(tournament);
+  const after = resolveFixtures({ ...tournament, results });
+  if (after.some((f, i) => f.id !== fixtureId && before[i].status === "done" && f.status !== "done")) throw laterResultsError(fixtureId);
+  const dethroned = tournament.status === "finished" ? tournament.teams.find((t) => t.id === tournament.championTeamId) || null : null;
+  return { results, dethroned };
+}
+
+// Fixtures grouped for the bracket view: one column per round, brackets in plan order
+export const bracketColumns = (fixtures) => {
+  const columns = [];
+  fixtures.forEach((f) => {
+    let column = columns.find((c) => c.bracket === f.bracket && c.round === f.round);
+    if (!column) {
+      column = { bracket: f.bracket, round: f.round, fixtures: [] };
+      columns.push(column);
+    }
+    column.fixtures.push(f);
+  });
+  return columns.map((column) => ({ ...column, label: roundLabel(column, columns) }));
+};
+
+const roundLabel = ({ bracket, round }, columns) => {
+  if (bracket === "final") return round === 1 ? "Finale" : "Entscheidungsspiel";
+  if (bracket === "group") return `Spieltag ${round}`;
+  const rounds = columns.filter((c) => c.bracket === bracket).length;
+  if (bracket === "winners" && !columns.some((c) => c.bracket === "final")) {
+    const fromEnd = rounds - round;
+    if (fromEnd === 0) return "Finale";
+    if (fromEnd === 1) return "Halbfinale";
+    if (fromEnd === 2) return "Viertelfinale";
+  }
+  return `${BRACKET_LABELS[bracket]} ${round}`;
+};
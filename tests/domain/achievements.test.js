@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import { achievementsToRevoke, hallOfFame, matchAchievements, playerAchievements } from "../../src/achievements";
+import { DEFAULT_RATING_CONFIG } from "../../src/rating";
+import { emptyPlayerStats, matchStatDeltas } from "../../src/stats";
+import { makePlayer } from "./arbitraries";
+
+const ids = ["a", "b", "c", "d"];
+
+const fresh = (stats = {}) => Object.fromEntries(ids.map((id) => [id, makePlayer(id, { ...emptyPlayerStats(), ...(stats[id] || {}) })]));
+
+const ref = (p) => ({ id: p.id, name: `${p.firstName} ${p.lastName}` });
+
+const entryOf = (players, winner, score, extra = {}) => ({
+  id: "m1",
+  winner,
+  score,
+  duration: 300000,
+  endedAt: 1000,
+  rules: { targetScore: 10, winBy: 1 },
+  teams: {
+    team1: { striker: ref(players.a), defender: ref(players.b) },
+    team2: { striker: ref(players.c), defender: ref(players.d) }
+  },
+  goals: [],
+  ...extra
+});
+
+const unlocked = (entry, players) =>
+  matchAchievements(entry, players, matchStatDeltas(entry, players, DEFAULT_RATING_CONFIG));
+
+const goalsFor = (teamKey, count, playerId) => Array.from({ length: count }, () => ({ playerId, teamKey, type: "regular" }));
+
+describe("matchAchievements", () => {
+  it("unlocks a shutout for the winners and games100 for whoever reaches it", () => {
+    const players = fresh({ c: { totalGames: 99 } });
+    const result = unlocked(entryOf(players, "Team 1", { team1: 10, team2: 0 }), players);
+    expect(result.a).toEqual(["firstShutout"]);
+    expect(result.b).toEqual(["firstShutout"]);
+    expect(result.c).toEqual(["games100"]);
+    expect(result.d).toBeUndefined();
+  });
+
+  it("leaves out badges a player already has", () => {
+    const players = fresh({ a: { achievements: { firstShutout: { unlockedAt: 1, matchId: "m0" } } } });
+    const result = unlocked(entryOf(players, "Team 1", { team1: 10, team2: 0 }), players);
+    expect(result.a).toBeUndefined();
+    expect(result.b).toEqual(["firstShutout"]);
+  });
+
+  it("unlocks the comeback after 0:5 and the fast win under two minutes", () => {
+    const players = fresh();
+    const goals = [...goalsFor("team2", 5, "c"), ...goalsFor("team1", 10, "a")];
+    const entry = entryOf(players, "Team 1", { team1: 10, team2: 5 }, { goals, duration: 90000 });
+    expect(unlocked(entry, players).a).toEqual(["comeback", "fastWin"]);
+  });
+
+  it("unlocks the giant killer against a team rated 100+ points higher", () => {
+    const players = fresh({ c: { score: 1600 }, d: { score: 1620 } });
+    const entry = entryOf(players, "Team 1", { team1: 10, team2: 8 });
+    expect(unlocked(entry, players).a).toEqual(["giantKiller"]);
+    expect(unlocked(entryOf(players, "Team 2", { team1: 8, team2: 10 }), players)).toEqual({});
+  });
+});
+
+describe("achievementsToRevoke", () => {
+  it("takes back only badges the voided match unlocked", () => {
+    const player = {
+      id: "a",
+      achievements: { firstShutout: { unlockedAt: 1, matchId: "m1" }, fastWin: { unlockedAt: 0, matchId: "m0" } }
+    };
+    const match = { achievements: { a: ["firstShutout", "fastWin"] } };
+    expect(achievementsToRevoke(player, match, "m1")).toEqual(["firstShutout"]);
+    expect(achievementsToRevoke(player, {}, "m1")).toEqual([]);
+  });
+
+  it("lists a player's badges in unlock order and skips unknown ones", () => {
+    const player = { achievements: { fastWin: { unlockedAt: 5 }, retired: { unlockedAt: 1 }, comeback: { unlockedAt: 2 } } };
+    expect(playerAchievements(player).map((a) => a.id)).toEqual(["comeback", "fastWin"]);
+  });
+});
+
+describe("hallOfFame", () => {
+  it("names every holder of a shared record and leaves out empty ones", () => {
+    const players = Object.values(fresh({ a: { maxWinStreak: 4 }, c: { maxWinStreak: 4 }, b: { totalGames: 12 } }));
+    const records = Object.fromEntries(hallOfFame(players, []).map((r) => [r.id, r]));
+    expect(records.maxWinStreak).toMatchObject({ value: 4, holderIds: ["a", "c"] });
+    expect(records.totalGames).toMatchObject({ value: 12, holderIds: ["b"] });
+    expect(records.shutoutWins).toBeUndefined();
+    expect(records.fastestWin).toBeUndefined();
+    expect(records.maxWinStreak.names.a).toBe("Spielera Test");
+  });
+
+  it("takes peak rating, fastest win and fastest goal from the match log", () => {
+    const players = Object.values(fresh());
+    const matches = [
+      {
+        id: "m1",
+        winner: "Team 2",
+        duration: 120000,
+        teams: entryOf(fresh(), "Team 2", {}).teams,
+        ratingChanges: { c: { before: 1500, after: 1540 } },
+        goals: [
+          { playerId: "c", teamKey: "team2", type: "regular", at: 9000 },
+          { playerId: "a", teamKey: "team2", type: "ownGoal", at: 12000 }
+        ]
+      }
+    ];
+    const records = Object.fromEntries(hallOfFame(players, matches).map((r) => [r.id, r]));
+    expect(records.peakRating).toMatchObject({ value: 1540, holderIds: ["c"] });
+    expect(records.fastestWin).toMatchObject({ value: 120000, holderIds: ["c", "d"] });
+    expect(records.fastestGoal).toMatchObject({ value: 9000, holderIds: ["c"] });
+  });
+});
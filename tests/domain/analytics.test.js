@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { fastestGoals, momentumPoints } from "../../src/analytics";
+import { at } from "./arbitraries";
+
+const teams = {
+  team1: { striker: { id: "a", name: "Anna A" }, defender: { id: "b", name: "Ben B" } },
+  team2: { striker: { id: "c", name: "Cem C" }, defender: { id: "d", name: "Dana D" } }
+};
+
+const goal = (playerId, teamKey, atMs, type = "regular") => ({ playerId, teamKey, at: atMs, type });
+
+describe("goal timeline", () => {
+  it("tracks team 1's lead goal by goal", () => {
+    const points = momentumPoints([goal("a", "team1", 1000), goal("c", "team2", 3000), goal("c", "team2", 4000)]);
+    expect(points).toEqual([
+      { at: 0, lead: 0 },
+      { at: 1000, lead: 1 },
+      { at: 3000, lead: 0 },
+      { at: 4000, lead: -1 }
+    ]);
+  });
+
+  it("times goals from kick-off or the previous goal and skips own goals and untimed matches", () => {
+    const matches = [
+      { id: "m1", createdAt: at(1), teams, goals: [goal("a", "team1", 9000), goal("d", "team1", 11000, "ownGoal"), goal("c", "team2", 14000, "midfield")] },
+      { id: "m2", createdAt: at(2), teams, goals: [{ playerId: "b", teamKey: "team1" }] }
+    ];
+    expect(fastestGoals(matches)).toEqual([
+      { matchId: "m1", playerId: "c", name: "Cem C", ms: 3000, type: "midfield", time: 1 },
+      { matchId: "m1", playerId: "a", name: "Anna A", ms: 9000, type: "regular", time: 1 }
+    ]);
+  });
+});
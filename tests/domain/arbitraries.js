@@ -0,0 +1,54 @@
+// Shared players and fast-check arbitraries for the domain tests
+import fc from "fast-check";
+import { normalizeRules } from "../../src/rules";
+
+export const makePlayer = (id, stats = {}) => ({ id, firstName: `Spieler${id}`, lastName: "Test", country: "DE", score: 1500, ...stats });
+
+export const P1 = makePlayer("p1");
+export const P2 = makePlayer("p2");
+export const P3 = makePlayer("p3");
+export const P4 = makePlayer("p4");
+
+export const doublesTeams = { team1: { striker: P1, defender: P2 }, team2: { striker: P3, defender: P4 } };
+
+// Rules that always end by score, so a long enough goal list produces a winner
+export const scoredRulesArb = fc
+  .record({
+    targetScore: fc.integer({ min: 1, max: 10 }),
+    winBy: fc.integer({ min: 1, max: 3 }),
+    cap: fc.option(fc.integer({ min: 1, max: 12 }), { nil: null }),
+    sets: fc.integer({ min: 1, max: 5 })
+  })
+  .map(normalizeRules);
+
+export const teamKeysArb = fc.array(fc.constantFrom("team1", "team2"), { maxLength: 80 });
+
+// A goal by a random player of the given team, from the position the player holds
+export const goalScorer = (teams, teamKey, pickDefender) => {
+  const position = pickDefender ? "defender" : "striker";
+  return { player: teams[teamKey][position], position };
+};
+
+export const goalsArb = fc.array(fc.record({ teamKey: fc.constantFrom("team1", "team2"), pickDefender: fc.boolean() }), {
+  maxLength: 80
+});
+
+// Stored-match timestamp, enough for matchTime
+export const at = (ms) => ({ toMillis: () => ms });
+
+export const playerStatsArb = fc.record({
+  score: fc.integer({ min: 1000, max: 2000 }),
+  gamesWon: fc.nat(300),
+  gamesLost: fc.nat(300),
+  totalGames: fc.nat(600),
+  gamesAsStriker: fc.nat(300),
+  gamesAsDefender: fc.nat(300),
+  goalsAsStriker: fc.nat(3000),
+  goalsAsDefender: fc.nat(3000),
+  shutoutWins: fc.nat(50),
+  totalPlaytime: fc.nat(10 ** 9),
+  currentWinStreak: fc.nat(10),
+  maxWinStreak: fc.nat(20),
+  currentLossStreak: fc.nat(10),
+  maxLossStreak: fc.nat(20)
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { BACKUP_VERSION, buildBackup, decodeValue, parseCsv, parsePlayersCsv, validateBackup } from "../../src/backup";
+import { at, makePlayer } from "./arbitraries";
+
+const match = (id, extra = {}) => ({
+  id,
+  winner: "Team 1",
+  score: { team1: 6, team2: 2 },
+  teams: {
+    team1: { striker: { id: "p1" }, defender: { id: "p2" } },
+    team2: { striker: { id: "p3" }, defender: { id: "p4" } }
+  },
+  ...extra
+});
+
+const backupOf = (collections, version = BACKUP_VERSION) => ({ version, collections });
+
+describe("parseCsv", () => {
+  it("keeps separators, quotes and line breaks inside quoted cells", () => {
+    expect(parseCsv('a,b\r\n"x, ""y""","line\nbreak"\n')).toEqual([
+      ["a", "b"],
+      ['x, "y"', "line\nbreak"]
+    ]);
+  });
+
+  it("takes the separator from the header line and drops the BOM", () => {
+    expect(parseCsv("\uFEFFVorname;Nachname\nAnna;Berg")).toEqual([
+      ["Vorname", "Nachname"],
+      ["Anna", "Berg"]
+    ]);
+    expect(parseCsv("a\tb\n1,5\t2")).toEqual([
+      ["a", "b"],
+      ["1,5", "2"]
+    ]);
+  });
+
+  it("drops blank lines", () => {
+    expect(parseCsv("a,b\n\n1,2\n ,\n")).toEqual([
+      ["a", "b"],
+      ["1", "2"]
+    ]);
+  });
+});
+
+describe("parsePlayersCsv", () => {
+  it("reads German headers and normalizes the country", () => {
+    const { players, errors } = parsePlayersCsv("Vorname;Nachname;Land;Aktiv\nAnna;Berg;de;nein");
+    expect(errors).toEqual([]);
+    expect(players).toEqual([{ firstName: "Anna", lastName: "Berg", country: "DE", img: "", isActive: false }]);
+  });
+
+  it("reports missing columns and invalid rows", () => {
+    expect(parsePlayersCsv("firstName,lastName\nAnna,Berg").errors).toEqual(["Spalten fehlen: country"]);
+    const { players, errors } = parsePlayersCsv("firstName,lastName,country\n,Berg,DE\nAnna,Berg,Germany");
+    expect(players).toEqual([]);
+    expect(errors).toHaveLength(2);
+  });
+
+  it("skips names that exist already or repeat in the file", () => {
+    const existing = [makePlayer("p1", { firstName: "Anna", lastName: "Berg" })];
+    const { players, warnings } = parsePlayersCsv("firstName,lastName,country\nanna,berg,DE\nTom,Roth,CH\nTom,Roth,CH", existing);
+    expect(players.map((p) => p.firstName)).toEqual(["Tom"]);
+    expect(warnings).toHaveLength(2);
+  });
+});
+
+describe("validateBackup", () => {
+  it("accepts its own backups and restores timestamps", () => {
+    const backup = buildBackup({ players: [makePlayer("p1", { lastPlayedAt: 5 })], matches: [match("m1", { createdAt: at(1000) })] });
+    const { collections, errors, warnings } = validateBackup(JSON.parse(JSON.stringify(backup)));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(["3 Spieler aus Spielen fehlen in der Spielerliste"]);
+    expect(decodeValue(collections.matches[0], (ms) => ms).createdAt).toBe(1000);
+  });
+
+  it("rejects other files and unknown versions", () => {
+    expect(validateBackup([]).errors).toEqual(["Keine Backup-Datei dieser App"]);
+    expect(validateBackup(backupOf({}, BACKUP_VERSION + 1)).errors).toEqual([`Unbekannte Backup-Version ${BACKUP_VERSION + 1}`]);
+  });
+
+  it("reports duplicate ids and incomplete docs", () => {
+    const { errors, warnings } = validateBackup(
+      backupOf({ players: [makePlayer("p1"), makePlayer("p1"), { id: "p2", firstName: "" }], matches: [match("m1", { winner: null })], extra: [] })
+    );
+    expect(errors).toEqual(['players[1]: doppelte ID "p1"', "players[2] (p2): Vor- oder Nachname fehlt", "matches[0] (m1): Sieger fehlt"]);
+    expect(warnings).toContain('Sammlung "extra" wird ignoriert');
+  });
+
+  it("reports timestamps that can't be restored", () => {
+    const { errors } = validateBackup(
+      backupOf({ matches: [match("m1", { createdAt: { $timestamp: "gestern" }, goals: [{ at: { $timestamp: 5 } }] })] })
+    );
+    expect(errors).toEqual(["matches[0] (m1): ungültiges Datum in createdAt", "matches[0] (m1): ungültiges Datum in goals[0].at"]);
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import {
+  createMatch,
+  evaluateMatch,
+  matchEntryFromGame,
+  matchSnapshot,
+  matchStatus,
+  scoreGoal,
+  swapPositions,
+  swapSides,
+  undoGoal
+} from "../../src/match";
+import { GAME_RULE_PRESETS, setsToWin } from "../../src/rules";
+import { P1, P2, P3, P4, doublesTeams, goalScorer, goalsArb, scoredRulesArb } from "./arbitraries";
+
+const classic = GAME_RULE_PRESETS.find((r) => r.id === "classic");
+
+const newMatch = (rules = classic) => createMatch({ ...doublesTeams, rules, startTime: 0 });
+
+// Plays the goals in order; goals after the win are offered too and must be ignored
+const play = (match, goals) =>
+  goals.reduce((m, { teamKey, pickDefender }) => {
+    const { player, position } = goalScorer(m, teamKey, pickDefender);
+    return scoreGoal(m, player, position);
+  }, match);
+
+const goalsFor = (teamKey, n) => Array.from({ length: n }, () => ({ teamKey, pickDefender: false }));
+
+describe("match state", () => {
+  it("credits a goal to the scorer's team, with its time and type", () => {
+    const match = scoreGoal(newMatch(), P4, "defender", 4200, "midfield");
+    expect(match.goalHistory).toEqual([{ player: P4, position: "defender", teamKey: "team2", type: "midfield", at: 4200 }]);
+    expect(evaluateMatch(match).score).toEqual({ team1: 0, team2: 1 });
+  });
+
+  it("credits an own goal to the opposing team", () => {
+    const match = scoreGoal(newMatch(), P1, "defender", 1000, "ownGoal");
+    expect(match.goalHistory[0]).toMatchObject({ player: P1, teamKey: "team2", type: "ownGoal" });
+    expect(evaluateMatch(match).score).toEqual({ team1: 0, team2: 1 });
+  });
+
+  it("undo on an empty game is a no-op", () => {
+    const match = newMatch();
+    expect(undoGoal(match)).toBe(match);
+  });
+
+  it("keeps undone goals with the time they were taken back", () => {
+    const match = undoGoal(scoreGoal(newMatch(), P3, "striker", 2000), 5000);
+    expect(match.goalHistory).toEqual([]);
+    expect(match.undoneGoals).toEqual([{ player: P3, position: "striker", teamKey: "team2", type: "regular", at: 2000, undoneAt: 5000 }]);
+  });
+
+  it("ends a classic game at 6:4", () => {
+    const match = play(newMatch(), [...goalsFor("team1", 5), ...goalsFor("team2", 4), ...goalsFor("team1", 1)]);
+    const status = matchStatus(match, 0);
+    expect(status.winner).toBe("Team 1");
+    expect(status.finalScore).toEqual({ team1: 6, team2: 4 });
+  });
+
+  it("goes into deuce at 5:5 and is decided at 7 by the cap", () => {
+    let match = play(newMatch(), [...goalsFor("team1", 5), ...goalsFor("team2", 5)]);
+    expect(matchStatus(match, 0).winningScore).toBe(7);
+
+    match = play(match, goalsFor("team1", 1));
+    expect(evaluateMatch(match).winner).toBeNull();
+
+    match = play(match, goalsFor("team2", 1));
+    expect(evaluateMatch(match).score).toEqual({ team1: 6, team2: 6 });
+    expect(evaluateMatch(match).winner).toBeNull();
+
+    match = play(match, goalsFor("team2", 1));
+    expect(matchStatus(match, 0).finalScore).toEqual({ team1: 6, team2: 7 });
+    expect(evaluateMatch(match).winner).toBe("Team 2");
+  });
+
+  it("ignores goals after the win until it is undone", () => {
+    const won = play(newMatch(), goalsFor("team1", 6));
+    expect(scoreGoal(won, P3, "striker")).toBe(won);
+
+    const reopened = undoGoal(won);
+    expect(evaluateMatch(reopened).winner).toBeNull();
+    expect(scoreGoal(reopened, P3, "striker").goalHistory).toHaveLength(6);
+  });
+
+  it("counts sets in a best-of-three game", () => {
+    const bestOf3 = GAME_RULE_PRESETS.find((r) => r.id === "best-of-3");
+    const match = play(newMatch(bestOf3), [...goalsFor("team1", 5), ...goalsFor("team2", 5), ...goalsFor("team1", 5)]);
+    const status = matchStatus(match, 0);
+    expect(status.winner).toBe("Team 1");
+    expect(status.finalScore).toEqual({ team1: 2, team2: 1 });
+    expect(status.completedSets).toEqual([
+      { team1: 5, team2: 0 },
+      { team1: 0, team2: 5 },
+      { team1: 5, team2: 0 }
+    ]);
+  });
+
+  it("decides a timed game on time, a tie on the next goal", () => {
+    const timed = GAME_RULE_PRESETS.find((r) => r.id === "timed-10");
+    const tenMinutes = 10 * 60000;
+    let match = play(newMatch(timed), [...goalsFor("team1", 2), ...goalsFor("team2", 2)]);
+
+    expect(matchStatus(match, tenMinutes - 1000).remaining).toBe(1000);
+    expect(matchStatus(match, tenMinutes).winner).toBeNull();
+
+    match = scoreGoal(match, P3, "striker", tenMinutes + 5000);
+    expect(matchStatus(match, tenMinutes + 5000).winner).toBe("Team 2");
+    expect(scoreGoal(match, P1, "striker", tenMinutes + 6000)).toBe(match);
+  });
+
+  it("keeps a goal with its team after the team swaps positions", () => {
+    const swapped = swapPositions(newMatch(), "team1");
+    expect(swapped.team1).toEqual({ striker: P2, defender: P1 });
+    const match = scoreGoal(swapped, P2, "striker");
+    expect(match.goalHistory[0]).toMatchObject({ teamKey: "team1", position: "striker" });
+  });
+
+  it("resumes from a snapshot", () => {
+    const running = play(newMatch(), goalsFor("team2", 3));
+    const resumed = createMatch(JSON.parse(JSON.stringify(matchSnapshot(swapSides(running)))));
+    expect(resumed.isSwapped).toBe(true);
+    expect(evaluateMatch(resumed).score).toEqual({ team1: 0, team2: 3 });
+  });
+
+  it("builds the queue entry from a finished game", () => {
+    const match = play(undoGoal(scoreGoal(newMatch(), P3, "striker", 500)), [...goalsFor("team1", 6)]);
+    const status = matchStatus(match, 0);
+    const entry = matchEntryFromGame(status.winner, match, status.finalScore, match.goalHistory, 90000, {
+      id: "m1",
+      endedAt: 1000,
+      rules: match.rules,
+      sets: status.completedSets,
+      season: 3,
+      undoneGoals: match.undoneGoals
+    });
+    expect(entry).toMatchObject({ id: "m1", endedAt: 1000, winner: "Team 1", mode: "2v2", season: 3, duration: 90000 });
+    expect(entry.teams.team2.defender).toEqual({ id: "p4", name: "Spielerp4 Test" });
+    expect(entry.goals).toHaveLength(6);
+    expect(entry.goals[0]).toEqual({ i: 0, playerId: "p1", position: "striker", teamKey: "team1", type: "regular", at: 0 });
+    expect(entry.undoneGoals).toEqual([{ i: 0, playerId: "p3", position: "striker", teamKey: "team2", type: "regular", at: 500, undoneAt: 0 }]);
+  });
+});
+
+describe("match state properties", () => {
+  it("undo after any accepted goal restores the previous state", () => {
+    fc.assert(
+      fc.property(scoredRulesArb, goalsArb, fc.constantFrom("team1", "team2"), fc.boolean(), (rules, goals, teamKey, pickDefender) => {
+        const before = play(newMatch(rules), goals);
+        const { player, position } = goalScorer(before, teamKey, pickDefender);
+        const after = scoreGoal(before, player, position);
+        if (after === before) return;
+        expect(undoGoal(after)).toEqual({ ...before, undoneGoals: [...before.undoneGoals, { ...after.goalHistory[after.goalHistory.length - 1], undoneAt: 0 }] });
+        expect(evaluateMatch(undoGoal(after))).toEqual(evaluateMatch(before));
+      })
+    );
+  });
+
+  it("undo after a win reopens the game with the state before the winning goal", () => {
+    fc.assert(
+      fc.property(scoredRulesArb, goalsArb, (rules, goals) => {
+        let match = newMatch(rules);
+        let previous = match;
+        // play until someone wins, alternating the leader when the list runs out
+        for (let i = 0; !evaluateMatch(match).winner; i++) {
+          const { teamKey, pickDefender } = goals[i] || { teamKey: i % 3 === 0 ? "team2" : "team1", pickDefender: false };
+          previous = match;
+          const { player, position } = goalScorer(match, teamKey, pickDefender);
+          match = scoreGoal(match, player, position);
+        }
+        const undone = undoGoal(match);
+        expect(undone.goalHistory).toEqual(previous.goalHistory);
+        expect(evaluateMatch(undone).winner).toBeNull();
+      })
+    );
+  });
+
+  it("accounts for every accepted goal in the sets and the running score", () => {
+    fc.assert(
+      fc.property(scoredRulesArb, goalsArb, (rules, goals) => {
+        const match = play(newMatch(rules), goals);
+        const { score, completedSets, setsWon, winner } = evaluateMatch(match);
+        const total = (s) => s.team1 + s.team2;
+        const counted = completedSets.reduce((sum, set) => sum + total(set), 0) + (winner ? 0 : total(score));
+        expect(counted).toBe(match.goalHistory.length);
+        expect(setsWon.team1 + setsWon.team2).toBe(completedSets.length);
+      })
+    );
+  });
+
+  it("only declares a winner who has won enough sets, each by the rules", () => {
+    fc.assert(
+      fc.property(scoredRulesArb, goalsArb, (rules, goals) => {
+        const { completedSets, setsWon, winner } = evaluateMatch(play(newMatch(rules), goals));
+        completedSets.forEach((set) => {
+          const high = Math.max(set.team1, set.team2);
+          const low = Math.min(set.team1, set.team2);
+          const byCap = rules.cap && high === rules.cap && high > low;
+          const byTarget = high >= rules.targetScore && high - low >= rules.winBy;
+          expect(byCap || byTarget).toBe(true);
+        });
+        const needed = setsToWin(rules);
+        if (winner) expect(setsWon[winner === "Team 1" ? "team1" : "team2"]).toBe(needed);
+        else expect(Math.max(setsWon.team1, setsWon.team2)).toBeLessThan(needed);
+      })
+    );
+  });
+
+  it("swapping sides or positions twice changes nothing, and never changes the score", () => {
+    fc.assert(
+      fc.property(scoredRulesArb, goalsArb, fc.constantFrom("team1", "team2"), (rules, goals, teamKey) => {
+        const match = play(newMatch(rules), goals);
+        expect(swapSides(swapSides(match))).toEqual(match);
+        expect(swapPositions(swapPositions(match, teamKey), teamKey)).toEqual(match);
+        expect(evaluateMatch(swapSides(swapPositions(match, teamKey)))).toEqual(evaluateMatch(match));
+      })
+    );
+  });
+
+  it("credits goals to the team of the scorer no matter how the lineup was swapped", () => {
+    fc.assert(
+      fc.property(goalsArb, fc.array(fc.constantFrom("team1", "team2", "sides"), { maxLength: 6 }), (goals, swaps) => {
+        const swapped = swaps.reduce((m, s) => (s === "sides" ? swapSides(m) : swapPositions(m, s)), newMatch({ targetScore: 99 }));
+        const match = play(swapped, goals);
+        match.goalHistory.forEach((g) => {
+          expect(g.teamKey).toBe([P1.id, P2.id].includes(g.player.id) ? "team1" : "team2");
+        });
+      })
+    );
+  });
+});
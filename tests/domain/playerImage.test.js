@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import { CARD_ASPECT, IMAGE_WIDTH, cropRect, initialsAvatar, initialsOf, outputSize, playerImageSrc } from "../../src/playerImage";
+
+describe("cropRect", () => {
+  it("takes the largest centered 3:4 area without zoom", () => {
+    expect(cropRect(1600, 1200)).toEqual({ x: 350, y: 0, width: 900, height: 1200 });
+    expect(cropRect(600, 1000)).toEqual({ x: 0, y: 100, width: 600, height: 800 });
+  });
+
+  it("moves the area to the edges with the offsets", () => {
+    expect(cropRect(1600, 1200, { offsetX: -1 }).x).toBe(0);
+    expect(cropRect(1600, 1200, { offsetX: 1 }).x).toBe(700);
+    expect(cropRect(1600, 1200, { zoom: 2, offsetY: 1 })).toEqual({ x: 575, y: 600, width: 450, height: 600 });
+  });
+
+  it("always stays inside the image and keeps the card format", () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 10, max: 5000 }),
+        fc.integer({ min: 10, max: 5000 }),
+        fc.double({ min: 1, max: 4, noNaN: true }),
+        fc.double({ min: -2, max: 2, noNaN: true }),
+        fc.double({ min: -2, max: 2, noNaN: true }),
+        (width, height, zoom, offsetX, offsetY) => {
+          const crop = cropRect(width, height, { zoom, offsetX, offsetY });
+          expect(crop.x).toBeGreaterThanOrEqual(0);
+          expect(crop.y).toBeGreaterThanOrEqual(0);
+          expect(crop.x + crop.width).toBeLessThanOrEqual(width + 1e-6);
+          expect(crop.y + crop.height).toBeLessThanOrEqual(height + 1e-6);
+          expect(crop.width / crop.height).toBeCloseTo(CARD_ASPECT);
+        }
+      )
+    );
+  });
+});
+
+describe("outputSize", () => {
+  it("scales large crops down and never scales small ones up", () => {
+    expect(outputSize({ width: 2400, height: 3200 })).toEqual({ width: IMAGE_WIDTH, height: 800 });
+    expect(outputSize({ width: 300, height: 400 })).toEqual({ width: 300, height: 400 });
+  });
+});
+
+describe("initials avatar", () => {
+  it("uses the initials and needs no network", () => {
+    expect(initialsOf(" anna", "Berg")).toBe("AB");
+    expect(initialsOf("", "")).toBe("?");
+    const src = initialsAvatar("Anna", "Berg");
+    expect(src.startsWith("data:image/svg+xml")).toBe(true);
+    expect(decodeURIComponent(src)).toContain(">AB</text>");
+    expect(initialsAvatar("Anna", "Berg")).toBe(src);
+  });
+
+  it("replaces missing images and old placeholder URLs", () => {
+    const player = { firstName: "Anna", lastName: "Berg" };
+    expect(playerImageSrc({ ...player, img: "https://example.com/a.jpg" })).toBe("https://example.com/a.jpg");
+    expect(playerImageSrc({ ...player, img: "" })).toBe(initialsAvatar("Anna", "Berg"));
+    expect(playerImageSrc({ ...player, img: "https://placehold.co/150x200/EFEFEF/333?text=Anna" })).toBe(initialsAvatar("Anna", "Berg"));
+  });
+});
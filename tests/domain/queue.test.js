@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import { joinQueue, leaveQueue, nextLineup, queueAfterGame, queuedPlayerIds, resolveQueue, setQueueMode } from "../../src/queue";
+import { makePlayer } from "./arbitraries";
+
+const players = ["a", "b", "c", "d", "e", "f"].map((id) => makePlayer(id));
+
+const queueOf = (ids, mode) => ids.reduce(joinQueue, setQueueMode(null, mode));
+
+const idsOf = (lineup) => [lineup.team1.forward, lineup.team1.defender, lineup.team2.forward, lineup.team2.defender].map((p) => p.id);
+
+// The recorded entry of the proposed game
+const play = (queue, winner = "Team 1") => {
+  const lineup = nextLineup(queue, players);
+  const ref = (p) => ({ id: p.id });
+  const teams = {
+    team1: { striker: ref(lineup.team1.forward), defender: ref(lineup.team1.defender) },
+    team2: { striker: ref(lineup.team2.forward), defender: ref(lineup.team2.defender) }
+  };
+  return { lineup, next: queueAfterGame(queue, { winner, teams }) };
+};
+
+describe("queue", () => {
+  it("waits for four players before proposing a game", () => {
+    expect(nextLineup(queueOf(["a", "b", "c"], "winnerStays"), players)).toBeNull();
+    expect(idsOf(nextLineup(queueOf(["a", "b", "c", "d", "e"], "winnerStays"), players)).sort()).toEqual(["a", "b", "c", "d"]);
+  });
+
+  it("signs everyone up only once and skips players that are gone", () => {
+    const queue = joinQueue(queueOf(["a", "b", "x", "c", "d"], "rotation"), "a");
+    expect(queue.waiting).toEqual(["a", "b", "x", "c", "d"]);
+    expect(idsOf(nextLineup(queue, players)).sort()).toEqual(["a", "b", "c", "d"]);
+  });
+
+  it("keeps the winners at the table and sends the losers to the back", () => {
+    const { lineup, next } = play(queueOf(["a", "b", "c", "d", "e", "f"], "winnerStays"));
+    const winners = [lineup.team1.forward.id, lineup.team1.defender.id];
+    const losers = [lineup.team2.forward.id, lineup.team2.defender.id];
+    expect([next.holders.striker, next.holders.defender]).toEqual(winners);
+    expect(next.waiting).toEqual(["e", "f", ...losers]);
+    expect(next.streak).toBe(1);
+
+    const proposal = nextLineup(next, players);
+    expect([proposal.team1.forward.id, proposal.team1.defender.id]).toEqual(winners);
+    expect(idsOf(proposal).slice(2).sort()).toEqual(["e", "f"]);
+    expect(play(next).next.streak).toBe(2);
+  });
+
+  it("gives the table to the challengers when they win", () => {
+    const first = play(queueOf(["a", "b", "c", "d", "e", "f"], "winnerStays")).next;
+    const { lineup, next } = play(first, "Team 2");
+    expect([next.holders.striker, next.holders.defender]).toEqual([lineup.team2.forward.id, lineup.team2.defender.id]);
+    expect(next.streak).toBe(1);
+    expect(next.waiting.slice(-2).sort()).toEqual([lineup.team1.forward.id, lineup.team1.defender.id].sort());
+  });
+
+  it("hands a holder's place to the partner when they leave", () => {
+    const { next } = play(queueOf(["a", "b", "c", "d", "e"], "winnerStays"));
+    const [leaving, partner] = [next.holders.striker, next.holders.defender];
+    const after = leaveQueue(next, leaving);
+    expect(after.holders).toBeNull();
+    expect(after.waiting[0]).toBe(partner);
+    expect(queuedPlayerIds(after)).not.toContain(leaving);
+  });
+
+  it("ignores games without anyone from the queue", () => {
+    const queue = queueOf(["a", "b", "c", "d"], "rotation");
+    const teams = { team1: { striker: { id: "x" }, defender: { id: "y" } }, team2: { striker: { id: "z" }, defender: { id: "w" } } };
+    expect(queueAfterGame(queue, { winner: "Team 1", teams })).toEqual(resolveQueue(queue));
+  });
+});
+
+describe("queue properties", () => {
+  const idsArb = fc.uniqueArray(fc.constantFrom(...players.map((p) => p.id)), { minLength: 4, maxLength: 6 });
+  const winnersArb = fc.array(fc.constantFrom("Team 1", "Team 2"), { maxLength: 20 });
+
+  it("never loses or duplicates a signed-up player", () => {
+    fc.assert(
+      fc.property(idsArb, fc.constantFrom("winnerStays", "rotation"), winnersArb, (ids, mode, winners) => {
+        let queue = queueOf(ids, mode);
+        winners.forEach((winner) => {
+          queue = play(queue, winner).next;
+        });
+        const queued = queuedPlayerIds(queue);
+        expect(new Set(queued).size).toBe(queued.length);
+        expect([...queued].sort()).toEqual([...ids].sort());
+      })
+    );
+  });
+
+  it("the rotation keeps games played within one of each other", () => {
+    fc.assert(
+      fc.property(idsArb, winnersArb, (ids, winners) => {
+        let queue = queueOf(ids, "rotation");
+        winners.forEach((winner) => {
+          queue = play(queue, winner).next;
+        });
+        const games = ids.map((id) => queue.gamesPlayed[id]);
+        expect(Math.max(...games) - Math.min(...games)).toBeLessThanOrEqual(1);
+      })
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import { BASE_RATING, DEFAULT_RATING_CONFIG, expectedScore, marginMultiplier, positionRating, rateMatch } from "../../src/rating";
+import { makePlayer } from "./arbitraries";
+
+const teamsOf = ([a, b, c, d]) => ({ team1: { striker: a, defender: b }, team2: { striker: c, defender: d } });
+
+describe("rating", () => {
+  it("expects an even game between equal teams", () => {
+    expect(expectedScore(1500, 1500)).toBe(0.5);
+  });
+
+  it("weights a one-goal win with 1 and grows with the margin", () => {
+    expect(marginMultiplier(1)).toBe(1);
+    expect(marginMultiplier(6)).toBeGreaterThan(marginMultiplier(2));
+  });
+
+  it("seeds a slot rating from the headline score", () => {
+    expect(positionRating(makePlayer("a", { score: 1620 }), "striker").rating).toBe(1620);
+    expect(positionRating({}, "defender").rating).toBe(BASE_RATING);
+  });
+
+  it("moves the headline score by half the K-factor in an even one-goal game", () => {
+    const players = ["a", "b", "c", "d"].map((id) => makePlayer(id));
+    const updates = rateMatch(teamsOf(players), "Team 1", { team1: 6, team2: 5 }, DEFAULT_RATING_CONFIG);
+    expect(updates.a.scoreDelta).toBe(16);
+    expect(updates.c.scoreDelta).toBe(-16);
+    expect(updates.a.ratings.striker.rating).toBe(1516);
+  });
+
+  it("leaves the headline score alone in singles", () => {
+    const a = makePlayer("a");
+    const b = makePlayer("b");
+    const updates = rateMatch({ team1: { striker: a, defender: a }, team2: { striker: b, defender: b } }, "Team 2", { team1: 2, team2: 6 }, DEFAULT_RATING_CONFIG);
+    expect(updates.a).toMatchObject({ position: "singles", scoreDelta: 0 });
+    expect(updates.b.ratings.singles.rating).toBeGreaterThan(BASE_RATING);
+  });
+});
+
+describe("rating properties", () => {
+  const scoresArb = fc.tuple(...Array.from({ length: 4 }, () => fc.integer({ min: 800, max: 2400 })));
+  const resultArb = fc.record({ winner: fc.constantFrom("Team 1", "Team 2"), losing: fc.integer({ min: 0, max: 5 }) });
+
+  it("expectations of both sides add up to one", () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 3000 }), fc.integer({ min: 0, max: 3000 }), (a, b) => {
+        expect(expectedScore(a, b) + expectedScore(b, a)).toBeCloseTo(1, 10);
+      })
+    );
+  });
+
+  it("winners never lose and losers never gain, under both algorithms", () => {
+    fc.assert(
+      fc.property(scoresArb, resultArb, fc.constantFrom("elo", "glicko"), (scores, { winner, losing }, algorithm) => {
+        const players = scores.map((score, i) => makePlayer(`p${i}`, { score }));
+        const score = winner === "Team 1" ? { team1: 6, team2: losing } : { team1: losing, team2: 6 };
+        const updates = rateMatch(teamsOf(players), winner, score, { ...DEFAULT_RATING_CONFIG, algorithm });
+        const winnerIds = winner === "Team 1" ? ["p0", "p1"] : ["p2", "p3"];
+        Object.entries(updates).forEach(([id, { scoreDelta }]) => {
+          if (winnerIds.includes(id)) expect(scoreDelta).toBeGreaterThanOrEqual(0);
+          else expect(scoreDelta).toBeLessThanOrEqual(0);
+        });
+      })
+    );
+  });
+
+  it("Elo is zero-sum between the two teams", () => {
+    fc.assert(
+      fc.property(scoresArb, resultArb, (scores, { winner, losing }) => {
+        const players = scores.map((score, i) => makePlayer(`p${i}`, { score }));
+        const score = winner === "Team 1" ? { team1: 6, team2: losing } : { team1: losing, team2: 6 };
+        const updates = rateMatch(teamsOf(players), winner, score, DEFAULT_RATING_CONFIG);
+        expect(updates.p0.scoreDelta + updates.p2.scoreDelta).toBe(0);
+        expect(updates.p0.scoreDelta).toBe(updates.p1.scoreDelta);
+      })
+    );
+  });
+});
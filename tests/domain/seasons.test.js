@@ -0,0 +1,161 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import { BASE_RATING, DEFAULT_RATING_CONFIG, decayedScore } from "../../src/rating";
+import {
+  isCurrentSeasonMatch,
+  resolveSeasonSchedule,
+  rolloverRatings,
+  rolloverScores,
+  seasonClosing,
+  seasonStandings
+} from "../../src/seasons";
+import { at, makePlayer } from "./arbitraries";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const game = (time, winner, [a, b, c, d], score = { team1: 6, team2: 3 }) => ({
+  createdAt: at(time),
+  winner,
+  score,
+  teams: { team1: { striker: { id: a }, defender: { id: b } }, team2: { striker: { id: c }, defender: { id: d } } },
+  goals: [{ playerId: a, teamKey: "team1" }]
+});
+
+describe("season close", () => {
+  const players = [
+    makePlayer("a", { score: 1600 }),
+    makePlayer("b", { score: 1550 }),
+    makePlayer("c", { score: 1450 }),
+    makePlayer("d", { score: 1400 }),
+    makePlayer("e", { score: 1700, isActive: false })
+  ];
+  const matches = [
+    game(1, "Team 1", ["a", "b", "c", "d"], { team1: 6, team2: 0 }),
+    game(2, "Team 1", ["a", "c", "b", "d"]),
+    game(3, "Team 2", ["a", "c", "d", "e"])
+  ];
+
+  it("ranks the season by score and counts only the season's games", () => {
+    const standings = seasonStandings(players.slice(0, 4), matches);
+    expect(standings.map((row) => row.playerId)).toEqual(["a", "b", "c", "d"]);
+    expect(standings[0]).toMatchObject({ rank: 1, games: 3, gamesWon: 2, gamesLost: 1, goals: 3, shutoutWins: 1, longestStreak: 2 });
+  });
+
+  it("crowns the best eligible active player and leaves inactive players out", () => {
+    const schedule = resolveSeasonSchedule({ minGames: 3 });
+    const { history, winner, nextScores } = seasonClosing(4, players, matches, schedule, DEFAULT_RATING_CONFIG, 10);
+    expect(winner.playerId).toBe("a");
+    expect(history).toMatchObject({ seasonNumber: 4, winnerId: "a", matchCount: 3, minGames: 3, reset: "hard" });
+    expect(history.standings.map((row) => row.playerId)).not.toContain("e");
+    expect(history.standings.find((row) => row.playerId === "b").eligible).toBe(false);
+    expect(history.highlights.topScorer).toMatchObject({ playerId: "a", value: 3 });
+    expect(Object.values(nextScores).every((s) => s === BASE_RATING)).toBe(true);
+  });
+
+  it("resets the position ratings along with the scores", () => {
+    const rated = [makePlayer("a", { score: 1600, ratings: { striker: { rating: 1640, rd: 90 }, singles: { rating: 1420, rd: 200 } } })];
+    const { nextRatings } = seasonClosing(1, rated, [], resolveSeasonSchedule({}), DEFAULT_RATING_CONFIG, 10);
+    expect(nextRatings.a).toEqual({ striker: { rating: BASE_RATING, rd: 90 }, singles: { rating: BASE_RATING, rd: 200 } });
+  });
+
+  it("has no winner when nobody played enough games", () => {
+    const { winner, history } = seasonClosing(1, players, matches, resolveSeasonSchedule({ minGames: 5 }), DEFAULT_RATING_CONFIG, 10);
+    expect(winner).toBeNull();
+    expect(history.winnerName).toBeNull();
+  });
+
+  it("tells matches of the running season from closed ones", () => {
+    const config = { currentSeason: 3, seasonStart: at(100) };
+    expect(isCurrentSeasonMatch({ ...game(50, "Team 1", ["a", "b", "c", "d"]), season: 3 }, config)).toBe(true);
+    expect(isCurrentSeasonMatch({ ...game(150, "Team 1", ["a", "b", "c", "d"]), season: 2 }, config)).toBe(false);
+    expect(isCurrentSeasonMatch(game(50, "Team 1", ["a", "b", "c", "d"]), config)).toBe(false);
+    expect(isCurrentSeasonMatch(game(150, "Team 1", ["a", "b", "c", "d"]), config)).toBe(true);
+  });
+
+  it("counts pending inactivity decay in the final table", () => {
+    const config = { ...DEFAULT_RATING_CONFIG, decayWeeklyPercent: 10, decayGraceDays: 30 };
+    const idle = makePlayer("x", { score: 1700, lastPlayedAt: 1 });
+    const closedAt = 1 + 37 * DAY;
+    const { finalScores } = seasonClosing(1, [idle], [], resolveSeasonSchedule({ reset: "carry" }), config, closedAt);
+    expect(finalScores.x).toBe(decayedScore(idle, closedAt, config));
+    expect(finalScores.x).toBe(1680);
+  });
+});
+
+describe("season rollover properties", () => {
+  const playersArb = fc
+    .array(fc.record({ score: fc.integer({ min: 800, max: 2400 }), isActive: fc.boolean() }), { minLength: 1, maxLength: 20 })
+    .map((rows) => rows.map((row, i) => makePlayer(`p${i}`, row)));
+
+  it("a hard reset puts everyone on the base rating, carry keeps every score", () => {
+    fc.assert(
+      fc.property(playersArb, (players) => {
+        const hard = rolloverScores(players, { reset: "hard", regressPercent: 50 });
+        const carry = rolloverScores(players, { reset: "carry", regressPercent: 50 });
+        players.forEach((p) => {
+          expect(hard[p.id]).toBe(BASE_RATING);
+          expect(carry[p.id]).toBe(p.score);
+        });
+      })
+    );
+  });
+
+  it("rolls every position rating over like the scores and keeps the deviations", () => {
+    fc.assert(
+      fc.property(playersArb, fc.constantFrom("hard", "regress", "carry"), fc.integer({ min: 0, max: 100 }), (players, reset, regressPercent) => {
+        const rated = players.map((p) => ({ ...p, ratings: { striker: { rating: p.score + 10, rd: 80 } } }));
+        const scores = rolloverScores(rated.map((p) => ({ ...p, score: p.ratings.striker.rating })), { reset, regressPercent });
+        const next = rolloverRatings(rated, { reset, regressPercent });
+        rated.forEach((p) => expect(next[p.id].striker).toEqual({ rating: scores[p.id], rd: 80 }));
+      })
+    );
+  });
+
+  it("regressing keeps the order and never widens the spread", () => {
+    fc.assert(
+      fc.property(playersArb, fc.integer({ min: 0, max: 100 }), (players, regressPercent) => {
+        const next = rolloverScores(players, { reset: "regress", regressPercent });
+        const spread = (scores) => Math.max(...scores) - Math.min(...scores);
+        expect(spread(players.map((p) => next[p.id]))).toBeLessThanOrEqual(spread(players.map((p) => p.score)) + 1);
+        for (let i = 0; i < players.length; i++) {
+          for (let j = 0; j < players.length; j++) {
+            if (players[i].score < players[j].score) expect(next[players[i].id]).toBeLessThanOrEqual(next[players[j].id]);
+          }
+        }
+      })
+    );
+  });
+
+  it("regressing by 0% carries, by 100% puts every player on the active mean", () => {
+    fc.assert(
+      fc.property(playersArb, (players) => {
+        const active = players.filter((p) => p.isActive !== false);
+        fc.pre(active.length > 0);
+        const mean = active.reduce((sum, p) => sum + p.score, 0) / active.length;
+        const none = rolloverScores(players, { reset: "regress", regressPercent: 0 });
+        const full = rolloverScores(players, { reset: "regress", regressPercent: 100 });
+        players.forEach((p) => {
+          expect(none[p.id]).toBe(p.score);
+          expect(full[p.id]).toBe(Math.round(mean));
+        });
+      })
+    );
+  });
+
+  it("decay only ever pulls a score toward the base rating", () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 800, max: 2400 }),
+        fc.integer({ min: 0, max: 100 }),
+        fc.integer({ min: 0, max: 400 }),
+        (score, decayWeeklyPercent, idleDays) => {
+          const config = { ...DEFAULT_RATING_CONFIG, decayWeeklyPercent, decayGraceDays: 30 };
+          const decayed = decayedScore(makePlayer("x", { score, lastPlayedAt: 1 }), 1 + idleDays * DAY, config);
+          expect(Math.abs(decayed - BASE_RATING)).toBeLessThanOrEqual(Math.abs(score - BASE_RATING));
+          expect(Math.sign(decayed - BASE_RATING) * Math.sign(score - BASE_RATING)).not.toBe(-1);
+          if (idleDays <= 30) expect(decayed).toBe(score);
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import {
+  STREAK_FIELDS,
+  applyStatDelta,
+  emptyPlayerStats,
+  matchParticipants,
+  matchRecord,
+  matchStatDeltas,
+  revertStatDelta
+} from "../../src/stats";
+import { DEFAULT_RATING_CONFIG } from "../../src/rating";
+import { makePlayer, playerStatsArb } from "./arbitraries";
+
+const ids = ["a", "b", "c", "d"];
+
+const matchOf = (players, winner, score, goals = []) => ({
+  winner,
+  score,
+  duration: 300000,
+  endedAt: 1000,
+  teams: {
+    team1: { striker: players.a, defender: players.b },
+    team2: { striker: players.c, defender: players.d }
+  },
+  goals
+});
+
+const fresh = () => Object.fromEntries(ids.map((id) => [id, makePlayer(id, emptyPlayerStats())]));
+
+describe("matchStatDeltas", () => {
+  it("counts games, goals, results and shutouts per player", () => {
+    const players = fresh();
+    const goals = [
+      { playerId: "a", teamKey: "team1" },
+      { playerId: "a", teamKey: "team1" },
+      { playerId: "b", teamKey: "team1" }
+    ];
+    const deltas = matchStatDeltas(matchOf(players, "Team 1", { team1: 6, team2: 0 }, goals), players, DEFAULT_RATING_CONFIG);
+
+    expect(deltas.a.increments).toMatchObject({ totalGames: 1, gamesWon: 1, shutoutWins: 1, gamesAsStriker: 1, goalsAsStriker: 2 });
+    expect(deltas.b.increments).toMatchObject({ gamesAsDefender: 1, goalsAsDefender: 1 });
+    expect(deltas.c.increments).toMatchObject({ totalGames: 1, gamesLost: 1, goalsAsStriker: 0 });
+    expect(deltas.a.set).toMatchObject({ currentWinStreak: 1, maxWinStreak: 1, currentLossStreak: 0, lastPlayedAt: 1000 });
+    expect(deltas.d.set).toMatchObject({ currentWinStreak: 0, currentLossStreak: 1, maxLossStreak: 1 });
+  });
+
+  it("doesn't count own goals for the player who scored them", () => {
+    const players = fresh();
+    const goals = [
+      { playerId: "c", teamKey: "team1", type: "ownGoal" },
+      { playerId: "c", teamKey: "team2", type: "gurke" }
+    ];
+    const deltas = matchStatDeltas(matchOf(players, "Team 1", { team1: 6, team2: 1 }, goals), players, DEFAULT_RATING_CONFIG);
+    expect(deltas.c.increments.goalsAsStriker).toBe(1);
+  });
+
+  it("takes shutouts and the margin of best-of-N games from the goals, not the sets", () => {
+    const players = fresh();
+    const goals = [
+      ...Array.from({ length: 5 }, () => ({ playerId: "a", teamKey: "team1" })),
+      { playerId: "c", teamKey: "team2" },
+      ...Array.from({ length: 5 }, () => ({ playerId: "a", teamKey: "team1" }))
+    ];
+    const bestOf3 = { ...matchOf(players, "Team 1", { team1: 2, team2: 0 }, goals), rules: { targetScore: 5, winBy: 1, sets: 3 } };
+    const deltas = matchStatDeltas(bestOf3, players, DEFAULT_RATING_CONFIG);
+    expect(deltas.a.increments.shutoutWins).toBe(0);
+    const byGoals = matchStatDeltas(matchOf(players, "Team 1", { team1: 10, team2: 1 }, goals), players, DEFAULT_RATING_CONFIG);
+    expect(deltas.a.increments.score).toBe(byGoals.a.increments.score);
+    expect(matchRecord(bestOf3, players, deltas, DEFAULT_RATING_CONFIG)).toMatchObject({
+      score: { team1: 2, team2: 0 },
+      goalScore: { team1: 10, team2: 1 }
+    });
+  });
+
+  it("moves the winners up and the losers down by the same amount under Elo", () => {
+    const players = fresh();
+    const deltas = matchStatDeltas(matchOf(players, "Team 2", { team1: 3, team2: 6 }), players, DEFAULT_RATING_CONFIG);
+    expect(deltas.c.increments.score).toBeGreaterThan(0);
+    expect(deltas.a.increments.score).toBe(-deltas.c.increments.score);
+  });
+
+  it("gives a solo player one entry in the solo slot", () => {
+    const players = fresh();
+    const match = { ...matchOf(players, "Team 1", { team1: 6, team2: 2 }), teams: { team1: { striker: players.a, defender: players.a }, team2: { striker: players.c, defender: players.d } } };
+    expect(matchParticipants(match.teams)).toEqual([
+      { id: "a", teamKey: "team1", slot: "solo" },
+      { id: "c", teamKey: "team2", slot: "striker" },
+      { id: "d", teamKey: "team2", slot: "defender" }
+    ]);
+    const deltas = matchStatDeltas(match, players, DEFAULT_RATING_CONFIG);
+    expect(deltas.a.increments).toMatchObject({ gamesSolo: 1, totalGames: 1 });
+  });
+
+  it("stores the deltas on the match record, without the absolute values", () => {
+    const players = fresh();
+    const entry = matchOf(players, "Team 1", { team1: 6, team2: 4 });
+    const deltas = matchStatDeltas(entry, players, DEFAULT_RATING_CONFIG);
+    const record = matchRecord(entry, players, deltas, DEFAULT_RATING_CONFIG);
+    expect(record.playerIds).toEqual(ids);
+    expect(record.playerDeltas.a.set).toBeUndefined();
+    expect(record.ratingChanges.a).toEqual({ before: 1500, after: 1500 + deltas.a.increments.score });
+  });
+});
+
+describe("stat delta properties", () => {
+  const playersArb = fc.tuple(playerStatsArb, playerStatsArb, playerStatsArb, playerStatsArb).map((stats) =>
+    Object.fromEntries(ids.map((id, i) => [id, makePlayer(id, stats[i])]))
+  );
+  const resultArb = fc.record({
+    winner: fc.constantFrom("Team 1", "Team 2"),
+    losing: fc.integer({ min: 0, max: 5 }),
+    algorithm: fc.constantFrom("elo", "glicko")
+  });
+
+  it("voiding the latest match restores every counter, streak and slot rating", () => {
+    fc.assert(
+      fc.property(playersArb, resultArb, (players, { winner, losing, algorithm }) => {
+        const score = winner === "Team 1" ? { team1: 6, team2: losing } : { team1: losing, team2: 6 };
+        const config = { ...DEFAULT_RATING_CONFIG, algorithm };
+        const deltas = matchStatDeltas(matchOf(players, winner, score), players, config);
+
+        ids.forEach((id) => {
+          const after = { ...applyStatDelta(players[id], deltas[id]), lastMatchId: "m1" };
+          const reverted = revertStatDelta(after, deltas[id], "m1");
+          const { increments, slot, previous } = deltas[id];
+          Object.keys(increments).forEach((field) => expect(reverted[field] || 0).toBe(players[id][field] || 0));
+          STREAK_FIELDS.forEach((field) => expect(reverted[field]).toBe(players[id][field]));
+          expect(reverted.lastPlayedAt).toBe(previous.lastPlayedAt);
+          // the stored delta is rounded to one decimal
+          expect(Math.abs(reverted.ratings[slot].rating - players[id].score)).toBeLessThanOrEqual(0.05 + 1e-9);
+        });
+      })
+    );
+  });
+
+  it("keeps absolute values when a later match touched the player", () => {
+    fc.assert(
+      fc.property(playersArb, resultArb, (players, { winner, algorithm }) => {
+        const config = { ...DEFAULT_RATING_CONFIG, algorithm };
+        const deltas = matchStatDeltas(matchOf(players, winner, winner === "Team 1" ? { team1: 6, team2: 4 } : { team1: 4, team2: 6 }), players, config);
+        const after = { ...applyStatDelta(players.a, deltas.a), lastMatchId: "later" };
+        const reverted = revertStatDelta(after, deltas.a, "m1");
+        expect(reverted.currentWinStreak).toBe(after.currentWinStreak);
+        expect(reverted.lastPlayedAt).toBe(after.lastPlayedAt);
+        expect(reverted.totalGames).toBe(players.a.totalGames);
+      })
+    );
+  });
+
+  it("takes back only the lifetime counters of a closed season's match", () => {
+    const players = fresh();
+    const deltas = matchStatDeltas(matchOf(players, "Team 1", { team1: 6, team2: 4 }), players, DEFAULT_RATING_CONFIG);
+    const after = { ...applyStatDelta(players.a, deltas.a), lastMatchId: "m1" };
+    const reverted = revertStatDelta(after, deltas.a, "m1", true);
+    expect(reverted.totalGames).toBe(0);
+    expect(reverted.gamesWon).toBe(0);
+    expect(reverted.score).toBe(after.score);
+    expect(reverted.ratings).toEqual(after.ratings);
+    expect(reverted.currentWinStreak).toBe(after.currentWinStreak);
+  });
+
+  it("every game has exactly one result per participant", () => {
+    fc.assert(
+      fc.property(playersArb, resultArb, (players, { winner, losing }) => {
+        const score = winner === "Team 1" ? { team1: 6, team2: losing } : { team1: losing, team2: 6 };
+        const deltas = matchStatDeltas(matchOf(players, winner, score), players, DEFAULT_RATING_CONFIG);
+        Object.values(deltas).forEach(({ increments }) => {
+          expect((increments.gamesWon || 0) + (increments.gamesLost || 0)).toBe(1);
+          expect(increments.totalGames).toBe(1);
+        });
+        const winners = Object.values(deltas).filter(({ increments }) => increments.gamesWon);
+        expect(winners).toHaveLength(2);
+      })
+    );
+  });
+});
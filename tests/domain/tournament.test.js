@@ -0,0 +1,214 @@
+import { describe, expect, it } from "vitest";
+import fc from "fast-check";
+import {
+  bracketColumns,
+  createTournament,
+  resolveFixtures,
+  tournamentChampion,
+  tournamentProblem,
+  tournamentResult,
+  tournamentStandings,
+  tournamentTeam,
+  tournamentVoid
+} from "../../src/tournament";
+import { makePlayer } from "./arbitraries";
+
+const teamsOf = (count) =>
+  Array.from({ length: count }, (_, i) => tournamentTeam(makePlayer(`s${i}`), makePlayer(`d${i}`), i));
+
+const newTournament = (format, count) => createTournament({ name: "Office Cup", format, teams: teamsOf(count), rules: null });
+
+// Plays the first open fixture; the lower team id wins unless told otherwise
+const playNext = (tournament, pickWinner = (f) => (f.team1 < f.team2 ? "Team 1" : "Team 2")) => {
+  const fixture = resolveFixtures(tournament).find((f) => f.status === "ready");
+  if (!fixture) return null;
+  const winner = pickWinner(fixture);
+  const score = winner === "Team 1" ? { team1: 6, team2: 3 } : { team1: 3, team2: 6 };
+  const update = tournamentResult(tournament, fixture.id, winner, score, `m-${fixture.id}`);
+  return {
+    ...tournament,
+    results: { ...tournament.results, [fixture.id]: update.result },
+    ...(update.champion ? { status: "finished", championTeamId: update.champion.id } : {})
+  };
+};
+
+const playOut = (tournament, pickWinner) => {
+  let current = tournament;
+  for (let next = playNext(current, pickWinner); next; next = playNext(current, pickWinner)) current = next;
+  return current;
+};
+
+describe("tournament setup", () => {
+  it("names teams after their players", () => {
+    const team = tournamentTeam(makePlayer("a", { firstName: "Hans" }), makePlayer("b", { firstName: "Jens" }), 0);
+    expect(team).toEqual({ id: "t1", name: "Hans & Jens", striker: "a", defender: "b" });
+  });
+
+  it("rejects unnamed tournaments, single teams and players in two teams", () => {
+    const [t1, t2] = teamsOf(2);
+    expect(tournamentProblem(" ", [t1, t2])).toMatch(/Namen/);
+    expect(tournamentProblem("Cup", [t1])).toMatch(/zwei Teams/);
+    expect(tournamentProblem("Cup", [t1, { ...t2, defender: t1.striker }])).toMatch(/nur in einem Team/);
+    expect(tournamentProblem("Cup", [t1, t2])).toBeNull();
+  });
+});
+
+describe("single elimination", () => {
+  it("seeds the top teams apart and gives byes to the best seeds", () => {
+    const fixtures = resolveFixtures(newTournament("single", 6));
+    const firstRound = fixtures.filter((f) => f.round === 1);
+    expect(firstRound.map((f) => [f.team1, f.team2])).toEqual([
+      ["t1", null],
+      ["t4", "t5"],
+      ["t2", null],
+      ["t3", "t6"]
+    ]);
+    expect(firstRound[0]).toMatchObject({ status: "walkover", winner: "t1" });
+    expect(fixtures.find((f) => f.id === "W2-1")).toMatchObject({ team1: "t1", team2: undefined, status: "waiting" });
+  });
+
+  it("advances winners and crowns the final's winner", () => {
+    let tournament = newTournament("single", 4);
+    tournament = playNext(tournament);
+    expect(resolveFixtures(tournament).find((f) => f.id === "W2-1").team1).toBe("t1");
+    tournament = playOut(tournament);
+    expect(tournament.championTeamId).toBe("t1");
+    expect(tournamentStandings(tournament)[0]).toMatchObject({ teamId: "t1", won: 2, lost: 0 });
+  });
+
+  it("labels the last rounds", () => {
+    const labels = bracketColumns(resolveFixtures(newTournament("single", 8))).map((c) => c.label);
+    expect(labels).toEqual(["Viertelfinale", "Halbfinale", "Finale"]);
+  });
+
+  it("refuses results for fixtures that aren't open", () => {
+    const tournament = newTournament("single", 4);
+    expect(tournamentResult(tournament, "W2-1", "Team 1", { team1: 6, team2: 0 }, "m1")).toBeNull();
+    const played = playNext(tournament);
+    expect(tournamentResult(played, "W1-1", "Team 2", { team1: 0, team2: 6 }, "m2")).toBeNull();
+    expect(tournamentResult({ ...tournament, status: "finished" }, "W1-1", "Team 1", { team1: 6, team2: 0 }, "m3")).toBeNull();
+  });
+});
+
+describe("voiding tournament games", () => {
+  it("reopens the fixture and takes the title back from the champion", () => {
+    const tournament = playOut(newTournament("single", 2));
+    const update = tournamentVoid(tournament, "W1-1", "m-W1-1");
+    expect(update.results).toEqual({});
+    expect(update.dethroned.id).toBe("t1");
+    expect(resolveFixtures({ ...tournament, results: update.results, status: "running" })[0].status).toBe("ready");
+  });
+
+  it("ignores matches that never entered the bracket", () => {
+    const tournament = playOut(newTournament("single", 2));
+    expect(tournamentVoid(tournament, "W1-1", "m-other")).toBeNull();
+    expect(tournamentVoid(tournament, "W2-1", "m-W2-1")).toBeNull();
+  });
+
+  it("refuses while later fixtures were played with the result", () => {
+    const tournament = playOut(newTournament("single", 4));
+    expect(() => tournamentVoid(tournament, "W1-1", "m-W1-1")).toThrow(expect.objectContaining({ code: "tournament-later-results" }));
+    const semifinalsOnly = { ...tournament, status: "running", championTeamId: null, results: { ...tournament.results } };
+    delete semifinalsOnly.results["W2-1"];
+    expect(tournamentVoid(semifinalsOnly, "W1-1", "m-W1-1")).toMatchObject({ dethroned: null });
+  });
+});
+
+describe("double elimination", () => {
+  it("sends losers to the losers bracket and its winner to the final", () => {
+    let tournament = newTournament("double", 4);
+    tournament = playNext(tournament); // W1-1: t1 beats t4
+    tournament = playNext(tournament); // W1-2: t2 beats t3
+    const losersRound1 = resolveFixtures(tournament).find((f) => f.id === "L1-1");
+    expect([losersRound1.team1, losersRound1.team2]).toEqual(["t4", "t3"]);
+  });
+
+  it("needs a second final when the losers bracket champion wins the first", () => {
+    // t1 wins everything except the first final
+    let tournament = playOut(newTournament("double", 4), (f) => {
+      if (f.id === "F1") return "Team 2";
+      return f.team1 < f.team2 ? "Team 1" : "Team 2";
+    });
+    const finals = resolveFixtures(tournament).filter((f) => f.bracket === "final");
+    expect(finals.map((f) => f.status)).toEqual(["done", "done"]);
+    expect(tournament.championTeamId).toBe("t1");
+
+    tournament = playOut(newTournament("double", 4));
+    expect(resolveFixtures(tournament).find((f) => f.id === "F2").status).toBe("skipped");
+    expect(tournament.championTeamId).toBe("t1");
+  });
+
+  it("lets two teams meet again in the final", () => {
+    const tournament = playOut(newTournament("double", 2), (f) => (f.id === "W1-1" ? "Team 2" : "Team 1"));
+    expect(resolveFixtures(tournament).map((f) => f.id)).toEqual(["W1-1", "F1", "F2"]);
+    expect(tournament.championTeamId).toBe("t2");
+  });
+});
+
+describe("round robin", () => {
+  it("pairs every team with every other exactly once", () => {
+    const fixtures = resolveFixtures(newTournament("roundRobin", 5));
+    const pairs = fixtures.map((f) => [f.team1, f.team2].sort().join("-"));
+    expect(pairs).toHaveLength(10);
+    expect(new Set(pairs).size).toBe(10);
+    expect(new Set(fixtures.map((f) => f.round)).size).toBe(5);
+  });
+
+  it("is decided once every fixture was played", () => {
+    let tournament = newTournament("roundRobin", 3);
+    tournament = playNext(tournament);
+    expect(tournamentChampion(tournament)).toBeNull();
+    tournament = playOut(tournament);
+    expect(tournament.championTeamId).toBe("t1");
+    expect(tournamentStandings(tournament).map((row) => [row.teamId, row.won])).toEqual([
+      ["t1", 2],
+      ["t2", 1],
+      ["t3", 0]
+    ]);
+  });
+});
+
+describe("tournament properties", () => {
+  const formatArb = fc.constantFrom("single", "double", "roundRobin");
+  const setupArb = fc.record({ format: formatArb, count: fc.integer({ min: 2, max: 12 }), seed: fc.integer() });
+
+  // deterministic pseudo-random winners per fixture
+  const randomWinner = (seed) => (f) => ((seed ^ [...f.id].reduce((h, c) => h * 31 + c.charCodeAt(0), 7)) & 1 ? "Team 1" : "Team 2");
+
+  it("always finishes with exactly one champion who never lost more than the format allows", () => {
+    fc.assert(
+      fc.property(setupArb, ({ format, count, seed }) => {
+        const tournament = playOut(newTournament(format, count), randomWinner(seed));
+        const fixtures = resolveFixtures(tournament);
+        expect(fixtures.every((f) => ["done", "walkover", "empty", "skipped"].includes(f.status))).toBe(true);
+        expect(tournament.championTeamId).toBeTruthy();
+        const champion = tournamentStandings(tournament, fixtures).find((row) => row.teamId === tournament.championTeamId);
+        if (format === "single") expect(champion.lost).toBe(0);
+        if (format === "double") expect(champion.lost).toBeLessThanOrEqual(1);
+      })
+    );
+  });
+
+  it("eliminates every other team in a bracket", () => {
+    fc.assert(
+      fc.property(setupArb.filter(({ format }) => format !== "roundRobin"), ({ format, count, seed }) => {
+        const tournament = playOut(newTournament(format, count), randomWinner(seed));
+        const standings = tournamentStandings(tournament);
+        const allowedLosses = format === "single" ? 1 : 2;
+        standings.filter((row) => row.teamId !== tournament.championTeamId).forEach((row) => expect(row.lost).toBe(allowedLosses));
+      })
+    );
+  });
+
+  it("never lets a team play two open fixtures at once", () => {
+    fc.assert(
+      fc.property(setupArb, fc.integer({ min: 0, max: 30 }), ({ format, count, seed }, steps) => {
+        let tournament = newTournament(format, count);
+        for (let i = 0; i < steps; i++) tournament = playNext(tournament, randomWinner(seed)) || tournament;
+        const open = resolveFixtures(tournament).filter((f) => f.status === "ready" && format !== "roundRobin");
+        const busy = open.flatMap((f) => [f.team1, f.team2]);
+        expect(new Set(busy).size).toBe(busy.length);
+      })
+    );
+  });
+});
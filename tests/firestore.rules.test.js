@@ -0,0 +1,205 @@
+// Runs against the Firestore emulator: npm run test:rules
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { Timestamp, addDoc, collection, deleteDoc, doc, getDoc, setDoc, updateDoc } from "firebase/firestore";
+
+let testEnv;
+
+const player = { firstName: "Max", lastName: "Muster", country: "DE", score: 1500, gamesWon: 0, gamesLost: 0 };
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-kicker",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") }
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "users", "admin"), { email: "admin@example.com", role: "admin" });
+    await setDoc(doc(db, "users", "recorder"), { email: "recorder@example.com", role: "recorder" });
+    await setDoc(doc(db, "users", "viewer"), { email: "viewer@example.com", role: "viewer" });
+    await setDoc(doc(db, "players", "p1"), player);
+    await setDoc(doc(db, "appState", "config"), { currentSeason: 1 });
+    await setDoc(doc(db, "liveGames", "current"), { status: "finished" });
+  });
+});
+
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+const anonymousDb = () => testEnv.authenticatedContext("guest", { firebase: { sign_in_provider: "anonymous" } }).firestore();
+const signedOutDb = () => testEnv.unauthenticatedContext().firestore();
+
+describe("reading", () => {
+  it("requires a signed-in user", async () => {
+    await assertFails(getDoc(doc(signedOutDb(), "players", "p1")));
+  });
+
+  it("is open to anonymous visitors for the scoreboard", async () => {
+    await assertSucceeds(getDoc(doc(anonymousDb(), "players", "p1")));
+    await assertSucceeds(getDoc(doc(anonymousDb(), "liveGames", "current")));
+  });
+});
+
+describe("users", () => {
+  it("lets a new account create its own profile as viewer only", async () => {
+    await assertSucceeds(setDoc(doc(dbAs("newbie"), "users", "newbie"), { email: "n@example.com", role: "viewer" }));
+    await assertFails(setDoc(doc(dbAs("sneaky"), "users", "sneaky"), { email: "s@example.com", role: "admin" }));
+    await assertFails(setDoc(doc(dbAs("newbie"), "users", "someone-else"), { role: "viewer" }));
+  });
+
+  it("lets only admins change roles", async () => {
+    await assertFails(updateDoc(doc(dbAs("recorder"), "users", "recorder"), { role: "admin" }));
+    await assertFails(updateDoc(doc(dbAs("viewer"), "users", "viewer"), { role: "recorder" }));
+    await assertSucceeds(updateDoc(doc(dbAs("admin"), "users", "viewer"), { role: "recorder" }));
+  });
+
+  it("hides other accounts from non-admins", async () => {
+    await assertFails(getDoc(doc(dbAs("recorder"), "users", "viewer")));
+    await assertSucceeds(getDoc(doc(dbAs("admin"), "users", "viewer")));
+  });
+});
+
+describe("players", () => {
+  it("can be added and edited by recorders, not viewers", async () => {
+    await assertSucceeds(addDoc(collection(dbAs("recorder"), "players"), player));
+    await assertSucceeds(updateDoc(doc(dbAs("recorder"), "players", "p1"), { country: "AT" }));
+    await assertFails(addDoc(collection(dbAs("viewer"), "players"), player));
+    await assertFails(updateDoc(doc(anonymousDb(), "players", "p1"), { score: 9999 }));
+  });
+
+  it("can only be deleted by admins", async () => {
+    await assertFails(deleteDoc(doc(dbAs("viewer"), "players", "p1")));
+    await assertFails(deleteDoc(doc(dbAs("recorder"), "players", "p1")));
+    await assertSucceeds(deleteDoc(doc(dbAs("admin"), "players", "p1")));
+  });
+});
+
+describe("matches", () => {
+  const match = { winner: "Team 1", score: { team1: 6, team2: 3 }, playerIds: ["p1"] };
+
+  it("can be recorded by recorders, not viewers", async () => {
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "matches", "m1"), match));
+    await assertFails(setDoc(doc(dbAs("viewer"), "matches", "m2"), match));
+    await assertFails(setDoc(doc(anonymousDb(), "matches", "m3"), match));
+  });
+
+  it("can only be voided by admins once recorded", async () => {
+    await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), "matches", "m1"), match));
+    await assertFails(updateDoc(doc(dbAs("recorder"), "matches", "m1"), { voided: true }));
+    await assertSucceeds(updateDoc(doc(dbAs("admin"), "matches", "m1"), { voided: true }));
+  });
+});
+
+describe("closing a season", () => {
+  const season = { seasonNumber: 1, winnerName: "Max Muster", winnerId: "p1" };
+
+  it("is limited to admins", async () => {
+    await assertFails(addDoc(collection(dbAs("recorder"), "seasonHistory"), season));
+    await assertFails(updateDoc(doc(dbAs("recorder"), "appState", "config"), { currentSeason: 2 }));
+    await assertSucceeds(addDoc(collection(dbAs("admin"), "seasonHistory"), season));
+    await assertSucceeds(updateDoc(doc(dbAs("admin"), "appState", "config"), { currentSeason: 2 }));
+  });
+});
+
+describe("scheduled season close", () => {
+  const season = { seasonNumber: 1, winnerName: "Max Muster", winnerId: "p1" };
+  const setSeasonEnd = (date) =>
+    testEnv.withSecurityRulesDisabled((context) =>
+      setDoc(doc(context.firestore(), "appState", "config"), { currentSeason: 1, seasonEnd: Timestamp.fromDate(date) })
+    );
+
+  it("lets recorders close a season once its end date has passed", async () => {
+    await setSeasonEnd(new Date(Date.now() - 60000));
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "seasonHistory", "season-1"), season));
+    await assertSucceeds(updateDoc(doc(dbAs("recorder"), "appState", "config"), { currentSeason: 2, seasonEnd: null }));
+  });
+
+  it("keeps recorders from closing early or skipping seasons", async () => {
+    await setSeasonEnd(new Date(Date.now() + 86400000));
+    await assertFails(setDoc(doc(dbAs("recorder"), "seasonHistory", "season-1"), season));
+    await assertFails(updateDoc(doc(dbAs("recorder"), "appState", "config"), { currentSeason: 2 }));
+    await setSeasonEnd(new Date(Date.now() - 60000));
+    await assertFails(updateDoc(doc(dbAs("recorder"), "appState", "config"), { currentSeason: 5 }));
+    await assertFails(setDoc(doc(dbAs("viewer"), "seasonHistory", "season-1"), season));
+  });
+
+  it("only accepts the history doc of the season being closed", async () => {
+    await setSeasonEnd(new Date(Date.now() - 60000));
+    await assertFails(setDoc(doc(dbAs("recorder"), "seasonHistory", "season-7"), season));
+    await assertFails(addDoc(collection(dbAs("recorder"), "seasonHistory"), season));
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "seasonHistory", "season-1"), season));
+  });
+
+  it("keeps the next season from ending in the past", async () => {
+    await setSeasonEnd(new Date(Date.now() - 60000));
+    const config = doc(dbAs("recorder"), "appState", "config");
+    await assertFails(updateDoc(config, { currentSeason: 2, seasonEnd: Timestamp.fromDate(new Date(Date.now() - 1000)) }));
+    await assertSucceeds(updateDoc(config, { currentSeason: 2, seasonEnd: Timestamp.fromDate(new Date(Date.now() + 86400000)) }));
+  });
+});
+
+describe("app config", () => {
+  it("lets recorders save custom game rules but nothing else", async () => {
+    const gameRules = { custom: [{ id: "custom-1", name: "Bis 8", targetScore: 8 }] };
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "appState", "config"), { gameRules }, { merge: true }));
+    await assertFails(setDoc(doc(dbAs("recorder"), "appState", "config"), { rating: { algorithm: "glicko" } }, { merge: true }));
+    await assertFails(setDoc(doc(dbAs("viewer"), "appState", "config"), { gameRules }, { merge: true }));
+    await assertSucceeds(setDoc(doc(dbAs("admin"), "appState", "config"), { rating: { algorithm: "glicko" } }, { merge: true }));
+  });
+});
+
+describe("audit log", () => {
+  const entry = (uid) => ({ action: "match.record", actor: { uid, email: `${uid}@example.com` }, targetId: "m1", details: {} });
+
+  it("accepts entries only in the writer's own name", async () => {
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "auditLog", "a1"), entry("recorder")));
+    await assertFails(setDoc(doc(dbAs("recorder"), "auditLog", "a2"), entry("admin")));
+    await assertFails(setDoc(doc(dbAs("viewer"), "auditLog", "a3"), entry("viewer")));
+  });
+
+  it("is append-only and readable by admins", async () => {
+    await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), "auditLog", "a1"), entry("recorder")));
+    await assertFails(getDoc(doc(dbAs("recorder"), "auditLog", "a1")));
+    await assertSucceeds(getDoc(doc(dbAs("admin"), "auditLog", "a1")));
+    await assertFails(updateDoc(doc(dbAs("admin"), "auditLog", "a1"), { targetId: "m2" }));
+    await assertFails(deleteDoc(doc(dbAs("admin"), "auditLog", "a1")));
+  });
+});
+
+describe("tournaments", () => {
+  const tournament = { name: "Office Cup", format: "single", status: "running", teams: [], fixtures: [], results: {} };
+
+  it("are created and advanced by recorders, not viewers", async () => {
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "tournaments", "cup"), tournament));
+    await assertSucceeds(updateDoc(doc(dbAs("recorder"), "tournaments", "cup"), { "results.W1-1": { winner: "team1" } }));
+    await assertFails(setDoc(doc(dbAs("viewer"), "tournaments", "cup2"), tournament));
+  });
+
+  it("can only be deleted by admins", async () => {
+    await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), "tournaments", "cup"), tournament));
+    await assertFails(deleteDoc(doc(dbAs("recorder"), "tournaments", "cup")));
+    await assertSucceeds(deleteDoc(doc(dbAs("admin"), "tournaments", "cup")));
+  });
+});
+
+describe("live game", () => {
+  it("is written by recorders only", async () => {
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "liveGames", "current"), { status: "running" }));
+    await assertFails(setDoc(doc(dbAs("viewer"), "liveGames", "current"), { status: "running" }));
+  });
+});
+
+describe("queue", () => {
+  it("is shared with everyone and changed by recorders only", async () => {
+    await assertSucceeds(setDoc(doc(dbAs("recorder"), "queue", "current"), { mode: "rotation", waiting: ["p1"] }));
+    await assertFails(setDoc(doc(dbAs("viewer"), "queue", "current"), { mode: "rotation", waiting: [] }));
+    await assertSucceeds(getDoc(doc(dbAs("viewer"), "queue", "current")));
+  });
+});